@@ -1,110 +1,260 @@
 #!/usr/bin/env node
 
 const path = require('path');
-const { exec } = require('child_process');
 const axios = require('axios');
 const fs = require('fs');
-// Using fs.rmSync instead of rimraf (available in Node.js 14.14.0+)
+const { pipeline: streamPipeline } = require('stream/promises');
+const { createArchiveStream, listFiles, archiveExtension } = require('./uploader/archive-stream');
+const { partName, volumeName, estimateArchiveSize, planArchiveVolumes, splitStream } = require('./uploader/volumes');
+const { JobQueue } = require('./uploader/job-queue');
+const { startDaemon } = require('./uploader/daemon');
+const { TransientError, PermanentError, DeferredError, describeError, withRetries } = require('./uploader/retry');
+const { createBackendClient } = require('./uploader/backend-client');
+const { ProgressReporter, formatSize } = require('./uploader/progress');
+const { hashFile, hashDirectory, buildManifest, manifestKeyFor } = require('./uploader/manifest');
+const { Logger, formatEntry } = require('./uploader/logger');
+const { Quarantine, checkDeletable } = require('./uploader/quarantine');
+const { createStorage } = require('./uploader/storage');
+const { TokenBucket, Throttle } = require('./uploader/throttle');
+const { msUntilOpen } = require('./uploader/schedule');
+const { waitForZip, confirmZip } = require('./uploader/zip-status');
+const { Journal, LockHeldError, STEPS, sourceFingerprint } = require('./uploader/journal');
+const { parseMasterKey, createDecryptStream, KeyStore, createEncryptingStorage } = require('./uploader/encryption');
+const { filterFiles } = require('./uploader/filters');
+const { selectTorrentFiles } = require('./uploader/torrent-files');
+const { WEBHOOK_STATES, createEvent, WebhookDispatcher, createReceiver } = require('./uploader/webhooks');
+const { createQbittorrentClient } = require('./uploader/qbittorrent-client');
+const { hasLimit, describePolicy, seedingTag, isSeedingTag, evaluatePolicy, SeedingTracker } = require('./uploader/seeding');
+const { loadConfig, getCategorySettings, getSeedingPolicy, describeConfig, ConfigError, UPLOAD_LAYOUTS,
+  UNCATEGORIZED_FOLDER } = require('./uploader/config');
+const UPLOAD_LAYOUT_TAGS = require('./upload-layout-tags.json');
 
-// Configuration
-const QBITTORRENT_URL = 'http://0.0.0.0:8080/api/v2';
-const API_URL = 'http://152.53.253.51:5000/';
-const QB_USERNAME = 'admin';
-const QB_PASSWORD = 'admin123';
+/**
+ * Split command line arguments into positional values and --flags.
+ * Positional values are kept even when empty, since qBittorrent passes "" for unset fields.
+ * @param {Array<string>} argv Arguments after the script name
+ * @returns {Object} { positional, flags }
+ */
+function parseArgs(argv) {
+  const valueFlags = ['config', 'replay', 'layout', 'history', 'restore', 'decrypt', 'manifest', 'output', 'object', 'remove', 'owner', 'secret'];
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (valueFlags.includes(name)) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
 
-// Feature toggles
-const DELETE_AFTER_UPLOAD = true; // Delete any file after upload (zip or regular file)
-const STOP_TORRENT_AFTER_UPLOAD = true; // Stop torrent after successful upload
-const DELETE_DIRECTORY_AFTER_UPLOAD = true; // Delete the original directory after upload
+  return { positional, flags };
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+// Configuration (config file plus environment, see uploader/config.js)
+let config;
+try {
+  config = loadConfig({ configPath: args.flags.config });
+} catch (error) {
+  if (error instanceof ConfigError) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  throw error;
+}
+
+const S3_PART_SIZE = config.s3.partSizeMB * 1024 * 1024; // Multipart part size in bytes
+const S3_STALE_UPLOAD_AGE = config.s3.staleUploadHours * 60 * 60 * 1000; // Abort orphaned multipart uploads older than this
+const UPLOAD_STATE_DIR = path.join(config.stateDir, 'uploads'); // Resume state for interrupted uploads
+const QUEUE_DIR = path.join(config.stateDir, 'queue'); // Durable job queue used in daemon mode
+const QUARANTINE_DIR = config.quarantine.dir || path.join(config.stateDir, 'quarantine'); // Deleted content, until purged
+const JOURNAL_DIR = path.join(config.stateDir, 'journal'); // Per-torrent locks and step journals
+const KEYS_DIR = path.join(config.stateDir, 'keys'); // Per-user encryption keys, wrapped with the master key
+const WEBHOOK_DIR = path.join(config.stateDir, 'webhooks'); // Delivery log of every webhook endpoint
+const SEEDING_DIR = path.join(config.stateDir, 'seeding'); // Torrents seeding under a policy after their upload
+// A torrent locked by another process is tried again after this long
+const LOCK_RETRY_MS = 60 * 1000;
+// Port of --webhook-receiver when none is given
+const DEFAULT_RECEIVER_PORT = 4576;
+const RETRY_POLICY = {
+  maxAttempts: config.retry.maxAttempts,
+  baseDelayMs: config.retry.baseDelaySeconds * 1000,
+  maxDelayMs: config.retry.maxDelaySeconds * 1000
+};
+
+// Run modes:
+//   node qbittornet-uploader.js <args>           process the torrent now (or enqueue it if daemon.enabled)
+//   node qbittornet-uploader.js --enqueue <args> only add the torrent to the daemon queue
+//   node qbittornet-uploader.js --daemon         process queued torrents until stopped
+//   node qbittornet-uploader.js --dead-letters   list jobs that failed for good, with their last error
+//   node qbittornet-uploader.js --replay <id>    retry a dead job (<id> or "all")
+//   node qbittornet-uploader.js --history <hash> print everything logged for a torrent (add --json for raw entries)
+//   node qbittornet-uploader.js --quarantine     list deleted content that can still be restored
+//   node qbittornet-uploader.js --restore <id>   move quarantined content back to where it was deleted from
+//   node qbittornet-uploader.js --dry-run <args> print what processing the torrent would do, changing nothing
+//                                                (add --json for the plan as JSON)
+//   node qbittornet-uploader.js --decrypt <file or URL> --manifest <file or URL> --output <file> [--object <key>]
+//                                                decrypt a downloaded encrypted object
+//   node qbittornet-uploader.js --remove <manifest file or URL> [--owner <category>]
+//                                                delete an upload from storage and take it off its owners' stored bytes
+//   node qbittornet-uploader.js --webhook-log[=<endpoint>]
+//                                                list webhook endpoints with deliveries, or the delivery log of one
+//   node qbittornet-uploader.js --check-seeding  check torrents seeding under a policy now (for cron, without the daemon)
+//   node qbittornet-uploader.js --run-queue      process queued jobs that are due, such as torrents held back by their
+//                                                upload window, then exit (for cron, without the daemon)
+//   node qbittornet-uploader.js --webhook-receiver[=<port>] --secret <secret>
+//                                                receive webhooks locally and check their signatures (secret also
+//                                                from WEBHOOK_RECEIVER_SECRET), until stopped
+// Add --layout <archive|files> to override the category's upload layout for this torrent
+const isAdminCommand = !!(args.flags['dead-letters'] || args.flags.replay || args.flags.history ||
+  args.flags.quarantine || args.flags.restore || args.flags.decrypt || args.flags.remove || args.flags['webhook-log'] ||
+  args.flags['check-seeding'] || args.flags['webhook-receiver'] || args.flags['run-queue']);
+const isDaemon = !!args.flags.daemon;
+const dryRun = !!args.flags['dry-run'];
+const enqueueOnly = !isDaemon && !dryRun && (!!args.flags.enqueue || config.daemon.enabled);
 
 // Command line arguments from qBittorrent
 // %N (torrent name), %I (torrent hash), %D (save path), %R (root path), %L (category)
-const torrentName = process.argv[2] || '';
-const torrentHash = process.argv[3] || '';
-const savePath = process.argv[4] || '';
-const rootPath = process.argv[5] || '';
-const category = process.argv[6] || '';
+const cliTorrent = {
+  name: args.positional[0] || '',
+  hash: args.positional[1] || '',
+  savePath: args.positional[2] || '',
+  rootPath: args.positional[3] || '',
+  category: args.positional[4] || '',
+  layout: args.flags.layout
+};
 
 // Check for required parameters
-if (!torrentHash) {
+if (!isDaemon && !isAdminCommand && !cliTorrent.hash) {
   console.error("ERROR: Missing required parameter: torrent hash. This script must be called from qBittorrent.");
   process.exit(1);
 }
+if (dryRun && (isDaemon || isAdminCommand)) {
+  console.error('ERROR: --dry-run only applies to a torrent passed on the command line');
+  process.exit(1);
+}
+if (cliTorrent.layout !== undefined && !UPLOAD_LAYOUTS.includes(cliTorrent.layout)) {
+  console.error(`ERROR: --layout must be one of: ${UPLOAD_LAYOUTS.join(', ')}`);
+  process.exit(1);
+}
+
+// Tags that select the upload layout of a single torrent, by tag; set by the web app when the torrent is added
+const LAYOUT_TAGS = Object.fromEntries(Object.keys(UPLOAD_LAYOUT_TAGS).map((layout) => [UPLOAD_LAYOUT_TAGS[layout], layout]));
 
-// Logger function
-const log = (message) => console.log(`${new Date().toLocaleTimeString()} - ${message}`);
+// Console output plus one rotated JSON log file per torrent (see uploader/logger.js)
+const logger = new Logger({
+  dir: config.logging.dir || path.join(config.stateDir, 'logs'),
+  consoleFormat: config.logging.console,
+  // Daemon jobs run side by side, so tell their console lines apart
+  prefixHash: isDaemon,
+  maxBytes: config.logging.maxFileSizeMB * 1024 * 1024,
+  maxFiles: config.logging.maxFiles,
+  maxAgeMs: config.logging.maxAgeDays * 24 * 60 * 60 * 1000,
+  // A dry run must not touch the filesystem, its own log files included
+  writeFiles: !dryRun,
+  // Everything a completion hook run logs belongs to its torrent
+  defaults: !isDaemon && !isAdminCommand ? { hash: cliTorrent.hash, torrent: cliTorrent.name } : {}
+});
+const log = logger.log;
 
 // Display initial torrent info
-log("==== TORRENT INFO ====");
-log(`Name: ${torrentName}`);
-log(`Hash: ${torrentHash}`);
-log(`Save Path: ${savePath}`);
-log(`Root Path: ${rootPath || '(None)'}`);
-log(`Category: ${category || '(None)'}`);
-log("=====================");
-log(`Config - Delete after upload: ${DELETE_AFTER_UPLOAD}`);
-log(`Config - Stop torrent after upload: ${STOP_TORRENT_AFTER_UPLOAD}`);
-log(`Config - Delete directory after upload: ${DELETE_DIRECTORY_AFTER_UPLOAD}`);
-
-// Create axios instance for qBittorrent API
-const qbt = axios.create({
-  baseURL: QBITTORRENT_URL,
-  timeout: 30000
+if (!isDaemon && !isAdminCommand) {
+  log("==== TORRENT INFO ====");
+  log(`Name: ${cliTorrent.name}`);
+  log(`Hash: ${cliTorrent.hash}`);
+  log(`Save Path: ${cliTorrent.savePath}`);
+  log(`Root Path: ${cliTorrent.rootPath || '(None)'}`);
+  log(`Category: ${cliTorrent.category || '(None)'}`);
+  log("=====================");
+}
+if (!enqueueOnly && !isAdminCommand) {
+  log(`Config file: ${config.configPath || '(None, using environment and defaults)'}`);
+  describeConfig(config).forEach((line) => log(`Config - ${line}`));
+}
+
+// Backend (dbInfoFeeder.php) client for progress records
+const backend = createBackendClient({
+  url: config.backend.url,
+  token: config.backend.token,
+  log
+});
+
+// Deleted content goes here first, so a bad detection can be undone with --restore
+const quarantine = new Quarantine({
+  dir: QUARANTINE_DIR,
+  retentionMs: config.quarantine.retentionHours * 60 * 60 * 1000
+});
+
+const journal = new Journal({
+  dir: JOURNAL_DIR,
+  retentionMs: config.journal.retentionDays * 24 * 60 * 60 * 1000
+});
+
+// Webhooks sent when a torrent is Ready or fails (see notifyStateChange)
+const webhooks = new WebhookDispatcher({
+  dir: WEBHOOK_DIR,
+  policy: {
+    maxAttempts: config.webhookDelivery.maxAttempts,
+    baseDelayMs: config.webhookDelivery.baseDelaySeconds * 1000,
+    maxDelayMs: config.webhookDelivery.maxDelaySeconds * 1000
+  },
+  timeoutMs: config.webhookDelivery.timeoutSeconds * 1000,
+  log
+});
+
+// Torrents that keep seeding after their upload until their policy is met (see checkSeeding)
+const seeding = new SeedingTracker({ dir: SEEDING_DIR });
+
+// One qBittorrent session for the whole process (see uploader/qbittorrent-client.js)
+const qbt = createQbittorrentClient({
+  url: config.qbittorrent.url,
+  username: config.qbittorrent.username,
+  password: config.qbittorrent.password,
+  caFile: config.qbittorrent.caFile,
+  rejectUnauthorized: config.qbittorrent.rejectUnauthorized,
+  timeoutMs: 30000,
+  log
 });
 
+// Storage backends in use, one per storage and bucket (see getStorage)
+const storages = new Map();
+
+// Per-user keys for categories that encrypt; config validation made sure the master key is usable
+const keyStore = config.encryption.masterKey ? new KeyStore({
+  dir: KEYS_DIR,
+  masterKey: parseMasterKey(config.encryption.masterKey),
+  masterKeyId: config.encryption.masterKeyId
+}) : null;
+
+// Shared by every job of this process (see createThrottle)
+const globalBandwidth = new TokenBucket(config.bandwidth.globalLimitKBps * 1024);
+
 // Create axios instance for zip server API
 const zipServer = axios.create({
-  baseURL: API_URL,
+  baseURL: config.zipServer.url,
   timeout: 30000,
   headers: { 'Content-Type': 'application/json' }
 });
 
-/**
- * Login to qBittorrent API
- * @returns {Promise<string>} Authentication cookie or null
- */
-async function qbLogin() {
-  try {
-    const params = new URLSearchParams();
-    params.append('username', QB_USERNAME);
-    params.append('password', QB_PASSWORD);
-    
-    const response = await qbt.post('/auth/login', params);
-    
-    if (response.status === 200 && response.data === 'Ok.') {
-      log('Successfully logged into qBittorrent');
-      return response.headers['set-cookie'] ? response.headers['set-cookie'][0] : '';
-    }
-    log(`Failed to login to qBittorrent: ${response.data}`);
-    return null;
-  } catch (error) {
-    log(`Error logging into qBittorrent: ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Stop a torrent in qBittorrent
  * @param {string} hash Torrent hash to stop
  * @returns {Promise<boolean>} Success status
  */
 async function stopTorrent(hash) {
-  if (!STOP_TORRENT_AFTER_UPLOAD) {
-    log('Skipping torrent stop (STOP_TORRENT_AFTER_UPLOAD is false)');
-    return false;
-  }
-
   try {
-    const cookie = await qbLogin();
-    if (!cookie) return false;
-    
-    const params = new URLSearchParams();
-    params.append('hashes', hash);
-    
-    const response = await qbt.post('/torrents/stop', params, {
-      headers: { Cookie: cookie }
-    });
-    
+    await qbt.stopTorrent(hash);
     log(`Stopped torrent: ${hash}`);
     return true;
   } catch (error) {
@@ -114,30 +264,21 @@ async function stopTorrent(hash) {
 }
 
 /**
- * Set tag for a torrent
+ * Set tag for a torrent, replacing its other tags except the layout tags (see getUploadLayout)
  * @param {string} hash Torrent hash
  * @param {string} tag Tag to set
  * @returns {Promise<boolean>} Success status
  */
 async function setTag(hash, tag) {
   try {
-    const cookie = await qbLogin();
-    if (!cookie) return false;
-    
-    // Remove existing tags first
-    const removeParams = new URLSearchParams();
-    removeParams.append('hashes', hash);
-    await qbt.post('/torrents/removeTags', removeParams, {
-      headers: { Cookie: cookie }
-    });
+    // Remove existing tags first; the layout choice has to survive "Queued for upload", failures and retries
+    const info = await qbt.torrentInfo(hash);
+    const stale = (info && info.tags ? info.tags.split(',').map((item) => item.trim()) : [])
+      .filter((item) => item && item !== tag && !LAYOUT_TAGS[item]);
+    if (stale.length > 0) await qbt.removeTags(hash, stale);
     
     // Add the new tag
-    const params = new URLSearchParams();
-    params.append('hashes', hash);
-    params.append('tags', tag);
-    await qbt.post('/torrents/addTags', params, {
-      headers: { Cookie: cookie }
-    });
+    await qbt.addTags(hash, tag);
     
     log(`Set torrent tag: ${tag}`);
     return true;
@@ -149,25 +290,20 @@ async function setTag(hash, tag) {
 
 /**
  * Get torrent category if not already provided
- * @param {string} hash Torrent hash
+ * @param {Object} torrent Torrent being processed
  * @returns {Promise<string>} Category name or empty string
  */
-async function getTorrentCategory(hash) {
+async function getTorrentCategory(torrent) {
   // If category is already provided via command line, use it
-  if (category) return category;
+  if (torrent.category) return torrent.category;
   
   try {
-    const cookie = await qbLogin();
-    if (!cookie) return '';
-    
-    const response = await qbt.get('/torrents/info', {
-      params: { hashes: hash },
-      headers: { Cookie: cookie }
-    });
+    const info = await qbt.torrentInfo(torrent.hash);
     
-    if (response.status === 200 && response.data && response.data.length > 0) {
-      const torrentCategory = response.data[0].category || '';
+    if (info) {
+      const torrentCategory = info.category || '';
       log(`Retrieved category from qBittorrent: ${torrentCategory}`);
+      torrent.category = torrentCategory;
       return torrentCategory;
     }
     return '';
@@ -178,207 +314,1281 @@ async function getTorrentCategory(hash) {
 }
 
 /**
- * Delete a file safely
- * @param {string} filePath Path to file to delete
- * @returns {Promise<boolean>} Success status
+ * Everyone the content of a torrent is delivered to. Several users can add the same torrent, but
+ * qBittorrent keeps it once, under the category of the first one; the backend knows the others.
+ * @param {Object} torrent Torrent being processed
+ * @returns {Promise<Array<string>>} Owner folders: the one holding the content (the category) first
+ * @throws {TransientError} If the backend cannot be asked; the content must not be deleted before every owner has it
  */
-async function deleteFile(filePath) {
-  return new Promise((resolve) => {
-    if (!DELETE_AFTER_UPLOAD) {
-      log(`File deletion skipped (DELETE_AFTER_UPLOAD is false): ${path.basename(filePath)}`);
-      resolve(false);
-      return;
-    }
-    
-    log(`Deleting file: ${path.basename(filePath)}`);
-    fs.unlink(filePath, (err) => {
-      if (err) {
-        log(`Error deleting file: ${err.message}`);
-        resolve(false);
-        return;
-      }
-      log(`Successfully deleted file: ${path.basename(filePath)}`);
-      resolve(true);
-    });
+async function getTorrentOwners(torrent) {
+  const category = await getTorrentCategory(torrent);
+  let others;
+  try {
+    others = await backend.getTorrentOwners(torrent.hash);
+  } catch (error) {
+    throw new TransientError(`Could not look up the owners of the torrent: ${error.message}`, error);
+  }
+
+  const owners = [category || UNCATEGORIZED_FOLDER];
+  (others || []).forEach((owner) => {
+    if (!owners.some((known) => known.toLowerCase() === owner.toLowerCase())) owners.push(owner);
   });
+  return owners;
 }
 
 /**
- * Delete a directory safely
- * @param {string} dirPath Path to directory to delete
- * @returns {Promise<boolean>} Success status
+ * Key an owner's reference to shared content is stored under: the same key in the owner's folder
+ * @param {Object} settings Category upload settings
+ * @param {string} key Key in the folder holding the content
+ * @param {string} folder Folder holding the content
+ * @param {string} owner Owner the reference is for
+ * @returns {string} Key in the owner's folder
  */
+function ownerKeyFor(settings, key, folder, owner) {
+  const base = [settings.prefix, folder].filter(Boolean).join('/');
+  return [settings.prefix, owner, key.slice(base.length + 1)].filter(Boolean).join('/');
+}
+
 /**
- * Delete a directory safely using native fs methods
- * @param {string} dirPath Path to directory to delete
- * @returns {Promise<boolean>} Success status
+ * Time qBittorrent reports the torrent completed, which tells one download of a torrent from the next
+ * @param {Object} torrent Torrent being processed
+ * @returns {Promise<number|null>} Unix time in seconds, or null if unknown
  */
-async function deleteDirectory(dirPath) {
-  return new Promise((resolve) => {
-    if (!DELETE_DIRECTORY_AFTER_UPLOAD) {
-      log(`Directory deletion skipped (DELETE_DIRECTORY_AFTER_UPLOAD is false): ${path.basename(dirPath)}`);
-      resolve(false);
-      return;
-    }
+async function getCompletionTime(torrent) {
+  try {
+    const info = await qbt.torrentInfo(torrent.hash);
+    return info && info.completion_on > 0 ? info.completion_on : null;
+  } catch (error) {
+    log(`Error getting torrent completion time: ${error.message}`);
+    return null;
+  }
+}
 
-    log(`Deleting directory: ${path.basename(dirPath)}`);
-    
-    try {
-      // Check if Node.js version supports recursive removal (14.14.0+)
-      // This is a safer approach than using rimraf as an external dependency
-      if (fs.rmSync || fs.rmdirSync) {
-        // Use rmSync if available (Node.js 14.14.0+)
-        if (fs.rmSync) {
-          fs.rmSync(dirPath, { recursive: true, force: true });
-        } 
-        // Fallback to older rmdirSync with recursive option (Node.js 12.10.0+)
-        else if (fs.rmdirSync) {
-          fs.rmdirSync(dirPath, { recursive: true });
-        }
-        log(`Successfully deleted directory: ${path.basename(dirPath)}`);
-        resolve(true);
-      } else {
-        // Very old Node.js versions - implement recursive deletion manually
-        deleteDirectoryRecursive(dirPath);
-        log(`Successfully deleted directory: ${path.basename(dirPath)}`);
-        resolve(true);
-      }
-    } catch (err) {
-      log(`Error deleting directory: ${err.message}`);
-      resolve(false);
+/**
+ * Upload layout for a torrent: --layout or a layout tag on the torrent, else the category setting.
+ * The result is kept on the torrent, since status tags replace the layout tag once processing starts.
+ * @param {Object} torrent Torrent being processed
+ * @returns {Promise<string>} 'archive' or 'files'
+ */
+async function getUploadLayout(torrent) {
+  if (torrent.layout) return torrent.layout;
+
+  const settings = getCategorySettings(config, await getTorrentCategory(torrent));
+  let layout = settings.layout;
+
+  try {
+    const info = await qbt.torrentInfo(torrent.hash);
+    const tags = info && info.tags ? info.tags.split(',').map((tag) => tag.trim()) : [];
+    const layoutTag = tags.find((tag) => LAYOUT_TAGS[tag]);
+    if (layoutTag) {
+      layout = LAYOUT_TAGS[layoutTag];
+      log(`Upload layout selected by tag "${layoutTag}": ${layout}`);
     }
+  } catch (error) {
+    log(`Error reading torrent tags, using the category layout: ${error.message}`);
+  }
+
+  torrent.layout = layout;
+  return layout;
+}
+
+/**
+ * Storage backend a category uploads to: the s3 section, or a named entry of `storages`
+ * @param {Object} settings Category upload settings
+ * @returns {Object} Storage backend (see uploader/storage.js)
+ */
+function getStorage(settings) {
+  const id = `${settings.storage}/${settings.bucket}`;
+  if (!storages.has(id)) {
+    const definition = settings.storage === 's3'
+      ? Object.assign({ type: 's3', linkEndpoint: config.links.endpoint }, config.s3)
+      : config.storages[settings.storage];
+    storages.set(id, createStorage(definition, {
+      name: settings.storage,
+      bucket: settings.bucket,
+      partSize: S3_PART_SIZE,
+      concurrency: config.s3.concurrency,
+      stateDir: UPLOAD_STATE_DIR
+    }));
+  }
+  return storages.get(id);
+}
+
+/**
+ * Storage backend content is uploaded through: the category's storage, encrypting with the owner's key
+ * if the category encrypts. Manifests and download links go to getStorage directly.
+ * @param {Object} settings Category upload settings
+ * @param {string} owner Owner of the content (the category folder)
+ * @returns {Object} Storage backend
+ */
+function getUploadStorage(settings, owner) {
+  const storage = getStorage(settings);
+  return settings.encrypt ? createEncryptingStorage(storage, keyStore.userKey(owner)) : storage;
+}
+
+/**
+ * Bandwidth limit for the uploads of one job: the category's per-job limit and the global limit.
+ * Content held to the category's upload windows also pauses between parts and files while they are closed.
+ * @param {Object} settings Category upload settings
+ * @param {number} contentBytes Size of the content being uploaded
+ * @returns {Throttle} Throttle to pass to the storage backend
+ */
+function createThrottle(settings, contentBytes) {
+  return new Throttle([globalBandwidth, new TokenBucket(settings.jobLimitKBps * 1024)], {
+    msUntilOpen: hasUploadWindows(settings, contentBytes) ? () => msUntilOpen(settings.uploadWindows) : null
   });
 }
 
 /**
- * Fallback recursive directory deletion for very old Node.js versions
- * @param {string} dirPath Directory path to delete
+ * Whether the category's upload windows apply to content of this size
+ * @param {Object} settings Category upload settings
+ * @param {number} contentBytes Size of the content
+ * @returns {boolean}
  */
-function deleteDirectoryRecursive(dirPath) {
-  if (fs.existsSync(dirPath)) {
-    fs.readdirSync(dirPath).forEach((file) => {
-      const curPath = path.join(dirPath, file);
-      if (fs.lstatSync(curPath).isDirectory()) {
-        // Recursive call for directories
-        deleteDirectoryRecursive(curPath);
-      } else {
-        // Delete file
-        fs.unlinkSync(curPath);
-      }
-    });
-    fs.rmdirSync(dirPath); // Remove empty directory
+function hasUploadWindows(settings, contentBytes) {
+  return settings.uploadWindows.length > 0 && contentBytes >= settings.uploadWindowMinSizeMB * 1024 * 1024;
+}
+
+/**
+ * Time until content may be uploaded under the category's upload windows
+ * @param {Object} settings Category upload settings
+ * @param {string} contentPath Content file or directory
+ * @returns {Promise<number>} Milliseconds, 0 if it may be uploaded now
+ */
+async function msUntilUploadWindow(settings, contentPath) {
+  if (settings.uploadWindows.length === 0) return 0;
+
+  const stats = fs.statSync(contentPath);
+  const size = stats.isDirectory()
+    ? (await listFiles(contentPath)).reduce((sum, file) => sum + file.stats.size, 0)
+    : stats.size;
+  if (!hasUploadWindows(settings, size)) return 0;
+  return msUntilOpen(settings.uploadWindows);
+}
+
+/**
+ * Hold back a torrent that may only be uploaded inside its category's upload windows
+ * @param {Object} torrent Torrent being processed
+ * @param {string} contentPath Content file or directory
+ * @returns {Promise<void>} Resolves if the torrent may be uploaded now
+ * @throws {DeferredError} Outside the windows, after the "Queued for upload" tag has been set
+ */
+async function checkUploadWindow(torrent, contentPath) {
+  const settings = getCategorySettings(config, await getTorrentCategory(torrent));
+  const wait = await msUntilUploadWindow(settings, contentPath);
+  if (wait === 0) return;
+
+  await setTag(torrent.hash, 'Queued for upload');
+  throw new DeferredError(
+    `Content of at least ${formatSize(settings.uploadWindowMinSizeMB * 1024 * 1024)} is only uploaded during ${settings.uploadWindows.join(', ')}`,
+    new Date(Date.now() + wait));
+}
+
+/**
+ * Save path and top-level entries of a torrent, as qBittorrent reports them. Deletes are checked
+ * against these rather than against the detected content path, which may be the whole save path.
+ * @param {Object} torrent Torrent being processed
+ * @returns {Promise<Object>} { savePath, contentRoots }
+ */
+async function getContentRoots(torrent) {
+  const [info, files] = await Promise.all([qbt.torrentInfo(torrent.hash), qbt.torrentFiles(torrent.hash)]);
+  const savePath = (info && info.save_path) || torrent.savePath;
+  const topLevel = new Set(files.map((file) => file.name.split('/')[0]));
+
+  return { savePath, contentRoots: [...topLevel].map((name) => path.join(savePath, name)) };
+}
+
+/**
+ * Delete uploaded content of a torrent by moving it to the quarantine. Paths outside the torrent's
+ * own content are refused and left where they are.
+ * @param {Object} torrent Torrent being processed
+ * @param {string} targetPath File or directory to delete
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteContent(torrent, targetPath) {
+  log(`Deleting: ${path.basename(targetPath)}`);
+
+  // A run that was interrupted while deleting may have moved it already
+  if (!fs.existsSync(targetPath)) {
+    log(`Already gone: ${targetPath}`);
+    return true;
+  }
+
+  try {
+    const { savePath, contentRoots } = await getContentRoots(torrent);
+    const refusal = checkDeletable(targetPath, savePath, contentRoots);
+    if (refusal) {
+      log(`Refusing to delete ${targetPath}: ${refusal}`, { level: 'error' });
+      return false;
+    }
+
+    const entry = quarantine.add(targetPath, { hash: torrent.hash, torrent: torrent.name, savePath, contentRoots });
+    log(`Moved ${path.basename(targetPath)} to quarantine entry ${entry.id}, purged after ${entry.purgeAfter}`);
+    return true;
+  } catch (error) {
+    log(`Error deleting ${path.basename(targetPath)}: ${error.message}`);
+    return false;
   }
 }
 
 /**
  * Upload file to S3 with category as subfolder
+ * @param {Object} torrent Torrent being processed
  * @param {string} filePath Path to file to upload
  * @param {string} sourceDir Optional directory path that was the source of the file (for deletion)
  * @returns {Promise<boolean>} Success status
  */
-async function uploadToS3(filePath, sourceDir = null) {
+async function uploadToS3(torrent, filePath, sourceDir = null) {
   // Get the category to use as subfolder
-  const userCategory = await getTorrentCategory(torrentHash);
-  const targetFolder = userCategory || 'qbittorent';
-  
-  return new Promise((resolve, reject) => {
-    const command = `s3cli /file upload "hetznerS3" "${filePath}" slade001/torcomet/${targetFolder}`;
-    log(`Uploading file to S3: ${path.basename(filePath)}`);
-    log(`Upload path: slade001/${targetFolder}/${path.basename(filePath)}`);
-    log(`Full file path: ${filePath}`);
-    
-    exec(command, async (error, stdout, stderr) => {
-      if (error) {
-        log(`Upload error: ${error.message}`);
-        if (stderr) log(`Error details: ${stderr}`);
-        reject(error);
-        return;
-      }
-      log("S3 upload completed successfully");
-      if (stdout) log(`Upload output: ${stdout.trim()}`);
-      
-      // Handle post-upload actions
-      try {
-        // 1. Delete the file if configured
-        if (DELETE_AFTER_UPLOAD) {
-          await deleteFile(filePath);
-        }
-        
-        // 2. Delete the source directory if provided and configured
-        if (sourceDir && DELETE_DIRECTORY_AFTER_UPLOAD) {
-          await deleteDirectory(sourceDir);
-        }
-        
-        // 3. Stop the torrent if configured
-        if (STOP_TORRENT_AFTER_UPLOAD) {
-          await stopTorrent(torrentHash);
-        }
-      } catch (postUploadError) {
-        log(`Warning: Post-upload operations had errors: ${postUploadError.message}`);
-        // Continue despite post-upload errors
-      }
-      
-      resolve(true);
-    });
+  const userCategory = await getTorrentCategory(torrent);
+  const targetFolder = userCategory || UNCATEGORIZED_FOLDER;
+  const settings = getCategorySettings(config, userCategory);
+  const storage = getUploadStorage(settings, targetFolder);
+  const key = [settings.prefix, targetFolder, path.basename(filePath)].filter(Boolean).join('/');
+
+  if (isArchiveOf(filePath, sourceDir)) {
+    const volumeSize = await getVolumeSize(torrent);
+    if (volumeSize > 0 && fs.statSync(filePath).size > volumeSize) {
+      return uploadFileInParts(torrent, settings, filePath, sourceDir, volumeSize);
+    }
+  }
+
+  log(`Uploading file to ${settings.storage}: ${path.basename(filePath)}`);
+  log(`Upload path: ${storage.describe(key)}`);
+  log(`Full file path: ${filePath}`);
+
+  // Checksums are taken before uploading, from the same bytes that are about to be deleted
+  log('Computing SHA-256 checksums');
+  const { checksums, files, excluded } = await logger.step('checksum', async () => {
+    const fileChecksums = await hashFile(filePath);
+    return Object.assign({ checksums: fileChecksums }, await describeSourceFiles(torrent, settings, filePath, sourceDir, fileChecksums.sha256));
   });
+
+  const fileSize = fs.statSync(filePath).size;
+  const progress = createProgressReporter(torrent, 'uploading', fileSize);
+  const onProgress = ({ uploadedBytes }) => progress.update(uploadedBytes);
+
+  let result;
+  try {
+    result = await logger.step('upload', () => storage.uploadFile({
+      key,
+      filePath,
+      onProgress,
+      throttle: createThrottle(settings, fileSize),
+      log
+    }));
+    await progress.finish();
+    log(`Upload completed successfully${result.resumed ? ' (resumed)' : ''}${result.etag ? `: ETag ${result.etag}` : ''}`);
+  } catch (error) {
+    // Keep the multipart state so the next run resumes from the last uploaded part
+    await progress.settle();
+    log(`Upload error: ${error.message}`);
+    throw error;
+  }
+
+  const manifest = await verifyUpload(torrent, storage, result, { sha256: checksums.sha256, md5: checksums.md5, type: 'file', files, excluded });
+  await completeUpload(torrent, settings, result.key, manifest, filePath, sourceDir);
+  return true;
 }
 
 /**
- * Determine content details (file/directory structure) for a torrent
- * @returns {Promise<Object>} Content details object
+ * Upload a directory as an archive that is built on the fly and streamed to S3.
+ * No temporary archive is written to disk.
+ * @param {Object} torrent Torrent being processed
+ * @param {string} directoryPath Directory to archive
+ * @returns {Promise<boolean>} Success status
  */
-async function detectContentStructure() {
+async function uploadDirectoryArchive(torrent, directoryPath) {
+  const userCategory = await getTorrentCategory(torrent);
+  const targetFolder = userCategory || UNCATEGORIZED_FOLDER;
+  const settings = getCategorySettings(config, userCategory);
+  const storage = getUploadStorage(settings, targetFolder);
+
+  const { files, excluded } = await listContentFiles(torrent, settings, directoryPath);
+  const volumeSize = await getVolumeSize(torrent);
+  if (volumeSize > 0 && estimateArchiveSize(files) > volumeSize) {
+    return uploadArchiveVolumes(torrent, settings, directoryPath, files, excluded, volumeSize);
+  }
+
+  // The archive is uploaded while it is built, so progress is measured in source bytes read
+  let progress = null;
+  const onProgress = ({ processedBytes }) => progress && progress.update(processedBytes);
+
+  const archive = await createArchiveStream(directoryPath, {
+    format: config.archive.format,
+    compressionLevel: config.archive.compressionLevel,
+    storeExtensions: config.archive.storeExtensions,
+    forceZip64: config.archive.forceZip64,
+    files,
+    onProgress
+  });
+  const key = [settings.prefix, targetFolder, archive.name].filter(Boolean).join('/');
+
+  log(`Streaming ${archive.files.length} file(s) (${archive.totalBytes} bytes) as ${archive.name}`);
+  log(`Upload path: ${storage.describe(key)}`);
+  progress = createProgressReporter(torrent, 'uploading', archive.totalBytes);
+
+  let result;
   try {
-    // Get authentication cookie
-    const cookie = await qbLogin();
-    if (!cookie) {
-      throw new Error('Failed to login to qBittorrent');
-    }
-    
-    // Step 1: Get basic torrent info
-    const torrentResponse = await qbt.get('/torrents/info', {
-      params: { hashes: torrentHash },
-      headers: { Cookie: cookie }
-    });
-    
-    if (!torrentResponse.data || !torrentResponse.data.length) {
-      throw new Error('Torrent not found');
+    result = await logger.step('upload', () => storage.uploadStream({
+      key,
+      stream: archive.stream,
+      sizeHint: estimateArchiveSize(files),
+      throttle: createThrottle(settings, archive.totalBytes),
+      log
+    }));
+    await progress.finish();
+    log(`Upload completed successfully: ${result.size} bytes${result.etag ? `, ETag ${result.etag}` : ''}`);
+  } catch (error) {
+    await progress.settle();
+    log(`Upload error: ${error.message}`);
+    throw error;
+  }
+
+  const manifest = await verifyUpload(torrent, storage, result, { sha256: result.sha256, md5: result.contentMd5, type: 'archive', files: archive.files, excluded });
+  await completeUpload(torrent, settings, result.key, manifest, null, directoryPath);
+  return true;
+}
+
+/**
+ * qBittorrent's file list of a torrent
+ * @param {Object} torrent Torrent being processed
+ * @returns {Promise<Array<Object>>} Entries of /torrents/files: { name, size, priority, progress }
+ * @throws {TransientError} If qBittorrent does not return the list
+ */
+async function getTorrentFiles(torrent) {
+  try {
+    return await qbt.torrentFiles(torrent.hash);
+  } catch (error) {
+    throw new TransientError(`Could not get the file list of the torrent from qBittorrent: ${error.message}`, error);
+  }
+}
+
+/**
+ * Files of a directory torrent to package: those qBittorrent finished and the user selected,
+ * minus what the category's filter rules exclude
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {string} directoryPath Content directory
+ * @returns {Promise<Object>} { files, excluded } - files are listFiles entries, excluded is [{ path, size, reason }]
+ * @throws {TransientError} If selected, finished files do not match the disk
+ * @throws {PermanentError} If nothing is left to upload
+ */
+async function listContentFiles(torrent, settings, directoryPath) {
+  const selection = selectTorrentFiles(await listFiles(directoryPath), await getTorrentFiles(torrent), path.basename(directoryPath));
+  if (selection.extra.length > 0) {
+    log(`Warning: ${selection.extra.length} file(s) on disk are not part of the torrent and are skipped: ${selection.extra.join(', ')}`);
+  }
+  if (selection.problems.length > 0) {
+    // qBittorrent may still be moving the files; the next attempt looks again
+    throw new TransientError(`Files on disk do not match qBittorrent's file list: ${selection.problems.join('; ')}`);
+  }
+  if (selection.skipped.length > selection.extra.length) {
+    log(`Skipping ${selection.skipped.length - selection.extra.length} file(s) that are deselected or unfinished in qBittorrent`);
+  }
+
+  const { files, excluded } = filterFiles(selection.files, settings.filters);
+  if (excluded.length > 0) {
+    const excludedBytes = excluded.reduce((sum, file) => sum + file.size, 0);
+    log(`Filter rules exclude ${excluded.length} of ${files.length + excluded.length} file(s) (${formatSize(excludedBytes)})`);
+  }
+  if (files.length === 0) {
+    throw new PermanentError(`Nothing to upload in ${directoryPath}: ${selection.skipped.length + excluded.length} file(s) skipped or excluded`);
+  }
+  return { files, excluded: selection.skipped.concat(excluded) };
+}
+
+/**
+ * Volume size for archives of a torrent, from the plan of the user that owns it
+ * @param {Object} torrent Torrent being processed
+ * @returns {Promise<number>} Volume size in bytes, 0 to upload archives as one object
+ */
+async function getVolumeSize(torrent) {
+  const userCategory = await getTorrentCategory(torrent);
+  const plan = await backend.getUserPlan(userCategory);
+  const sizeMB = plan && config.volumes.plans[plan] !== undefined
+    ? config.volumes.plans[plan]
+    : config.volumes.defaultSizeMB;
+
+  if (sizeMB > 0) log(`Archive volume size: ${sizeMB} MB (${plan ? `${plan} plan` : 'default'})`);
+  return sizeMB * 1024 * 1024;
+}
+
+/**
+ * Seeding policy of a torrent, from its category and the plan of the user that owns it
+ * @param {Object} torrent Torrent being processed
+ * @returns {Promise<Object>} { ratio, hours } - see seeding.js
+ */
+async function getTorrentSeedingPolicy(torrent) {
+  const userCategory = await getTorrentCategory(torrent);
+  const plans = config.seeding.plans;
+  // Only ask the backend when a plan has a policy of its own
+  const plan = Object.keys(plans).some((name) => Object.keys(plans[name]).length > 0)
+    ? await backend.getUserPlan(userCategory)
+    : null;
+  return getSeedingPolicy(config, userCategory, plan);
+}
+
+/**
+ * Stream a directory into archive volumes no larger than volumeSize, in the configured style,
+ * and publish a manifest that describes how to reassemble them
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {string} directoryPath Directory to archive
+ * @param {Array<Object>} files Entries from listFiles
+ * @param {Array<Object>} excluded Files the filter rules left out, for the manifest
+ * @param {number} volumeSize Volume size in bytes
+ * @returns {Promise<boolean>} Success status
+ */
+async function uploadArchiveVolumes(torrent, settings, directoryPath, files, excluded, volumeSize) {
+  const targetFolder = torrent.category || UNCATEGORIZED_FOLDER;
+  const storage = getUploadStorage(settings, targetFolder);
+  const rootName = path.basename(directoryPath);
+  const archiveName = `${rootName}.${archiveExtension(config.archive.format)}`;
+  const totalBytes = files.reduce((sum, file) => sum + file.stats.size, 0);
+  const throttle = createThrottle(settings, totalBytes);
+  const archiveOptions = {
+    format: config.archive.format,
+    compressionLevel: config.archive.compressionLevel,
+    storeExtensions: config.archive.storeExtensions,
+    forceZip64: config.archive.forceZip64
+  };
+
+  let style = config.volumes.style;
+  let groups = null;
+  if (style === 'archives') {
+    groups = planArchiveVolumes(files, volumeSize);
+    if (!groups) {
+      log('A file is larger than the volume size, uploading numbered parts instead of separate archives');
+      style = 'parts';
     }
-    
-    const torrentInfo = torrentResponse.data[0];
-    log(`Found torrent: ${torrentInfo.name} (${torrentInfo.size} bytes)`);
-    
-    // Step 2: Try to get content_path from properties API
-    let contentPath = null;
-    try {
-      const propsResponse = await qbt.get('/torrents/properties', {
-        params: { hash: torrentHash },
-        headers: { Cookie: cookie }
-      });
-      
-      if (propsResponse.data && propsResponse.data.content_path) {
-        contentPath = propsResponse.data.content_path;
-        log(`Content path from API: ${contentPath}`);
+  }
+
+  log(`Streaming ${files.length} file(s) (${totalBytes} bytes) as ${style === 'parts' ? 'numbered parts of' : `${groups.length} volume(s) of`} ${archiveName}`);
+  const progress = createProgressReporter(torrent, 'uploading', totalBytes);
+  let split;
+
+  try {
+    if (style === 'parts') {
+      const archive = await createArchiveStream(directoryPath, Object.assign({
+        files,
+        onProgress: ({ processedBytes }) => progress.update(processedBytes)
+      }, archiveOptions));
+      split = await uploadStreamInParts(settings, targetFolder, archiveName, archive.stream, volumeSize, throttle);
+      split.files = archive.files;
+    } else {
+      split = { volumes: [], size: 0, sha256: null, files: [] };
+      let processedBefore = 0;
+
+      for (let i = 0; i < groups.length; i++) {
+        const name = volumeName(rootName, i + 1, groups.length);
+        const key = [settings.prefix, targetFolder, `${name}.${archiveExtension(config.archive.format)}`].filter(Boolean).join('/');
+        let volume = await findStoredObject(torrent, storage, key, groups[i]);
+
+        if (volume) {
+          log(`Volume ${i + 1}/${groups.length} was uploaded by an earlier run, skipping it`);
+        } else {
+          const archive = await createArchiveStream(directoryPath, Object.assign({
+            files: groups[i],
+            name,
+            onProgress: ({ processedBytes }) => progress.update(processedBefore + processedBytes)
+          }, archiveOptions));
+          await throttle.waitForWindow(log);
+          log(`Uploading volume ${i + 1}/${groups.length}: ${storage.describe(key)}`);
+
+          const result = await logger.step('upload', () => storage.uploadStream({
+            key,
+            stream: archive.stream,
+            sizeHint: estimateArchiveSize(groups[i]),
+            throttle,
+            log
+          }));
+          const verification = await verifyStoredObject(storage, result, result.contentMd5);
+
+          volume = {
+            size: result.size,
+            entry: withEncryption({ index: i + 1, key, size: result.size, sha256: result.sha256, etag: verification.etag }, result),
+            files: archive.files,
+            totalBytes: archive.totalBytes
+          };
+          journal.completeObject(torrent.hash, key, Object.assign({
+            source: sourceFingerprint(groups[i]),
+            expectedEtag: result.expectedEtag,
+            contentMd5: result.contentMd5
+          }, volume));
+        }
+
+        split.volumes.push(volume.entry);
+        split.size += volume.size;
+        volume.files.forEach((file) => split.files.push(Object.assign({ volume: i + 1 }, file)));
+        processedBefore += volume.totalBytes;
+        progress.update(processedBefore);
       }
-    } catch (error) {
-      log(`Warning: Could not get torrent properties: ${error.message}`);
-    }
-    
-    // Step 3: Get file list
-    const filesResponse = await qbt.get('/torrents/files', {
-      params: { hash: torrentHash },
-      headers: { Cookie: cookie }
-    });
-    
-    if (!filesResponse.data || !Array.isArray(filesResponse.data)) {
-      throw new Error('Failed to get files for torrent');
     }
-    
-    const files = filesResponse.data;
-    log(`Torrent has ${files.length} file(s)`);
-    
-    /* Log some file details for debugging
-    for (let i = 0; i < Math.min(files.length, 3); i++) {
+    split.excluded = excluded;
+    await progress.finish();
+  } catch (error) {
+    await progress.settle();
+    log(`Upload error: ${error.message}`);
+    throw error;
+  }
+
+  const { key, manifest } = buildVolumeManifest(torrent, settings, targetFolder, archiveName, style, volumeSize, split);
+  await completeUpload(torrent, settings, key, manifest, null, directoryPath);
+  return true;
+}
+
+/**
+ * Upload an archive built by the zip server as numbered parts no larger than volumeSize
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {string} filePath Archive to upload
+ * @param {string} sourceDir Directory the archive was built from
+ * @param {number} volumeSize Volume size in bytes
+ * @returns {Promise<boolean>} Success status
+ */
+async function uploadFileInParts(torrent, settings, filePath, sourceDir, volumeSize) {
+  const targetFolder = torrent.category || UNCATEGORIZED_FOLDER;
+  const archiveName = path.basename(filePath);
+  const totalBytes = fs.statSync(filePath).size;
+
+  if (config.volumes.style === 'archives') {
+    log('Archives built by the zip server can only be split into numbered parts');
+  }
+  log(`Uploading ${archiveName} (${totalBytes} bytes) as numbered parts`);
+
+  const { files, excluded } = await listContentFiles(torrent, settings, sourceDir);
+  const hashedFiles = await hashDirectory(sourceDir, files);
+  const progress = createProgressReporter(torrent, 'uploading', totalBytes);
+  let split;
+
+  try {
+    split = await uploadStreamInParts(settings, targetFolder, archiveName, fs.createReadStream(filePath), volumeSize,
+      createThrottle(settings, totalBytes), (uploadedBytes) => progress.update(uploadedBytes));
+    split.files = hashedFiles;
+    split.excluded = excluded;
+    await progress.finish();
+  } catch (error) {
+    await progress.settle();
+    log(`Upload error: ${error.message}`);
+    throw error;
+  }
+
+  const { key, manifest } = buildVolumeManifest(torrent, settings, targetFolder, archiveName, 'parts', volumeSize, split);
+  await completeUpload(torrent, settings, key, manifest, filePath, sourceDir);
+  return true;
+}
+
+/**
+ * Cut a stream into numbered parts and upload and verify each part as its own object
+ * @param {Object} settings Category upload settings
+ * @param {string} targetFolder Category folder
+ * @param {string} archiveName Name of the whole archive
+ * @param {Readable} stream Archive bytes
+ * @param {number} volumeSize Part size in bytes
+ * @param {Throttle} throttle Throttle of the job (see createThrottle)
+ * @param {Function} onProgress Optional, called with the bytes uploaded so far over all parts
+ * @returns {Promise<Object>} { volumes, size, sha256 } (see volumes.splitStream)
+ */
+async function uploadStreamInParts(settings, targetFolder, archiveName, stream, volumeSize, throttle, onProgress = () => {}) {
+  const storage = getUploadStorage(settings, targetFolder);
+  let uploadedBefore = 0;
+
+  return splitStream(stream, volumeSize, async (index, volumeStream) => {
+    const key = [settings.prefix, targetFolder, partName(archiveName, index)].filter(Boolean).join('/');
+    await throttle.waitForWindow(log);
+    log(`Uploading part ${index}: ${storage.describe(key)}`);
+
+    const result = await logger.step('upload', () => storage.uploadStream({
+      key,
+      stream: volumeStream,
+      sizeHint: volumeSize,
+      onProgress: ({ uploadedBytes }) => onProgress(uploadedBefore + uploadedBytes),
+      throttle,
+      log
+    }));
+    const verification = await verifyStoredObject(storage, result, result.contentMd5);
+    uploadedBefore += result.size;
+
+    return withEncryption({ index, key, size: result.size, sha256: result.sha256, etag: verification.etag }, result);
+  });
+}
+
+/**
+ * Manifest of a split archive, stored next to where the whole archive would be stored
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {string} targetFolder Category folder
+ * @param {string} archiveName Name of the whole archive
+ * @param {string} style 'parts' or 'archives'
+ * @param {number} volumeSize Volume size in bytes
+ * @param {Object} split { volumes, size, sha256, files, excluded }
+ * @returns {Object} { key, manifest } - key of the whole archive
+ */
+function buildVolumeManifest(torrent, settings, targetFolder, archiveName, style, volumeSize, split) {
+  const key = [settings.prefix, targetFolder, archiveName].filter(Boolean).join('/');
+  const names = split.volumes.map((volume) => path.posix.basename(volume.key));
+  const encrypted = split.volumes.some((volume) => volume.encryption);
+  log(`Uploaded ${split.volumes.length} volume(s), ${split.size} bytes in total`);
+  const reassembly = style === 'parts'
+    ? `Download all parts, then run: cat ${names.join(' ')} > ${archiveName} (or open ${names[0]} with 7-Zip)`
+    : 'Every volume is a complete archive; extract all volumes into the same folder';
+
+  const manifest = buildManifest({
+    torrent,
+    object: {
+      key,
+      size: split.size,
+      // For numbered parts this is the checksum of the rejoined archive
+      sha256: split.sha256,
+      type: 'volumes',
+      style,
+      volumeSize,
+      volumes: split.volumes,
+      reassembly: encrypted ? `Every volume is encrypted on its own; decrypt each one first. ${reassembly}` : reassembly
+    },
+    files: split.files,
+    excluded: split.excluded
+  });
+  return { key, manifest };
+}
+
+/**
+ * Upload every file of a directory as its own object under <category>/<directory name>/,
+ * keeping the directory tree, followed by an index of the uploaded files
+ * @param {Object} torrent Torrent being processed
+ * @param {string} directoryPath Directory to upload
+ * @returns {Promise<boolean>} Success status
+ */
+async function uploadDirectoryFiles(torrent, directoryPath) {
+  const userCategory = await getTorrentCategory(torrent);
+  const targetFolder = userCategory || UNCATEGORIZED_FOLDER;
+  const settings = getCategorySettings(config, userCategory);
+  const storage = getUploadStorage(settings, targetFolder);
+  const basePrefix = [settings.prefix, targetFolder, path.basename(directoryPath)].filter(Boolean).join('/');
+
+  const { files, excluded } = await listContentFiles(torrent, settings, directoryPath);
+  const totalBytes = files.reduce((sum, file) => sum + file.stats.size, 0);
+  log(`Uploading ${files.length} file(s) (${totalBytes} bytes) to ${storage.describe(basePrefix)}/`);
+
+  const progress = createProgressReporter(torrent, 'uploading', totalBytes);
+  const throttle = createThrottle(settings, totalBytes);
+  const entries = [];
+  let uploadedBefore = 0;
+
+  try {
+    for (const file of files) {
+      const key = `${basePrefix}/${file.relativePath}`;
+      const stored = await findStoredObject(torrent, storage, key, [file]);
+      if (stored) {
+        log(`${file.relativePath} was uploaded by an earlier run, skipping it`);
+        entries.push(stored.entry);
+        uploadedBefore += stored.size;
+        progress.update(uploadedBefore);
+        continue;
+      }
+
+      await throttle.waitForWindow(log);
+      log(`Uploading ${file.relativePath}`);
+
+      const checksums = await logger.step('checksum', () => hashFile(file.absolutePath));
+      const result = await logger.step('upload', () => storage.uploadFile({
+        key,
+        filePath: file.absolutePath,
+        onProgress: ({ uploadedBytes }) => progress.update(uploadedBefore + uploadedBytes),
+        throttle,
+        log
+      }));
+      const contentMd5 = result.contentMd5 || checksums.md5;
+      const verification = await verifyStoredObject(storage, result, contentMd5);
+
+      const entry = withEncryption({ path: file.relativePath, key, size: result.size, sha256: checksums.sha256, etag: verification.etag }, result);
+      journal.completeObject(torrent.hash, key, {
+        source: sourceFingerprint([file]),
+        size: result.size,
+        expectedEtag: result.expectedEtag,
+        contentMd5,
+        entry
+      });
+      entries.push(entry);
+      uploadedBefore += result.size;
+    }
+    await progress.finish();
+  } catch (error) {
+    await progress.settle();
+    log(`Upload error: ${error.message}`);
+    throw error;
+  }
+  log(`All ${entries.length} file(s) uploaded and verified`);
+
+  const index = buildManifest({
+    torrent,
+    object: { key: `${basePrefix}/`, size: totalBytes, type: 'files' },
+    files: entries,
+    excluded
+  });
+  await completeUpload(torrent, settings, basePrefix, index, null, directoryPath);
+  return true;
+}
+
+/**
+ * Paths, sizes and checksums of the content an uploaded file stands for
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {string} filePath Uploaded file
+ * @param {string|null} sourceDir Source directory of the torrent, if any
+ * @param {string} fileSha256 SHA-256 of the uploaded file
+ * @returns {Promise<Object>} { files: [{ path, size, sha256 }], excluded: [{ path, size, reason }] }
+ */
+async function describeSourceFiles(torrent, settings, filePath, sourceDir, fileSha256) {
+  const size = fs.statSync(filePath).size;
+
+  if (!sourceDir) {
+    return { files: [{ path: path.basename(filePath), size, sha256: fileSha256 }], excluded: [] };
+  }
+
+  if (!isArchiveOf(filePath, sourceDir)) {
+    // Single file inside the torrent directory
+    return { files: [{ path: path.relative(sourceDir, filePath).split(path.sep).join('/'), size, sha256: fileSha256 }], excluded: [] };
+  }
+
+  // Archive built by the zip server: list what went into it
+  const { files, excluded } = await listContentFiles(torrent, settings, sourceDir);
+  return { files: await hashDirectory(sourceDir, files), excluded };
+}
+
+/**
+ * Whether an uploaded file is an archive of its source directory (built by the zip server)
+ * rather than a file inside it
+ * @param {string} filePath Uploaded file
+ * @param {string|null} sourceDir Source directory of the torrent, if any
+ * @returns {boolean} True for an archive
+ */
+function isArchiveOf(filePath, sourceDir) {
+  if (!sourceDir) return false;
+  const relativePath = path.relative(sourceDir, filePath);
+  return relativePath.startsWith('..') || path.isAbsolute(relativePath);
+}
+
+/**
+ * Check the stored object against what was uploaded and build its checksum manifest.
+ * Nothing is published or deleted unless this succeeds.
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} storage Storage backend the object was uploaded to
+ * @param {Object} result Upload result from the storage backend
+ * @param {Object} content { sha256, md5, type, files, excluded } of the uploaded object
+ * @returns {Promise<Object>} Manifest
+ * @throws {TransientError} If the stored object does not match
+ */
+async function verifyUpload(torrent, storage, result, content) {
+  // Encrypted uploads report the MD5 of the stored ciphertext
+  const verification = await verifyStoredObject(storage, result, result.contentMd5 || content.md5);
+  log(`Verified ${result.key}: ${result.size} bytes${verification.etag ? `, ETag ${verification.etag}` : ''}, SHA-256 ${content.sha256}`);
+
+  const manifest = buildManifest({
+    torrent,
+    object: withEncryption({
+      key: result.key,
+      size: result.size,
+      sha256: content.sha256,
+      etag: verification.etag,
+      type: content.type
+    }, result),
+    files: content.files,
+    excluded: content.excluded
+  });
+  return manifest;
+}
+
+/**
+ * Add what decrypting a stored object needs to its manifest entry, if it was encrypted
+ * @param {Object} entry Manifest entry of the object
+ * @param {Object} result Upload result from the storage backend
+ * @returns {Object} The entry
+ */
+function withEncryption(entry, result) {
+  if (result.encryption) entry.encryption = result.encryption;
+  return entry;
+}
+
+/**
+ * Compare a stored object with the size and checksums computed while uploading it
+ * @param {Object} storage Storage backend the object was uploaded to
+ * @param {Object} result Upload result from the storage backend
+ * @param {string} contentMd5 MD5 of the whole content, if known
+ * @returns {Promise<Object>} Verification result { ok, problems, size, etag }
+ * @throws {TransientError} If the stored object does not match
+ */
+async function verifyStoredObject(storage, result, contentMd5) {
+  return logger.step('verify', async () => {
+    const verification = await storage.verifyObject({
+      key: result.key,
+      size: result.size,
+      expectedEtag: result.expectedEtag,
+      contentMd5
+    });
+    if (!verification.ok) {
+      throw new TransientError(`Uploaded object ${result.key} failed verification: ${verification.problems.join('; ')}`);
+    }
+    return verification;
+  });
+}
+
+/**
+ * An object that an earlier run of the torrent uploaded from the same files, if it is still stored as it was
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} storage Storage backend the object is uploaded to
+ * @param {string} key Object key
+ * @param {Array<Object>} files Files the object is made of
+ * @returns {Promise<Object|null>} What journal.completeObject recorded for it, or null if it has to be uploaded
+ */
+async function findStoredObject(torrent, storage, key, files) {
+  const recorded = journal.object(torrent.hash, key);
+  if (!recorded || recorded.source !== sourceFingerprint(files)) return null;
+
+  let problems;
+  try {
+    problems = (await storage.verifyObject({
+      key,
+      size: recorded.size,
+      expectedEtag: recorded.expectedEtag,
+      contentMd5: recorded.contentMd5
+    })).problems;
+  } catch (error) {
+    // Usually gone from the storage; anything worse shows when it is uploaded again
+    problems = [error.message];
+  }
+  if (problems.length > 0) {
+    log(`${key} from an earlier run is no longer stored as it was (${problems.join('; ')}), uploading it again`);
+    return null;
+  }
+  return recorded;
+}
+
+/**
+ * Store a manifest next to the object (or folder of objects) it describes
+ * @param {Object} settings Category upload settings
+ * @param {string} key Key of the described object, or the folder prefix in the files layout
+ * @param {Object} manifest Manifest from manifest.buildManifest
+ * @returns {Promise<Object>} Stored manifest: { key, size }
+ */
+async function uploadManifest(settings, key, manifest) {
+  const manifestKey = manifestKeyFor(key);
+  const storage = getStorage(settings);
+  const stored = await storage.putObject({
+    key: manifestKey,
+    body: JSON.stringify(manifest, null, 2),
+    contentType: 'application/json'
+  });
+  log(`Checksum manifest uploaded: ${storage.describe(manifestKey)} (${manifest.files.length} file(s))`);
+  return { key: manifestKey, size: stored.size };
+}
+
+/**
+ * Store the manifest of a finished upload, then create download links and record them with the backend,
+ * for every owner of the torrent. The content is stored once, in the category's folder; every other
+ * owner gets a reference: a copy of the manifest in their own folder, pointing at the same objects.
+ * Encrypted content stays under the key of the category's owner, which --decrypt unwraps from any of them.
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {string} key Key of the uploaded object, or the folder prefix in the files layout
+ * @param {Object} manifest Manifest from manifest.buildManifest
+ * @returns {Promise<Object>} { owners, objects, link } - owners the content was delivered to, the stored
+ *   keys and the download link of the category's owner
+ */
+async function publishUpload(torrent, settings, key, manifest) {
+  return logger.step('publish', async () => {
+    const owners = await getTorrentOwners(torrent);
+    const [folder, ...others] = owners;
+    const shared = Object.assign({}, manifest, { owners });
+    const stored = await uploadManifest(settings, key, shared);
+    const record = await recordDownloadLinks(torrent, settings, shared, stored.key, folder);
+    await recordStoredBytes(torrent, folder, shared, stored);
+
+    for (const owner of others) {
+      const reference = Object.assign({}, shared, { sharedFrom: stored.key });
+      const referenceStored = await uploadManifest(settings, ownerKeyFor(settings, key, folder, owner), reference);
+      await recordDownloadLinks(torrent, settings, reference, referenceStored.key, owner);
+      await recordStoredBytes(torrent, owner, reference, referenceStored);
+    }
+    if (others.length > 0) log(`Content shared with ${others.length} other owner(s): ${others.join(', ')}`);
+    return {
+      owners,
+      objects: record.objects.map((item) => item.key).concat(stored.key),
+      link: record.downloadUrl || record.manifestUrl
+    };
+  });
+}
+
+/**
+ * Objects a user downloads to get a torrent's content, as described by its manifest
+ * @param {Object} manifest Manifest from manifest.buildManifest
+ * @returns {Array<Object>} [{ key, size, sha256, encrypted }], with the path of each file in the files layout.
+ *   Encrypted objects have to go through the decryption (--decrypt) before they are served to the owner.
+ */
+function downloadObjects(manifest) {
+  const { object } = manifest;
+  if (object.type === 'volumes') {
+    return object.volumes.map((volume) => ({ key: volume.key, size: volume.size, sha256: volume.sha256, encrypted: !!volume.encryption }));
+  }
+  if (object.type === 'files') {
+    return manifest.files.map((file) => ({ path: file.path, key: file.key, size: file.size, sha256: file.sha256, encrypted: !!file.encryption }));
+  }
+  return [{ key: object.key, size: object.size, sha256: object.sha256, encrypted: !!object.encryption }];
+}
+
+/**
+ * Create download links for an upload and post them to the backend. On S3 these are pre-signed
+ * and expire; other storages link to where the objects are served from.
+ * Runs before the torrent is tagged Ready, so the web UI finds the links when it sees the tag.
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {Object} manifest Manifest of the upload
+ * @param {string} manifestKey Key of the stored manifest
+ * @param {string} owner Owner the links are recorded for
+ * @returns {Promise<Object>} The recorded links
+ * @throws {TransientError} If the backend could not record the links
+ */
+async function recordDownloadLinks(torrent, settings, manifest, manifestKey, owner) {
+  const storage = getStorage(settings);
+  const expiresIn = config.links.expiryHours * 60 * 60;
+  const sign = (objectKey) => storage.downloadLink({ key: objectKey, expiresIn });
+
+  const objects = [];
+  for (const item of downloadObjects(manifest)) {
+    objects.push(Object.assign({}, item, { url: await sign(item.key) }));
+  }
+
+  const record = {
+    torrentName: torrent.name,
+    owner,
+    type: manifest.object.type,
+    storage: settings.storage,
+    bucket: storage.type === 's3' ? settings.bucket : null,
+    key: manifest.object.key,
+    size: manifest.object.size,
+    sha256: manifest.object.sha256,
+    encrypted: objects.some((item) => item.encrypted),
+    manifestKey,
+    manifestUrl: await sign(manifestKey),
+    // Single-object uploads get one download button; the others list every object
+    downloadUrl: objects.length === 1 ? objects[0].url : '',
+    expiresAt: storage.signedLinks ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+    objects
+  };
+  log(`Created ${objects.length} download link(s) for ${owner}${record.expiresAt ? `, valid until ${record.expiresAt}` : ''}`);
+
+  if (!backend.enabled) {
+    // Links carry a signature, so they are only printed when there is nowhere else to put them
+    log(`Download link: ${record.downloadUrl || record.manifestUrl}`);
+    return record;
+  }
+
+  try {
+    await backend.recordUpload(torrent.hash, record);
+    log(`Download links recorded with the backend for ${owner}`);
+  } catch (error) {
+    throw new TransientError(`Could not record the download links with the backend: ${error.message}`, error);
+  }
+  return record;
+}
+
+/**
+ * Add what an owner now has in storage to their stored-bytes ledger on the backend: the objects of the
+ * upload and the owner's manifest. Shared content is reported for every owner that references it; the
+ * ledger is kept by key, so the backend can tell how many bytes are really stored.
+ * @param {Object} torrent Torrent being processed
+ * @param {string} owner Owner (category folder) the objects are reported for
+ * @param {Object} manifest Manifest of the upload
+ * @param {Object} storedManifest The owner's manifest in storage: { key, size }
+ * @returns {Promise<void>}
+ * @throws {TransientError} If the backend could not record them
+ */
+async function recordStoredBytes(torrent, owner, manifest, storedManifest) {
+  if (!backend.enabled) return;
+
+  const objects = downloadObjects(manifest).map((item) => ({ key: item.key, size: item.size })).concat(storedManifest);
+  try {
+    await backend.updateStoredBytes(owner, torrent.hash, 'add', objects);
+  } catch (error) {
+    throw new TransientError(`Could not record the stored bytes of ${owner} with the backend: ${error.message}`, error);
+  }
+  log(`Stored bytes recorded for ${owner}: ${objects.reduce((sum, object) => sum + object.size, 0)} bytes in ${objects.length} object(s)`);
+}
+
+/**
+ * Progress reporter that publishes tags like "Uploading 42%" and backend progress records
+ * @param {Object} torrent Torrent being processed
+ * @param {string} phase 'packaging' or 'uploading'
+ * @param {number} totalBytes Bytes expected for the phase
+ * @returns {ProgressReporter} Reporter
+ */
+function createProgressReporter(torrent, phase, totalBytes) {
+  return new ProgressReporter({
+    hash: torrent.hash,
+    phase,
+    totalBytes,
+    setTag,
+    backend,
+    tagIntervalMs: config.progress.tagIntervalSeconds * 1000,
+    recordIntervalMs: config.progress.recordIntervalSeconds * 1000,
+    log
+  });
+}
+
+/**
+ * Finish an uploaded torrent: publish the manifest and download links, then delete the content and
+ * stop the torrent. Every step is journaled, so a rerun after a crash skips the steps already done.
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {string} key Key of the uploaded object, or the folder prefix in the files layout
+ * @param {Object} manifest Manifest from manifest.buildManifest
+ * @param {string|null} filePath Uploaded file to delete, if any
+ * @param {string|null} sourceDir Source directory to delete, if any
+ * @returns {Promise<void>}
+ */
+async function completeUpload(torrent, settings, key, manifest, filePath, sourceDir) {
+  if (!journal.step(torrent.hash, 'upload')) {
+    journal.complete(torrent.hash, 'upload', { key, manifest, filePath, sourceDir });
+  }
+
+  if (journal.step(torrent.hash, 'publish')) {
+    log('Manifest and download links were already published by an earlier run');
+  } else {
+    journal.complete(torrent.hash, 'publish', await publishUpload(torrent, settings, key, manifest));
+  }
+
+  await runPostUploadActions(torrent, settings, filePath, sourceDir);
+}
+
+/**
+ * Delete uploaded content and stop the torrent, as configured for the category. Under a seeding policy
+ * both wait until the torrent has seeded enough (see checkSeeding). Each is journaled only once it
+ * succeeded, so a rerun of the torrent tries a failed one again.
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} settings Category upload settings
+ * @param {string|null} filePath Uploaded file to delete, if any
+ * @param {string|null} sourceDir Source directory to delete, if any
+ * @returns {Promise<void>}
+ */
+async function runPostUploadActions(torrent, settings, filePath, sourceDir) {
+  await logger.step('cleanup', async () => {
+    try {
+      const deleted = journal.step(torrent.hash, 'delete');
+      if (deleted && deleted.seeding) {
+        log('Torrent is already seeding under its policy since an earlier run');
+        return;
+      }
+      const policy = deleted ? null : await getTorrentSeedingPolicy(torrent);
+      if (hasLimit(policy)) {
+        seeding.add({
+          hash: torrent.hash,
+          name: torrent.name,
+          category: torrent.category || '',
+          savePath: torrent.savePath,
+          policy,
+          filePath,
+          sourceDir
+        });
+        journal.complete(torrent.hash, 'delete', { seeding: true });
+        journal.complete(torrent.hash, 'stop', { seeding: true });
+        log(`Seeding until ${describePolicy(policy)}; the content is deleted and the torrent removed after that`);
+        return;
+      }
+
+      if (deleted) {
+        log('Content was already deleted by an earlier run');
+      } else {
+        let deletedAll = true;
+
+        // 1. Delete the file if configured
+        if (filePath && settings.deleteAfterUpload) {
+          deletedAll = await deleteContent(torrent, filePath) && deletedAll;
+        } else if (filePath) {
+          log(`File deletion skipped (deleteAfterUpload is false): ${path.basename(filePath)}`);
+        }
+
+        // 2. Delete the source directory if provided and configured
+        if (sourceDir && settings.deleteDirectoryAfterUpload) {
+          deletedAll = await deleteContent(torrent, sourceDir) && deletedAll;
+        } else if (sourceDir) {
+          log(`Directory deletion skipped (deleteDirectoryAfterUpload is false): ${path.basename(sourceDir)}`);
+        }
+        if (deletedAll) journal.complete(torrent.hash, 'delete');
+      }
+
+      // 3. Stop the torrent if configured
+      if (journal.step(torrent.hash, 'stop')) {
+        log('Torrent was already stopped by an earlier run');
+      } else if (!settings.stopTorrentAfterUpload) {
+        log('Skipping torrent stop (stopTorrentAfterUpload is false)');
+        journal.complete(torrent.hash, 'stop');
+      } else if (await stopTorrent(torrent.hash)) {
+        journal.complete(torrent.hash, 'stop');
+      }
+    } catch (postUploadError) {
+      log(`Warning: Post-upload operations had errors: ${postUploadError.message}`);
+      // Continue despite post-upload errors
+    }
+  });
+}
+
+/**
+ * Check every torrent seeding under a policy, each under its lock. Torrents a job is working on
+ * are left for the next check.
+ * @returns {Promise<void>}
+ */
+async function checkSeeding() {
+  for (const tracked of seeding.list()) {
+    let release;
+    try {
+      release = journal.lock(tracked.hash);
+    } catch (error) {
+      if (!(error instanceof LockHeldError)) log(`Warning: Could not lock ${tracked.hash} to check its seeding: ${error.message}`);
+      continue;
+    }
+
+    try {
+      // Read again under the lock, a job may have finished it meanwhile
+      const entry = seeding.read(tracked.hash);
+      if (entry) await logger.runWithContext({ hash: entry.hash, torrent: entry.name }, () => checkSeedingTorrent(entry));
+    } finally {
+      release();
+    }
+  }
+}
+
+/**
+ * Check one torrent seeding under a policy: update its "Seeding (ratio 0.4)" tag or, once a limit is reached,
+ * stop it, delete its content and remove it from qBittorrent. Problems are logged, not thrown; the next
+ * check tries again.
+ * @param {Object} entry Tracked torrent from the seeding tracker
+ * @returns {Promise<void>}
+ */
+async function checkSeedingTorrent(entry) {
+  try {
+    const info = await qbt.torrentInfo(entry.hash);
+    if (!info) {
+      log('Torrent is no longer in qBittorrent, dropping its seeding policy');
+      seeding.remove(entry.hash);
+      return;
+    }
+
+    const status = evaluatePolicy(entry.policy, info.ratio, entry.startedAt);
+    if (status.done) {
+      await finishSeeding(entry, status.reason);
+      return;
+    }
+
+    // Next to Ready, which the web app looks for; an earlier ratio's tag is replaced
+    const tag = seedingTag(info.ratio);
+    const tags = info.tags ? info.tags.split(',').map((item) => item.trim()) : [];
+    if (!tags.includes(tag)) {
+      const stale = tags.filter(isSeedingTag);
+      if (stale.length > 0) await qbt.removeTags(entry.hash, stale);
+      await qbt.addTags(entry.hash, tag);
+      log(`Set torrent tag: ${tag}`);
+    }
+    seeding.update(entry.hash, { ratio: info.ratio, checkedAt: new Date().toISOString() });
+  } catch (error) {
+    log(`Warning: Could not check the seeding policy: ${error.message}`);
+  }
+}
+
+/**
+ * End seeding: stop the torrent, move its content to the quarantine and remove it from qBittorrent. The content
+ * goes whatever deleteAfterUpload and deleteDirectoryAfterUpload say: once the torrent is gone nothing would
+ * track it.
+ * If some content could not be deleted the torrent stays (stopped), so the next check can try again.
+ * @param {Object} entry Tracked torrent from the seeding tracker
+ * @param {string} reason Which limit was reached
+ * @returns {Promise<void>}
+ */
+async function finishSeeding(entry, reason) {
+  log(`Seeding finished: ${reason}`);
+  const torrent = { hash: entry.hash, name: entry.name, savePath: entry.savePath, category: entry.category };
+  await stopTorrent(entry.hash);
+
+  let deleted = true;
+  for (const targetPath of [entry.filePath, entry.sourceDir].filter(Boolean)) {
+    deleted = await deleteContent(torrent, targetPath) && deleted;
+  }
+  if (!deleted) {
+    log('Keeping the torrent in qBittorrent until its content is deleted, trying again at the next check', { level: 'warn' });
+    return;
+  }
+
+  // Content is deleted through the quarantine only, so qBittorrent must not delete any files itself
+  await qbt.deleteTorrent(entry.hash, false);
+  seeding.remove(entry.hash);
+  log('Removed the torrent from qBittorrent');
+}
+
+/**
+ * Abort multipart uploads that were abandoned and can no longer be resumed
+ * @returns {Promise<void>}
+ */
+async function cleanupStaleUploads() {
+  // Every storage/bucket/prefix a category can upload to
+  const targets = new Map();
+  [config.upload, ...Object.keys(config.categories).map((name) => getCategorySettings(config, name))]
+    .forEach((settings) => targets.set(`${settings.storage}/${settings.bucket}/${settings.prefix}`, settings));
+
+  for (const settings of targets.values()) {
+    const storage = getStorage(settings);
+    // Only S3 leaves anything behind; the other storages replace partial files on the next attempt
+    if (!storage.cleanupStale) continue;
+
+    try {
+      const aborted = await storage.cleanupStale({
+        prefix: settings.prefix ? `${settings.prefix}/` : '',
+        maxAgeMs: S3_STALE_UPLOAD_AGE,
+        log
+      });
+      if (aborted > 0) log(`Cleaned up ${aborted} stale multipart upload(s) in ${settings.bucket}`);
+    } catch (error) {
+      log(`Warning: Could not clean up stale multipart uploads in ${settings.bucket}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Determine content details (file/directory structure) for a torrent
+ * @param {Object} torrent Torrent being processed
+ * @returns {Promise<Object>} Content details object
+ */
+async function detectContentStructure(torrent) {
+  const { hash: torrentHash, savePath, rootPath } = torrent;
+
+  try {
+    // Step 1: Get basic torrent info
+    const torrentInfo = await qbt.torrentInfo(torrentHash);
+    
+    if (!torrentInfo) {
+      throw new PermanentError('Torrent not found');
+    }
+    
+    log(`Found torrent: ${torrentInfo.name} (${torrentInfo.size} bytes)`);
+    
+    // Step 2: Try to get content_path from properties API
+    let contentPath = null;
+    try {
+      const properties = await qbt.torrentProperties(torrentHash);
+      
+      if (properties && properties.content_path) {
+        contentPath = properties.content_path;
+        log(`Content path from API: ${contentPath}`);
+      }
+    } catch (error) {
+      log(`Warning: Could not get torrent properties: ${error.message}`);
+    }
+    
+    // Step 3: Get file list
+    const files = await qbt.torrentFiles(torrentHash);
+    log(`Torrent has ${files.length} file(s)`);
+    
+    /* Log some file details for debugging
+    for (let i = 0; i < Math.min(files.length, 3); i++) {
       log(`File ${i+1}: ${files[i].name} (${files[i].size} bytes)`);
     }
     */
@@ -543,285 +1753,291 @@ async function detectContentStructure() {
 }
 
 /**
- * Enhanced poll zip progress function for handling large files
- * Combines server API checks with file existence and size monitoring
- * 
- * @param {string} hash Torrent hash
- * @param {string} zipPath Expected zip file path
- * @returns {Promise<boolean>} Success status
+ * Wait until the zip server confirms the zip of a torrent, and check the zip against what it reported.
+ * Progress events from the server become "Zipping <percent>%" tags.
+ * @param {Object} torrent Torrent being processed
+ * @param {string} zipPath Zip the server builds next to the directory
+ * @returns {Promise<void>} Resolves once the zip is complete and matches
+ * @throws {Error} TransientError or PermanentError, see zip-status.js
  */
-async function pollZipProgress(hash, zipPath) {
-  log('Starting to monitor zip progress...');
-  
-  // Tracking variables
-  let lastProgress = 0;
-  let lastFileSize = 0;
-  let sameProgressCount = 0;
-  let sameFileSizeCount = 0;
-  let fileExistsCount = 0;
-  let errorCount = 0;
-  const pollInterval = 3000; // 3 seconds between checks
-  const maxErrors = 10;
-  const maxSameFileSizeChecks = 10; // Consider complete after 10 checks with same file size
-  const maxAttempts = 600; // Maximum polling attempts (30 minutes)
-  let attempts = 0;
-  
-  // Initial file check
-  let fileExists = fs.existsSync(zipPath);
-  if (fileExists) {
-    const stats = fs.statSync(zipPath);
-    lastFileSize = stats.size;
-    log(`Initial check: Zip file exists with size ${formatSize(lastFileSize)}`);
-    fileExistsCount++;
-  } else {
-    log('Initial check: Zip file does not exist yet');
-  }
-  
-  // Helper function to format file size
-  function formatSize(bytes) {
-    if (bytes < 1024) return bytes + ' bytes';
-    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(2) + ' KB';
-    if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
-    return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
-  }
-  
-  // Main polling loop
-  while (attempts < maxAttempts && errorCount < maxErrors) {
-    attempts++;
-    log(`Poll attempt #${attempts}/${maxAttempts}`);
-    
-    // STEP 1: Check if file exists and check its size
-    const currentFileExists = fs.existsSync(zipPath);
-    
-    if (currentFileExists) {
-      try {
-        const stats = fs.statSync(zipPath);
-        const currentSize = stats.size;
-        
-        // Log file existence and size
-        if (!fileExists) {
-          log(`Zip file appeared: ${zipPath} with size ${formatSize(currentSize)}`);
-          fileExists = true;
-          fileExistsCount = 1;
-        } else {
-          fileExistsCount++;
-        }
-        
-        // Check if the file size has changed
-        if (currentSize > 0 && currentSize === lastFileSize) {
-          sameFileSizeCount++;
-          log(`File size unchanged for ${sameFileSizeCount} checks: ${formatSize(currentSize)}`);
-          
-          // If file size hasn't changed for several consecutive checks, consider it complete
-          if (sameFileSizeCount >= maxSameFileSizeChecks) {
-            log(`File size remained stable at ${formatSize(currentSize)} for ${sameFileSizeCount} checks`);
-            log('Considering zip complete based on stable file size');
-            return true;
-          }
-        } else if (currentSize !== lastFileSize) {
-          // Reset counter if size changed
-          sameFileSizeCount = 0;
-          if (lastFileSize > 0) {
-            log(`File size changed: ${formatSize(lastFileSize)} -> ${formatSize(currentSize)}`);
-          }
-          lastFileSize = currentSize;
-        }
-      } catch (statError) {
-        log(`Error checking file stats: ${statError.message}`);
-        // Continue to API check even if stat check fails
-      }
-    } else if (fileExists) {
-      log('Warning: Zip file no longer exists!');
-      fileExists = false;
-      fileExistsCount = 0;
-      lastFileSize = 0;
-    }
-    
-    // STEP 2: Check with the server API
-    try {
-      const response = await zipServer.post('/check-zip-progress', { hash });
-      
-      const data = response.data;
-      const currentProgress = data.progress || 0;
-      
-      // Log progress changes
-      if (currentProgress !== lastProgress) {
-        log(`Zip progress from server: ${currentProgress}%`);
-        sameProgressCount = 0;
-        lastProgress = currentProgress;
-      } else {
-        sameProgressCount++;
-        log(`Progress unchanged for ${sameProgressCount} checks: ${currentProgress}%`);
-      }
-      
-      // If server reports complete, we're done
-      if (data.status === 'complete') {
-        log('Server reported zip creation is complete');
-        return true;
-      } else if (data.status === 'error') {
-        log(`Server reported error in zip creation: ${data.message}`);
-        return false;
-      }
-      
-      // If progress is high and hasn't changed, check if file exists with substantial size
-      if (sameProgressCount >= 5 && currentProgress > 80 && currentFileExists) {
-        const currentSize = fs.statSync(zipPath).size;
-        if (currentSize > 1024 * 1024) { // Greater than 1MB
-          log(`Progress stalled at ${currentProgress}% but file exists with size ${formatSize(currentSize)}`);
-          
-          // If file size is also stable, consider it complete
-          if (sameFileSizeCount >= 3) {
-            log('Considering zip complete based on high progress + stable file size');
-            return true;
-          }
-        }
-      }
-      
-    } catch (error) {
-      errorCount++;
-      log(`API error (${errorCount}/${maxErrors}): ${error.message}`);
-      
-      // If we have API errors but file exists and has stable size, consider complete
-      if (currentFileExists && lastFileSize > 0 && sameFileSizeCount >= maxSameFileSizeChecks/2) {
-        log(`API errors but file exists with stable size ${formatSize(lastFileSize)}`);
-        log('Considering zip complete despite API errors');
-        return true;
-      }
-    }
-    
-    // Wait before next poll
-    await new Promise(resolve => setTimeout(resolve, pollInterval));
-  }
-  
-  // If we have a file with size after all attempts, consider it success
-  if (fileExists && lastFileSize > 0) {
-    log(`Polling ended but file exists with size ${formatSize(lastFileSize)}`);
-    return true;
-  }
-  
-  // Handle timeouts and errors
-  if (attempts >= maxAttempts) {
-    log(`Maximum polling attempts (${maxAttempts}) reached`);
-  }
-  
-  if (errorCount >= maxErrors) {
-    log(`Too many errors (${errorCount}) while polling zip progress`);
-  }
-  
-  return false;
+async function waitForZipCompletion(torrent, zipPath) {
+  log('Waiting for the zip server to confirm the zip...');
+  let progress = null;
+
+  const completion = await waitForZip(zipServer, torrent.hash, {
+    timeoutMs: config.zipServer.timeoutMinutes * 60 * 1000,
+    onProgress: (event) => {
+      if (!progress && event.totalBytes > 0) progress = createProgressReporter(torrent, 'packaging', event.totalBytes);
+      if (progress && typeof event.processedBytes === 'number') progress.update(event.processedBytes);
+    },
+    log
+  });
+  if (progress) await progress.finish();
+
+  log(`Zip server reports the zip complete: ${completion.size} bytes, SHA-256 ${completion.sha256}`);
+  await confirmZip(zipPath, completion);
+  log(`Zip confirmed: ${zipPath}`);
 }
 
 /**
- * Process a directory by creating a zip and uploading to S3
- * @param {string} hash Torrent hash
+ * Process a directory by creating an archive and uploading to S3.
+ * In "stream" archive mode the uploader builds the archive itself, in "server"
+ * mode the zip server creates a zip next to the directory first.
+ * @param {Object} torrent Torrent being processed
  * @param {string} directoryPath Path to directory
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} Resolves true on success
+ * @throws {Error} On failure, after the failure tag has been set
  */
-async function processDirectory(hash, directoryPath) {
+async function processDirectory(torrent, directoryPath) {
+  const hash = torrent.hash;
+
+  if (config.archive.mode === 'stream') {
+    try {
+      await setTag(hash, 'Zipping');
+      await uploadDirectoryArchive(torrent, directoryPath);
+      await setTag(hash, 'Ready');
+      log('Archive uploaded to S3 successfully');
+      return true;
+    } catch (error) {
+      log(`Streaming archive upload failed: ${error.message}`);
+      throw await tagFailure(hash, 'Upload Failed', error);
+    }
+  }
+
   try {
     const zipPath = `${directoryPath}.zip`;
     log(`Expected zip path: ${zipPath}`);
     
     await setTag(hash, 'Zipping');
     
-    // Check if zip already exists locally
-    if (fs.existsSync(zipPath)) {
-      log(`Zip file already exists locally: ${zipPath}`);
-      await setTag(hash, 'Preparing link');
-      
-      try {
-        // Pass the directory path as the source directory
-        await uploadToS3(zipPath, directoryPath);
-        await setTag(hash, 'Ready');
-        return true;
-      } catch (error) {
-        log(`Upload of existing zip failed: ${error.message}`);
-        await setTag(hash, 'Upload Failed');
-        return false;
-      }
-    }
-    
-    // Request zip creation from server
+    // Request zip creation from server. A zip that is already on disk is not trusted on its own
+    // (it may be left over from an interrupted run); the server has to confirm it either way.
     log('Sending zip request to API');
-    const userCategory = await getTorrentCategory(hash);
+    const userCategory = await getTorrentCategory(torrent);
+    const { excluded } = await listContentFiles(torrent, getCategorySettings(config, userCategory), directoryPath);
     
+    // exclude lists paths inside the directory that the zip server leaves out of the zip
     const response = await zipServer.post('/download', {
       hash: hash,
-      currentUser: userCategory || 'qbittorent',
-      qbtZipRequest: true
+      currentUser: userCategory || UNCATEGORIZED_FOLDER,
+      qbtZipRequest: true,
+      exclude: excluded.length > 0 ? excluded.map((file) => file.path) : undefined
     });
     
     if (response.data.status === 'exists') {
       log('Server reports zip file already exists');
-      
-      if (fs.existsSync(zipPath)) {
-        log(`Confirmed zip file exists: ${zipPath}`);
-        await setTag(hash, 'Preparing link');
-        
-        try {
-          await uploadToS3(zipPath, directoryPath);
-          await setTag(hash, 'Ready');
-          return true;
-        } catch (error) {
-          log(`Upload failed: ${error.message}`);
-          await setTag(hash, 'Upload Failed');
-          return false;
-        }
-      } else {
-        log(`WARNING: Server reports zip exists but file not found: ${zipPath}`);
-        await setTag(hash, 'Error');
-        return false;
-      }
     } else if (response.data.status === 'zipping') {
       log(`Initial zip progress: ${response.data.progress || 0}%`);
-      
-      const zipSuccess = await pollZipProgress(hash, zipPath);
-      
-      if (zipSuccess) {
-        log('Zip file created successfully. Uploading to S3...');
-        await setTag(hash, 'Preparing link');
-        
-        try {
-          await uploadToS3(zipPath, directoryPath);
-          await setTag(hash, 'Ready');
-          log('Zip file uploaded to S3 successfully');
-          return true;
-        } catch (error) {
-          log(`Upload failed: ${error.message}`);
-          await setTag(hash, 'Upload Failed');
-          return false;
-        }
-      } else {
-        await setTag(hash, 'Error');
-        return false;
-      }
     } else {
       log(`Unexpected server response: ${JSON.stringify(response.data)}`);
-      await setTag(hash, 'Error');
-      return false;
+      throw await tagFailure(hash, 'Error', new TransientError(`Unexpected zip server response: ${response.data.status}`));
+    }
+
+    await logger.step('package', () => waitForZipCompletion(torrent, zipPath));
+    log('Zip file created successfully. Uploading to S3...');
+    await setTag(hash, 'Preparing link');
+
+    try {
+      await uploadToS3(torrent, zipPath, directoryPath);
+      await setTag(hash, 'Ready');
+      log('Zip file uploaded to S3 successfully');
+      return true;
+    } catch (error) {
+      log(`Upload failed: ${error.message}`);
+      throw await tagFailure(hash, 'Upload Failed', error);
     }
   } catch (error) {
+    if (error.failureTag) throw error;
     log(`Error processing directory: ${error.message}`);
-    await setTag(hash, 'Error');
-    return false;
+    throw await tagFailure(hash, 'Error', error);
   }
 }
 
 /**
- * Main execution function
+ * Set a failure tag on a torrent and mark the error as tagged, so callers further up do not tag it again
+ * @param {string} hash Torrent hash
+ * @param {string} tag Failure tag ('Upload Failed' or 'Error')
+ * @param {Error} error The failure
+ * @returns {Promise<Error>} The same error
  */
-async function main() {
+async function tagFailure(hash, tag, error) {
+  await setTag(hash, tag);
+  error.failureTag = tag;
+  return error;
+}
+
+/**
+ * Webhook endpoints that want events about a torrent: those the admins configured for all torrents
+ * or for one of its owners, and those its owners registered in the web app
+ * @param {Array<string>} owners Owners of the torrent
+ * @returns {Promise<Array<Object>>} [{ id, url, secret, states }]
+ */
+async function getWebhookEndpoints(owners) {
+  const endpoints = Object.keys(config.webhooks)
+    .filter((name) => {
+      const categories = config.webhooks[name].categories;
+      return categories.length === 0 || owners.some((owner) => categories.includes(owner));
+    })
+    .map((name) => Object.assign({ id: `admin-${name}` }, config.webhooks[name]));
+
+  for (const owner of owners) {
+    (await backend.getWebhooks(owner)).forEach((hook) => {
+      endpoints.push({ id: `user-${owner}-${hook.id}`, url: hook.url, secret: hook.secret, states: hook.states || WEBHOOK_STATES });
+    });
+  }
+  return endpoints;
+}
+
+/**
+ * Send the webhooks for a torrent that became Ready or failed. Delivery problems are logged, never thrown:
+ * they must not change the outcome of the job.
+ * @param {Object} torrent Torrent being processed
+ * @param {string} state 'Ready', 'Upload Failed' or 'Error' - the tag the torrent got
+ * @param {Error} error Failure, for the failure states
+ * @returns {Promise<void>}
+ */
+async function notifyStateChange(torrent, state, error = null) {
+  try {
+    const published = journal.step(torrent.hash, 'publish');
+    let owners;
+    if (published && published.owners) {
+      owners = published.owners;
+    } else {
+      try {
+        owners = await getTorrentOwners(torrent);
+      } catch (lookupError) {
+        owners = [torrent.category || UNCATEGORIZED_FOLDER];
+      }
+    }
+
+    const endpoints = await getWebhookEndpoints(owners);
+    if (endpoints.length === 0) return;
+    await webhooks.dispatch(createEvent({
+      hash: torrent.hash,
+      name: torrent.name,
+      state,
+      objects: published && published.objects ? published.objects : [],
+      link: published && state === 'Ready' ? published.link : null,
+      error: error ? error.message : null
+    }), endpoints);
+  } catch (notifyError) {
+    log(`Warning: Could not send the ${state} webhooks: ${notifyError.message}`);
+  }
+}
+
+/**
+ * Process one completed torrent under its lock, resuming from the steps an earlier run finished.
+ * The Ready webhooks are sent while the lock is still held, so no other run acts on the torrent
+ * before its owners are told; failure webhooks are up to the caller, once it stops retrying (see notifyFailure).
+ * @param {Object} torrent { name, hash, savePath, rootPath, category }
+ * @returns {Promise<boolean>} Resolves true on success
+ * @throws {DeferredError} If another process is working on the torrent
+ * @throws {Error} On failure, after the failure tag has been set; see retry.classifyError
+ */
+async function processTorrent(torrent) {
+  let release;
+  try {
+    release = journal.lock(torrent.hash);
+  } catch (error) {
+    if (!(error instanceof LockHeldError)) throw error;
+    throw new DeferredError(error.message, new Date(Date.now() + LOCK_RETRY_MS));
+  }
+
+  try {
+    const { entry, restarted } = journal.begin(torrent, await getCompletionTime(torrent));
+    if (restarted) log('Torrent completed again since it was last processed, starting over');
+
+    if (entry.steps.done) {
+      log(`Torrent was already processed at ${entry.steps.done.at}, nothing to do`);
+      return true;
+    }
+    if (entry.steps.upload) {
+      await resumeTorrent(torrent, entry);
+    } else {
+      await uploadTorrent(torrent);
+      completeIfFinished(torrent);
+    }
+
+    await notifyStateChange(torrent, 'Ready');
+
+    // Tag it right away; a torrent that seeded enough while it uploaded is finished now
+    const seedingEntry = seeding.read(torrent.hash);
+    if (seedingEntry) await checkSeedingTorrent(seedingEntry);
+  } finally {
+    release();
+  }
+  return true;
+}
+
+/**
+ * Journal a torrent as done once the steps after its upload have all succeeded. Until then a rerun
+ * of the torrent resumes with the ones that failed, without uploading it again.
+ * @param {Object} torrent Torrent being processed
+ */
+function completeIfFinished(torrent) {
+  const unfinished = ['delete', 'stop'].filter((step) => !journal.step(torrent.hash, step));
+  if (unfinished.length === 0) {
+    journal.complete(torrent.hash, 'done');
+  } else {
+    log(`Not finished: ${unfinished.join(', ')}; the next run of the torrent tries again`, { level: 'warn' });
+  }
+}
+
+/**
+ * Send the failure webhooks of a torrent that failed for good
+ * @param {Object} torrent Torrent that failed
+ * @param {Error} error Last failure; its failureTag is the state
+ * @returns {Promise<void>}
+ */
+async function notifyFailure(torrent, error) {
+  if (error.failureTag) await notifyStateChange(torrent, error.failureTag, error);
+}
+
+/**
+ * Finish a torrent whose content an earlier run uploaded, without uploading it again
+ * @param {Object} torrent Torrent being processed
+ * @param {Object} entry Journal of the torrent
+ * @returns {Promise<boolean>} Resolves true on success
+ * @throws {Error} On failure, after the failure tag has been set
+ */
+async function resumeTorrent(torrent, entry) {
+  const { key, manifest, filePath, sourceDir } = entry.steps.upload;
+  const finished = Object.keys(entry.steps).join(', ');
+  log(`Content was already uploaded to ${key} at ${entry.steps.upload.at}, resuming after: ${finished}`);
+
   try {
-    log('Starting content detection and processing...');
+    const settings = getCategorySettings(config, await getTorrentCategory(torrent));
+    await completeUpload(torrent, settings, key, manifest, filePath, sourceDir);
+    await setTag(torrent.hash, 'Ready');
+    completeIfFinished(torrent);
+    return true;
+  } catch (error) {
+    log(`Resuming failed: ${error.message}`);
+    throw await tagFailure(torrent.hash, 'Upload Failed', error);
+  }
+}
+
+/**
+ * Detect, package and upload one completed torrent
+ * @param {Object} torrent { name, hash, savePath, rootPath, category }
+ * @returns {Promise<boolean>} Resolves true on success
+ * @throws {Error} On failure, after the failure tag has been set; see retry.classifyError
+ */
+async function uploadTorrent(torrent) {
+  const torrentHash = torrent.hash;
+
+  try {
+    log(`Starting content detection and processing for ${torrent.name || torrentHash}...`);
     
     // Detect content structure
-    const contentDetails = await detectContentStructure();
+    const contentDetails = await logger.step('detect', () => detectContentStructure(torrent));
     
     if (!contentDetails.contentPath && !contentDetails.filePath) {
       log('ERROR: Unable to determine any valid content path');
-      await setTag(torrentHash, 'Error');
-      return;
+      throw await tagFailure(torrentHash, 'Error', new PermanentError('Unable to determine any valid content path'));
     }
+
+    await checkUploadWindow(torrent, contentDetails.contentPath || contentDetails.filePath);
     
     // Process based on detected content type
     if (contentDetails.isSingleFile) {
@@ -829,12 +2045,13 @@ async function main() {
       await setTag(torrentHash, 'Preparing link');
       
       try {
-        await uploadToS3(contentDetails.contentPath);
+        await uploadToS3(torrent, contentDetails.contentPath);
         await setTag(torrentHash, 'Ready');
         log('File uploaded successfully');
+        return true;
       } catch (error) {
         log(`Upload failed: ${error.message}`);
-        await setTag(torrentHash, 'Upload Failed');
+        throw await tagFailure(torrentHash, 'Upload Failed', error);
       }
     } else if (contentDetails.isSingleFileInDirectory) {
       log(`Processing as single file in directory: ${contentDetails.filePath}`);
@@ -842,31 +2059,782 @@ async function main() {
       
       try {
         // Pass contentPath as the directory to potentially delete after upload
-        await uploadToS3(contentDetails.filePath, contentDetails.contentPath);
+        await uploadToS3(torrent, contentDetails.filePath, contentDetails.contentPath);
         await setTag(torrentHash, 'Ready');
         log('File uploaded successfully');
+        return true;
       } catch (error) {
         log(`Upload failed: ${error.message}`);
-        await setTag(torrentHash, 'Upload Failed');
+        throw await tagFailure(torrentHash, 'Upload Failed', error);
       }
     } else if (contentDetails.isDirectory) {
+      if (await getUploadLayout(torrent) === 'files') {
+        log(`Processing as directory, one object per file: ${contentDetails.contentPath}`);
+        await setTag(torrentHash, 'Preparing link');
+
+        try {
+          await uploadDirectoryFiles(torrent, contentDetails.contentPath);
+          await setTag(torrentHash, 'Ready');
+          log('Files uploaded successfully');
+          return true;
+        } catch (error) {
+          log(`Upload failed: ${error.message}`);
+          throw await tagFailure(torrentHash, 'Upload Failed', error);
+        }
+      }
+
       log(`Processing as directory: ${contentDetails.contentPath}`);
-      await processDirectory(torrentHash, contentDetails.contentPath);
-    } else {
-      log(`ERROR: Could not determine how to process torrent ${torrentHash}`);
-      await setTag(torrentHash, 'Error');
+      return await processDirectory(torrent, contentDetails.contentPath);
     }
-    
-    log('Process completed');
+
+    log(`ERROR: Could not determine how to process torrent ${torrentHash}`);
+    throw await tagFailure(torrentHash, 'Error', new PermanentError(`Could not determine how to process torrent ${torrentHash}`));
   } catch (error) {
+    if (error.failureTag || error instanceof DeferredError) throw error;
     log(`Critical error: ${error.message}`);
-    await setTag(torrentHash, 'Error');
+    throw await tagFailure(torrentHash, 'Error', error);
+  }
+}
+
+/**
+ * Work out what processing a torrent would do: the same detection and decisions as processTorrent,
+ * but without setting tags, packaging, uploading, deleting or stopping anything
+ * @param {Object} torrent { name, hash, savePath, rootPath, category }
+ * @returns {Promise<Object>} Plan: { content, contentPath, queuedUntil, packaging, storage, bucket, encryptedFor, owners, excluded, objects,
+ *   tags, delete, refused, stopTorrent, seeding }
+ *   or, when an earlier run already uploaded the content, { resumeFrom: { key, at }, finishedSteps }
+ */
+async function planTorrent(torrent) {
+  const entry = journal.current(torrent.hash, await getCompletionTime(torrent));
+  if (entry && entry.steps.upload) {
+    return { resumeFrom: { key: entry.steps.upload.key, at: entry.steps.upload.at }, finishedSteps: Object.keys(entry.steps) };
+  }
+
+  const contentDetails = await logger.step('detect', () => detectContentStructure(torrent));
+  if (!contentDetails.contentPath && !contentDetails.filePath) {
+    throw new PermanentError('Unable to determine any valid content path');
+  }
+
+  const userCategory = await getTorrentCategory(torrent);
+  const targetFolder = userCategory || UNCATEGORIZED_FOLDER;
+  const settings = getCategorySettings(config, userCategory);
+  const storage = getStorage(settings);
+  const keyFor = (name) => [settings.prefix, targetFolder, name].filter(Boolean).join('/');
+  const windowWait = await msUntilUploadWindow(settings, contentDetails.contentPath || contentDetails.filePath);
+  const plan = {
+    content: null,
+    contentPath: contentDetails.contentPath,
+    queuedUntil: windowWait > 0 ? new Date(Date.now() + windowWait).toISOString() : null,
+    packaging: null,
+    storage: settings.storage,
+    bucket: storage.type === 's3' ? settings.bucket : null,
+    encryptedFor: settings.encrypt ? targetFolder : null,
+    owners: await getTorrentOwners(torrent),
+    excluded: [],
+    objects: [],
+    tags: [],
+    delete: [],
+    refused: [],
+    stopTorrent: settings.stopTorrentAfterUpload,
+    seeding: null
+  };
+  const seedingPolicy = await getTorrentSeedingPolicy(torrent);
+  if (hasLimit(seedingPolicy)) {
+    plan.seeding = seedingPolicy;
+    plan.stopTorrent = false;
+  }
+  // What runPostUploadActions would be given
+  let filePath = null;
+  let sourceDir = null;
+
+  if (contentDetails.isSingleFile || contentDetails.isSingleFileInDirectory) {
+    filePath = contentDetails.filePath;
+    sourceDir = contentDetails.isSingleFileInDirectory ? contentDetails.contentPath : null;
+    plan.content = contentDetails.isSingleFile ? 'Single File' : 'Single File in Directory';
+    plan.packaging = 'Uploaded as is';
+    plan.tags = ['Preparing link', 'Uploading <percent>%', 'Ready'];
+    plan.objects = [keyFor(path.basename(filePath)), manifestKeyFor(keyFor(path.basename(filePath)))];
+  } else if (await getUploadLayout(torrent) === 'files') {
+    const { files, excluded } = await listContentFiles(torrent, settings, contentDetails.contentPath);
+    plan.excluded = excluded;
+    const basePrefix = keyFor(path.basename(contentDetails.contentPath));
+    sourceDir = contentDetails.contentPath;
+    plan.content = 'Directory';
+    plan.packaging = `One object per file (${files.length} file(s))`;
+    plan.tags = ['Preparing link', 'Uploading <percent>%', 'Ready'];
+    plan.objects = files.map((file) => `${basePrefix}/${file.relativePath}`).concat(manifestKeyFor(basePrefix));
+  } else {
+    const directoryPath = contentDetails.contentPath;
+    const { files, excluded } = await listContentFiles(torrent, settings, directoryPath);
+    plan.excluded = excluded;
+    const volumeSize = await getVolumeSize(torrent);
+    sourceDir = directoryPath;
+    plan.content = 'Directory';
+
+    let archiveName;
+    let archiveSize;
+    let style = config.volumes.style;
+    if (config.archive.mode === 'stream') {
+      archiveName = `${path.basename(directoryPath)}.${archiveExtension(config.archive.format)}`;
+      archiveSize = estimateArchiveSize(files);
+      plan.packaging = `Streamed ${config.archive.format} archive of ${files.length} file(s), at most ${archiveSize} bytes`;
+      plan.tags = ['Zipping', 'Uploading <percent>%', 'Ready'];
+    } else {
+      // The zip server writes the archive next to the directory, and it is deleted like an uploaded file
+      filePath = `${directoryPath}.zip`;
+      archiveName = path.basename(filePath);
+      const exists = fs.existsSync(filePath);
+      archiveSize = exists ? fs.statSync(filePath).size : estimateArchiveSize(files);
+      plan.packaging = exists
+        ? `Existing zip ${filePath} (${archiveSize} bytes), uploaded once the zip server confirms it`
+        : `Zip of ${files.length} file(s) built by the zip server at ${filePath}, at most ${archiveSize} bytes`;
+      plan.tags = ['Zipping', 'Zipping <percent>%', 'Preparing link', 'Uploading <percent>%', 'Ready'];
+      style = 'parts';
+    }
+
+    const groups = volumeSize > 0 && archiveSize > volumeSize && style === 'archives'
+      ? planArchiveVolumes(files, volumeSize)
+      : null;
+    if (groups) {
+      const rootName = path.basename(directoryPath);
+      plan.packaging += `, split into ${groups.length} archive volume(s) of at most ${volumeSize} bytes`;
+      plan.objects = groups.map((group, i) => keyFor(`${volumeName(rootName, i + 1, groups.length)}.${archiveExtension(config.archive.format)}`));
+    } else if (volumeSize > 0 && archiveSize > volumeSize) {
+      // Archive sizes are upper bounds, so the last parts may not be needed
+      const count = Math.ceil(archiveSize / volumeSize);
+      plan.packaging += `, split into up to ${count} part(s) of ${volumeSize} bytes`;
+      for (let i = 1; i <= count; i++) plan.objects.push(keyFor(partName(archiveName, i)));
+    } else {
+      plan.objects = [keyFor(archiveName)];
+    }
+    plan.objects.push(manifestKeyFor(keyFor(archiveName)));
+  }
+  // Every branch lists the manifest last; the other owners get a copy of it
+  const manifestKey = plan.objects[plan.objects.length - 1];
+  plan.owners.slice(1).forEach((owner) => plan.objects.push(ownerKeyFor(settings, manifestKey, targetFolder, owner)));
+  if (plan.queuedUntil) plan.tags.unshift('Queued for upload');
+  if (plan.seeding) plan.tags.push('Ready + Seeding (ratio <ratio>)');
+
+  const deletions = [];
+  // Seeding torrents lose their content when they are removed, whatever the delete settings say
+  if (filePath && (plan.seeding || settings.deleteAfterUpload)) deletions.push(filePath);
+  if (sourceDir && (plan.seeding || settings.deleteDirectoryAfterUpload)) deletions.push(sourceDir);
+  if (deletions.length > 0) {
+    const { savePath, contentRoots } = await getContentRoots(torrent);
+    deletions.forEach((deletePath) => {
+      const reason = checkDeletable(deletePath, savePath, contentRoots);
+      if (reason) {
+        plan.refused.push({ path: deletePath, reason });
+      } else {
+        plan.delete.push(deletePath);
+      }
+    });
+  }
+  return plan;
+}
+
+/**
+ * Print a plan from planTorrent
+ * @param {Object} plan Processing plan
+ */
+function showPlan(plan) {
+  if (args.flags.json) {
+    console.log(JSON.stringify(plan, null, 2));
+    return;
+  }
+
+  log('==== DRY RUN PLAN ====');
+  if (plan.resumeFrom) {
+    log(`Already uploaded to ${plan.resumeFrom.key} at ${plan.resumeFrom.at}`);
+    log(`Finished steps: ${plan.finishedSteps.join(', ')}`);
+    const remaining = STEPS.filter((step) => !plan.finishedSteps.includes(step));
+    log(`Remaining steps: ${remaining.length > 0 ? remaining.join(', ') : '(none, nothing to do)'}`);
+    log('=====================');
+    log('Dry run: nothing was changed');
+    return;
+  }
+  log(`Content: ${plan.content} (${plan.contentPath})`);
+  log(`Upload window: ${plan.queuedUntil ? `closed, queued until ${new Date(plan.queuedUntil).toLocaleString()}` : 'open'}`);
+  log(`Packaging: ${plan.packaging}`);
+  log(`Encryption: ${plan.encryptedFor ? `AES-256-GCM with the key of ${plan.encryptedFor}` : 'none'}`);
+  log(`Owners: ${plan.owners.join(', ')}${plan.owners.length > 1 ? ` (stored once in ${plan.owners[0]}, the others get a reference manifest)` : ''}`);
+  if (plan.excluded.length === 0) log('Excluded: (nothing)');
+  plan.excluded.forEach((file) => log(`Excluded: ${file.path} (${file.reason})`));
+  log(`Objects in storage ${plan.storage}${plan.bucket ? `, bucket ${plan.bucket}` : ''}:`);
+  plan.objects.forEach((key) => log(`  ${key}`));
+  log(`Tags: ${plan.tags.join(' -> ')}`);
+  const deleteWhen = plan.seeding ? 'seeding' : 'upload';
+  if (plan.delete.length === 0) log(`Move to quarantine after ${deleteWhen}: (nothing)`);
+  plan.delete.forEach((deletePath) => log(`Move to quarantine after ${deleteWhen}: ${deletePath}`));
+  plan.refused.forEach((refusal) => log(`Refused to delete: ${refusal.path} (${refusal.reason})`));
+  if (plan.seeding) {
+    log(`Seeding after upload: until ${describePolicy(plan.seeding)}, then stop and remove the torrent`);
+  } else {
+    log(`Stop torrent after upload: ${plan.stopTorrent ? 'yes' : 'no'}`);
+  }
+  log('=====================');
+  log('Dry run: nothing was changed');
+}
+
+/**
+ * Add the torrent from the command line to the daemon queue
+ */
+function enqueueTorrent() {
+  const queue = new JobQueue(QUEUE_DIR);
+  const { job, created } = queue.enqueue(cliTorrent);
+
+  if (created) {
+    log(`Queued job ${job.id} for the uploader daemon`);
+  } else {
+    log(`Torrent is already queued as job ${job.id}, not queuing it again`);
+  }
+}
+
+/**
+ * Run the uploader daemon until SIGINT/SIGTERM
+ */
+async function runDaemon() {
+  const queue = new JobQueue(QUEUE_DIR);
+  log(`Uploader daemon started with ${config.daemon.concurrency} worker(s), queue: ${QUEUE_DIR}`);
+
+  await cleanupStaleUploads();
+  // The hook purges on every run; a long-running daemon also has to do it on its own
+  const purgeTimer = setInterval(purgeQuarantine, 60 * 60 * 1000);
+  purgeTimer.unref();
+
+  // One seeding check at a time; a slow qBittorrent must not pile them up
+  let seedingCheck = null;
+  const runSeedingCheck = () => {
+    if (!seedingCheck) seedingCheck = checkSeeding().finally(() => { seedingCheck = null; });
+    return seedingCheck;
+  };
+  const seedingTimer = setInterval(runSeedingCheck, config.seeding.checkIntervalMinutes * 60 * 1000);
+  seedingTimer.unref();
+  runSeedingCheck();
+
+  const daemon = startDaemon({
+    queue,
+    concurrency: config.daemon.concurrency,
+    pollIntervalMs: config.daemon.pollIntervalSeconds * 1000,
+    processJob: (job) => logger.runWithContext(jobContext(job), () => processTorrent(job.torrent)),
+    onDeadLetter: (job, error) => logger.runWithContext(jobContext(job), () => notifyFailure(job.torrent, error)),
+    retryPolicy: RETRY_POLICY,
+    log
+  });
+
+  const shutdown = (signal) => {
+    log(`Received ${signal}, finishing running jobs before exit (send again to exit now)`);
+    process.removeAllListeners('SIGINT');
+    process.removeAllListeners('SIGTERM');
+    process.once('SIGINT', () => process.exit(1));
+    process.once('SIGTERM', () => process.exit(1));
+    daemon.stop();
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+  await daemon.done;
+  clearInterval(purgeTimer);
+  clearInterval(seedingTimer);
+  if (seedingCheck) await seedingCheck;
+  log('Uploader daemon stopped');
+}
+
+/**
+ * Process a torrent in this process, retrying transient failures.
+ * A torrent that still fails is recorded as a dead job so it can be inspected and replayed;
+ * one that cannot run yet is queued for when it can (see deferJob).
+ * @param {Object} job Job to run (a queue job, or { torrent } for the command line torrent)
+ * @returns {Promise<boolean>} Whether the torrent was processed
+ */
+async function processWithRetries(job) {
+  const attemptsBefore = job.attempts || 0;
+
+  return logger.runWithContext(jobContext(job), async () => {
+    try {
+      await withRetries(() => processTorrent(job.torrent), RETRY_POLICY, log);
+      return true;
+    } catch (error) {
+      if (error instanceof DeferredError) {
+        deferJob(job, error);
+        return false;
+      }
+
+      const lastError = describeError(error, attemptsBefore + (error.attempts || 1));
+      const queue = new JobQueue(QUEUE_DIR);
+      const deadJob = job.id ? job : queue.createJob(job.torrent);
+
+      queue.deadLetter(deadJob, lastError);
+      log(`Giving up after ${lastError.attempt} attempt(s) (${lastError.classification}); recorded as dead job ${deadJob.id}`,
+        { level: 'error', jobId: deadJob.id, error: lastError });
+      await notifyFailure(job.torrent, error);
+      return false;
+    }
+  });
+}
+
+/**
+ * Queue a job that cannot run yet to become due when it can, rather than keeping this process
+ * waiting. The daemon picks it up then, or --run-queue from cron where there is no daemon.
+ * @param {Object} job Queue job, or { torrent } for the command line torrent
+ * @param {DeferredError} error Why the job waits, and until when
+ */
+function deferJob(job, error) {
+  const queue = new JobQueue(QUEUE_DIR);
+  if (!job.id) {
+    const existing = queue.findByHash(job.torrent.hash);
+    if (existing) {
+      log(`${error.message}. Torrent is already queued as job ${existing.job.id}, not queuing it again`);
+      return;
+    }
+  }
+
+  const deferred = job.id ? job : queue.createJob(job.torrent);
+  queue.defer(deferred, error.until);
+  log(`${error.message}. Queued as job ${deferred.id}, due ${error.until.toLocaleString()}`, { jobId: deferred.id });
+}
+
+/**
+ * Process the queued jobs that are due one after the other, without a daemon
+ * @returns {Promise<void>}
+ */
+async function runQueue() {
+  const queue = new JobQueue(QUEUE_DIR);
+  let processed = 0;
+
+  // Jobs deferred again while this runs are not due, so the loop ends
+  for (let job = queue.claim(); job; job = queue.claim()) {
+    processed++;
+    log(`Running job ${job.id} for ${job.torrent.name || job.torrent.hash}`);
+    if (await processWithRetries(job)) queue.complete(job);
+  }
+  if (processed === 0) log('No queued jobs are due');
+}
+
+/**
+ * Log fields that tie every entry logged while a job runs to its torrent
+ * @param {Object} job Queue job, or { torrent } for the command line torrent
+ * @returns {Object} { hash, torrent, jobId }
+ */
+function jobContext(job) {
+  return { hash: job.torrent.hash, torrent: job.torrent.name, jobId: job.id };
+}
+
+/**
+ * Print the full log history of one torrent, oldest first, across rotated log files
+ * @param {string} hash Torrent hash
+ */
+function showHistory(hash) {
+  const entries = logger.history(hash);
+  if (entries.length === 0) {
+    console.log(`No log entries for ${hash}`);
+    return;
+  }
+
+  // Printed rather than logged, so looking at a history does not add to it
+  entries.forEach((entry) => {
+    if (args.flags.json) {
+      console.log(JSON.stringify(entry));
+      return;
+    }
+    const step = entry.step ? `[${entry.step}] ` : '';
+    const error = entry.error ? ` <${entry.error.classification || 'error'}: ${entry.error.message}>` : '';
+    console.log(formatEntry(Object.assign({}, entry, { message: `${step}${entry.message}${error}` }), { withDate: true }));
+  });
+}
+
+/**
+ * List quarantined content with where it came from and when it will be purged
+ */
+function listQuarantine() {
+  const entries = quarantine.list();
+
+  if (entries.length === 0) {
+    log('Quarantine is empty');
+    return;
+  }
+
+  entries.forEach((entry) => {
+    log(`${entry.id}  ${entry.hash || ''}  ${entry.torrent || ''}`);
+    log(`    ${entry.originalPath}, quarantined ${entry.quarantinedAt}, purged after ${entry.purgeAfter}`);
+  });
+}
+
+/**
+ * Move quarantined content back to its original path
+ * @param {string} id Quarantine entry id
+ */
+function restoreQuarantined(id) {
+  try {
+    const entry = quarantine.restore(id);
+    log(`Restored ${entry.originalPath}`);
+  } catch (error) {
+    log(`Could not restore ${id}: ${error.message}`, { level: 'error' });
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Delete quarantined content that is past its retention period
+ */
+function purgeQuarantine() {
+  try {
+    const purged = quarantine.purge();
+    if (purged > 0) log(`Purged ${purged} quarantine entry(s) older than ${config.quarantine.retentionHours} hours`);
+  } catch (error) {
+    log(`Warning: Could not purge the quarantine: ${error.message}`);
+  }
+}
+
+/**
+ * List dead jobs with their last error
+ */
+function listDeadLetters() {
+  const queue = new JobQueue(QUEUE_DIR);
+  const dead = queue.list('dead');
+
+  if (dead.length === 0) {
+    log('No dead jobs');
+    return;
+  }
+
+  dead.forEach((job) => {
+    const error = job.lastError || {};
+    log(`${job.id}  ${job.torrent.hash}  ${job.torrent.name}`);
+    log(`    failed ${job.attempts} time(s), last at ${error.at}: [${error.classification}] ${error.message}`);
+  });
+}
+
+/**
+ * Replay one dead job, or all of them. With the daemon enabled the jobs go back into the
+ * queue; otherwise they are processed right here.
+ * @param {string} id Job id or "all"
+ * @returns {Promise<void>}
+ */
+async function replayDeadLetters(id) {
+  const queue = new JobQueue(QUEUE_DIR);
+  const ids = id === 'all' ? queue.ids('dead') : [id];
+
+  for (const jobId of ids) {
+    const job = queue.replay(jobId);
+    if (!job) {
+      log(`No dead job with id ${jobId}`);
+      continue;
+    }
+
+    if (config.daemon.enabled) {
+      log(`Job ${jobId} queued again for ${job.torrent.name || job.torrent.hash}`);
+      continue;
+    }
+
+    // No daemon to pick it up: take it straight back out of the queue and run it
+    fs.renameSync(queue.pathFor('pending', jobId), queue.pathFor('active', jobId));
+    log(`Replaying job ${jobId} for ${job.torrent.name || job.torrent.hash}`);
+    if (await processWithRetries(job)) queue.complete(job);
+  }
+}
+
+/**
+ * Read a local file or download a URL, such as a download link from the backend
+ * @param {string} source File path or http(s) URL
+ * @returns {Promise<Readable>} Content
+ */
+async function openSource(source) {
+  if (!/^https?:\/\//i.test(source)) return fs.createReadStream(source);
+  const response = await axios.get(source, { responseType: 'stream', timeout: 30000 });
+  return response.data;
+}
+
+/**
+ * Read and parse a manifest
+ * @param {string} source File path or download URL
+ * @returns {Promise<Object>} Manifest
+ */
+async function readManifest(source) {
+  const chunks = [];
+  for await (const chunk of await openSource(source)) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Manifest entries of encrypted objects: the object itself, its volumes, or its files
+ * @param {Object} manifest Manifest from manifest.buildManifest
+ * @returns {Array<Object>} Entries with key and encryption
+ */
+function encryptedEntries(manifest) {
+  const entries = [manifest.object].concat(manifest.object.volumes || [], manifest.files || []);
+  return entries.filter((entry) => entry.key && entry.encryption);
+}
+
+/**
+ * Decrypt an encrypted object with the master key and the details in its manifest. The plaintext
+ * is written next to the output first and only renamed into place once every segment authenticated.
+ * @param {string} source Encrypted object: file path or download URL
+ * @returns {Promise<void>}
+ */
+async function decryptObject(source) {
+  if (!args.flags.manifest || !args.flags.output) {
+    log('Usage: --decrypt <file or URL> --manifest <file or URL> --output <file> [--object <key>]', { level: 'error' });
+    process.exitCode = 1;
+    return;
+  }
+  const outputPath = args.flags.output;
+  const partialPath = `${outputPath}.partial`;
+
+  try {
+    if (!config.encryption.masterKey) throw new PermanentError('No master key configured (encryption.masterKey)');
+    const masterKeys = { [config.encryption.masterKeyId]: parseMasterKey(config.encryption.masterKey) };
+
+    const entries = encryptedEntries(await readManifest(args.flags.manifest));
+
+    // Without --object, match the name of the downloaded object (download links carry a query string)
+    const name = path.posix.basename(source.split('?')[0]);
+    const entry = args.flags.object
+      ? entries.find((candidate) => candidate.key === args.flags.object)
+      : entries.find((candidate) => path.posix.basename(candidate.key) === decodeURIComponent(name)) || (entries.length === 1 ? entries[0] : null);
+    if (!entry) {
+      throw new PermanentError(`No encrypted object ${args.flags.object || name} in the manifest (${entries.length} encrypted object(s); pick one with --object)`);
+    }
+
+    log(`Decrypting ${entry.key} (${entry.encryption.plainSize} bytes) to ${outputPath}`);
+    await streamPipeline(await openSource(source), createDecryptStream(entry.encryption, masterKeys), fs.createWriteStream(partialPath));
+    fs.renameSync(partialPath, outputPath);
+    log(`Decrypted ${entry.key}`);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    log(`Decryption failed: ${error.message}`, { level: 'error', error });
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Delete an upload from storage: its objects, its manifest and the reference manifests of the other owners.
+ * What was deleted is taken off each owner's stored-bytes ledger, also when a deletion fails halfway.
+ * Any of the upload's manifests will do; they all describe the same objects.
+ * @param {string} source Manifest: file path or download URL
+ * @returns {Promise<void>}
+ */
+async function removeUpload(source) {
+  try {
+    const manifest = await readManifest(source);
+    const owners = manifest.owners || (args.flags.owner ? [args.flags.owner] : null);
+    if (!owners) {
+      throw new PermanentError('The manifest does not list the owners of the upload; pass the category it was uploaded for with --owner');
+    }
+
+    const [folder, ...others] = owners;
+    const settings = getCategorySettings(config, folder);
+    const storage = getStorage(settings);
+    const contentKeys = downloadObjects(manifest).map((item) => item.key);
+    // In the files layout the object key is the folder prefix with a trailing slash
+    const manifestKey = manifestKeyFor(manifest.object.key.replace(/\/$/, ''));
+    const referenceKeys = others.map((owner) => ownerKeyFor(settings, manifestKey, folder, owner));
+
+    log(`Removing ${manifest.torrent.name || manifest.torrent.hash} from storage ${settings.storage} (owners: ${owners.join(', ')})`);
+    const removed = new Map();
+    let failure = null;
+    for (const key of contentKeys.concat(manifestKey, referenceKeys)) {
+      try {
+        const result = await storage.deleteObject({ key });
+        removed.set(key, result.size || 0);
+        log(result.size === null ? `Already gone: ${storage.describe(key)}` : `Deleted ${storage.describe(key)} (${result.size} bytes)`);
+      } catch (error) {
+        failure = error;
+        break;
+      }
+    }
+
+    if (backend.enabled) {
+      for (const [index, owner] of owners.entries()) {
+        const keys = contentKeys.concat(index === 0 ? manifestKey : referenceKeys[index - 1]).filter((key) => removed.has(key));
+        if (keys.length === 0) continue;
+        await backend.updateStoredBytes(owner, manifest.torrent.hash, 'remove', keys.map((key) => ({ key, size: removed.get(key) })));
+        log(`Stored bytes of ${owner} reduced by ${keys.reduce((sum, key) => sum + removed.get(key), 0)} bytes`);
+      }
+    }
+    if (failure) throw failure;
+    log(`Removed ${removed.size} object(s)`);
+  } catch (error) {
+    log(`Removal failed: ${error.message}`, { level: 'error', error });
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Print the webhook endpoints that have a delivery log, or the delivery log of one endpoint
+ * @param {string|boolean} id Endpoint id, or true for the list
+ */
+function showWebhookLog(id) {
+  if (id === true) {
+    const ids = webhooks.logged();
+    if (ids.length === 0) {
+      log('No webhook deliveries yet');
+      return;
+    }
+    ids.forEach((endpointId) => {
+      const entries = webhooks.history(endpointId);
+      const last = entries[entries.length - 1];
+      const failed = entries.filter((entry) => entry.outcome === 'failed').length;
+      log(`${endpointId}: ${entries.length} attempt(s), ${failed} failed delivery(ies), last ${last.state} ${last.outcome} at ${last.at}`);
+    });
+    return;
+  }
+
+  const entries = webhooks.history(id);
+  if (args.flags.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+  if (entries.length === 0) log(`No deliveries logged for webhook ${id}`);
+  entries.forEach((entry) => {
+    log(`${entry.at} ${entry.state} ${entry.hash} attempt ${entry.attempt}: ${entry.outcome}` +
+      `${entry.status ? ` (HTTP ${entry.status})` : ''}${entry.error ? ` - ${entry.error}` : ''}`);
+  });
+}
+
+/**
+ * Receive webhooks on a local port and check their signatures, until SIGINT/SIGTERM.
+ * Point an endpoint at http://localhost:<port>/ with the same secret to try a configuration out.
+ * @param {string|boolean} port Port, or true for the default
+ * @returns {Promise<void>}
+ */
+async function runWebhookReceiver(port) {
+  const secret = args.flags.secret || process.env.WEBHOOK_RECEIVER_SECRET;
+  if (!secret || secret === true) {
+    log('The webhook receiver needs --secret <secret> or WEBHOOK_RECEIVER_SECRET', { level: 'error' });
+    process.exitCode = 1;
+    return;
+  }
+  const listenPort = port === true ? DEFAULT_RECEIVER_PORT : Number(port);
+  if (!Number.isInteger(listenPort) || listenPort < 1 || listenPort > 65535) {
+    log(`Invalid webhook receiver port: ${port}`, { level: 'error' });
+    process.exitCode = 1;
+    return;
+  }
+
+  const server = createReceiver({ secret, log });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(listenPort, resolve);
+  });
+  log(`Webhook receiver listening on http://localhost:${listenPort}/ (Ctrl+C to stop)`);
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await new Promise((resolve) => server.close(resolve));
+  log('Webhook receiver stopped');
+}
+
+/**
+ * Delete old logs and journals and purge expired quarantine entries. Only runs that process torrents
+ * do this, so listing or restoring quarantined content never purges what it is about to show.
+ */
+function runHousekeeping() {
+  const pruned = logger.prune();
+  if (pruned > 0) log(`Deleted ${pruned} log file(s) older than ${config.logging.maxAgeDays} days`);
+  const prunedJournals = journal.prune();
+  if (prunedJournals > 0) log(`Deleted ${prunedJournals} journal(s) older than ${config.journal.retentionDays} days`);
+  purgeQuarantine();
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  if (args.flags.history) {
+    showHistory(args.flags.history);
+    return;
+  }
+
+  if (args.flags.decrypt) {
+    await decryptObject(args.flags.decrypt);
+    return;
+  }
+
+  if (args.flags.remove) {
+    await removeUpload(args.flags.remove);
+    return;
+  }
+
+  if (args.flags['webhook-log']) {
+    showWebhookLog(args.flags['webhook-log']);
+    return;
+  }
+
+  if (args.flags['webhook-receiver']) {
+    await runWebhookReceiver(args.flags['webhook-receiver']);
+    return;
+  }
+
+  if (dryRun) {
+    try {
+      showPlan(await planTorrent(cliTorrent));
+    } catch (error) {
+      log(`Dry run failed: ${error.message}`, { level: 'error', error });
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (args.flags.quarantine) {
+    listQuarantine();
+    return;
+  }
+
+  if (args.flags.restore) {
+    restoreQuarantined(args.flags.restore);
+    return;
+  }
+
+  if (args.flags['dead-letters']) {
+    listDeadLetters();
+    return;
+  }
+
+  if (args.flags['check-seeding']) {
+    if (seeding.list().length === 0) log('No torrents are seeding under a policy');
+    await checkSeeding();
+    return;
+  }
+
+  if (args.flags.replay) {
+    runHousekeeping();
+    await replayDeadLetters(args.flags.replay);
+    return;
+  }
+
+  if (args.flags['run-queue']) {
+    runHousekeeping();
+    await runQueue();
+    return;
+  }
+
+  if (isDaemon) {
+    runHousekeeping();
+    await runDaemon();
+    return;
+  }
+
+  if (enqueueOnly) {
+    enqueueTorrent();
+    return;
+  }
+
+  runHousekeeping();
+  await cleanupStaleUploads();
+  try {
+    await processWithRetries({ torrent: cliTorrent });
   } finally {
-    // Auto-close window after 10 seconds
-    log('Window will close in 10 seconds...');
-    setTimeout(() => process.exit(0), 10000);
+    // Without the daemon nothing else looks at seeding torrents
+    await checkSeeding();
   }
+  log('Process completed');
 }
 
 // Execute main function
-main();
+main().catch((error) => {
+  log(`Critical error: ${error.message}`, { level: 'error', error });
+  process.exitCode = 1;
+});
@@ -155,6 +155,108 @@ document.addEventListener('DOMContentLoaded', function() {
     
     
     
+    // Webhooks Functionality
+    const webhookList = document.getElementById('webhook-list');
+    const webhookUrlInput = document.getElementById('webhook-url');
+    const addWebhookBtn = document.getElementById('add-webhook');
+    const webhookMessage = document.getElementById('webhook-message');
+    
+    if (webhookList) {
+        loadWebhooks();
+        
+        addWebhookBtn.addEventListener('click', function() {
+            const url = webhookUrlInput.value.trim();
+            const states = Array.from(document.querySelectorAll('.webhook-state:checked')).map(input => input.value);
+            
+            // Clear previous messages
+            webhookMessage.innerHTML = '';
+            webhookMessage.className = 'message-container';
+            
+            // Validate inputs
+            if (!/^https?:\/\/\S+$/i.test(url)) {
+                showMessage(webhookMessage, 'Please enter a valid http(s) URL', 'error');
+                return;
+            }
+            
+            if (states.length === 0) {
+                showMessage(webhookMessage, 'Choose at least one state to be notified about', 'error');
+                return;
+            }
+            
+            // Show loading state
+            addWebhookBtn.disabled = true;
+            addWebhookBtn.textContent = 'Adding...';
+            
+            sendAjaxRequest('addWebhook', {
+                url: url,
+                states: states.join(',')
+            }).then(response => {
+                if (response.success) {
+                    // The secret is shown once, receivers need it to check signatures
+                    showMessage(webhookMessage, response.message + ': ' + response.webhook.secret, 'success');
+                    webhookUrlInput.value = '';
+                    loadWebhooks();
+                } else {
+                    showMessage(webhookMessage, response.message, 'error');
+                }
+            }).catch(error => {
+                showMessage(webhookMessage, 'Error: ' + error.message, 'error');
+            }).finally(() => {
+                addWebhookBtn.disabled = false;
+                addWebhookBtn.textContent = 'Add webhook';
+            });
+        });
+    }
+    
+    function loadWebhooks() {
+        sendAjaxRequest('getWebhooks').then(response => {
+            if (response.success) {
+                renderWebhooks(response.webhooks);
+            } else {
+                showMessage(webhookMessage, response.message, 'error');
+            }
+        }).catch(error => {
+            showMessage(webhookMessage, 'Error: ' + error.message, 'error');
+        });
+    }
+    
+    function renderWebhooks(webhooks) {
+        webhookList.innerHTML = '';
+        if (webhooks.length === 0) {
+            webhookList.textContent = 'No webhooks yet';
+            return;
+        }
+        
+        webhooks.forEach(webhook => {
+            const row = document.createElement('div');
+            row.className = 'webhook-row';
+            
+            const details = document.createElement('span');
+            details.className = 'webhook-details';
+            details.textContent = webhook.url + ' (' + webhook.states.join(', ') + ')';
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'webhook-remove';
+            removeBtn.title = 'Remove';
+            removeBtn.innerHTML = '<i class="fa fa-trash-alt"></i>';
+            removeBtn.addEventListener('click', function() {
+                if (!confirm('Remove the webhook to ' + webhook.url + '?')) {
+                    return;
+                }
+                sendAjaxRequest('deleteWebhook', { id: webhook.id }).then(response => {
+                    showMessage(webhookMessage, response.message, response.success ? 'success' : 'error');
+                    loadWebhooks();
+                }).catch(error => {
+                    showMessage(webhookMessage, 'Error: ' + error.message, 'error');
+                });
+            });
+            
+            row.appendChild(details);
+            row.appendChild(removeBtn);
+            webhookList.appendChild(row);
+        });
+    }
+    
     // Helper Functions
     function isValidEmail(email) {
         const re = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
@@ -18,6 +18,10 @@ ini_set('display_errors', 0); // Change to 0 to prevent errors from showing in o
 ini_set('log_errors', 1);
 ini_set('error_log', __DIR__ . '/settings_error.log');
 
+// Torrent states a webhook can be sent for, as in uploader/webhooks.js
+const WEBHOOK_STATES = ['Ready', 'Upload Failed', 'Error'];
+const MAX_WEBHOOKS_PER_USER = 5;
+
 // Debug log function with improved handling for AJAX requests
 function debug_log($message, $data = null, $force_output = false) {
     $timestamp = date('Y-m-d H:i:s');
@@ -188,7 +192,11 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['action'])) {
             } else if ($_POST['action'] === 'deleteAccount') {
                 debug_log("Processing account deletion");
                 try {
-                    // Delete the user account
+                    // Delete the user's webhooks, then the account
+                    $hooksStmt = $db->prepare("DELETE FROM user_webhooks WHERE userEmail = :email");
+                    $hooksStmt->bindParam(':email', $userEmail);
+                    $hooksStmt->execute();
+                    
                     $stmt = $db->prepare("DELETE FROM users WHERE userEmail = :email");
                     $stmt->bindParam(':email', $userEmail);
                     $stmt->execute();
@@ -213,6 +221,89 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['action'])) {
                         'debug_info' => ['exception' => $e->getMessage()]
                     ];
                 }
+            } else if ($_POST['action'] === 'getWebhooks') {
+                // The secret is only shown when an endpoint is added; the uploader reads it through dbInfoFeeder.php
+                try {
+                    $stmt = $db->prepare("SELECT id, url, states, createdAt FROM user_webhooks WHERE userEmail = :email ORDER BY id");
+                    $stmt->bindParam(':email', $userEmail);
+                    $stmt->execute();
+                    $webhooks = [];
+                    foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+                        $row['states'] = array_values(array_filter(explode(',', $row['states'])));
+                        $webhooks[] = $row;
+                    }
+                    $response = ['success' => true, 'webhooks' => $webhooks];
+                } catch (PDOException $e) {
+                    $response = [
+                        'success' => false, 
+                        'message' => 'Database error: ' . $e->getMessage(),
+                        'debug_info' => ['pdo_error' => $e->getMessage()]
+                    ];
+                }
+            } else if ($_POST['action'] === 'addWebhook') {
+                debug_log("Processing webhook registration", ['url' => $_POST['url'] ?? '']);
+                $url = trim($_POST['url'] ?? '');
+                $states = array_values(array_intersect(WEBHOOK_STATES, explode(',', $_POST['states'] ?? '')));
+                $scheme = strtolower((string)parse_url($url, PHP_URL_SCHEME));
+                
+                if (!filter_var($url, FILTER_VALIDATE_URL) || ($scheme !== 'https' && $scheme !== 'http')) {
+                    $response = ['success' => false, 'message' => 'Please enter a valid http(s) URL'];
+                } else if (empty($states)) {
+                    $response = ['success' => false, 'message' => 'Choose at least one state to be notified about'];
+                } else {
+                    try {
+                        $countStmt = $db->prepare("SELECT COUNT(*) FROM user_webhooks WHERE userEmail = :email");
+                        $countStmt->bindParam(':email', $userEmail);
+                        $countStmt->execute();
+                        
+                        if ((int)$countStmt->fetchColumn() >= MAX_WEBHOOKS_PER_USER) {
+                            $response = ['success' => false, 'message' => 'You can register up to ' . MAX_WEBHOOKS_PER_USER . ' webhooks'];
+                        } else {
+                            // Receivers check the X-Uploader-Signature of every event with this secret
+                            $secret = bin2hex(random_bytes(32));
+                            $statesList = implode(',', $states);
+                            $stmt = $db->prepare("INSERT INTO user_webhooks (userEmail, url, secret, states, createdAt) VALUES (:email, :url, :secret, :states, NOW())");
+                            $stmt->bindParam(':email', $userEmail);
+                            $stmt->bindParam(':url', $url);
+                            $stmt->bindParam(':secret', $secret);
+                            $stmt->bindParam(':states', $statesList);
+                            $stmt->execute();
+                            $response = [
+                                'success' => true,
+                                'message' => 'Webhook added. Copy its signing secret now, it is not shown again',
+                                'webhook' => ['id' => $db->lastInsertId(), 'url' => $url, 'states' => $states, 'secret' => $secret]
+                            ];
+                        }
+                    } catch (PDOException $e) {
+                        $response = [
+                            'success' => false, 
+                            'message' => 'Database error: ' . $e->getMessage(),
+                            'debug_info' => ['pdo_error' => $e->getMessage()]
+                        ];
+                    }
+                }
+            } else if ($_POST['action'] === 'deleteWebhook') {
+                debug_log("Processing webhook removal", ['id' => $_POST['id'] ?? '']);
+                try {
+                    // Only the user's own endpoints can be removed
+                    $webhookId = (int)($_POST['id'] ?? 0);
+                    $stmt = $db->prepare("DELETE FROM user_webhooks WHERE id = :id AND userEmail = :email");
+                    $stmt->bindParam(':id', $webhookId, PDO::PARAM_INT);
+                    $stmt->bindParam(':email', $userEmail);
+                    $stmt->execute();
+                    
+                    if ($stmt->rowCount() > 0) {
+                        $response = ['success' => true, 'message' => 'Webhook removed'];
+                    } else {
+                        $response = ['success' => false, 'message' => 'Webhook not found'];
+                    }
+                } catch (PDOException $e) {
+                    $response = [
+                        'success' => false, 
+                        'message' => 'Database error: ' . $e->getMessage(),
+                        'debug_info' => ['pdo_error' => $e->getMessage()]
+                    ];
+                }
             } else {
                 debug_log("Invalid action", $_POST['action']);
                 $response = ['success' => false, 'message' => 'Invalid action'];
@@ -344,6 +435,7 @@ $maxSpaceMB = round($maxSpace / (1024 * 1024), 2);
             <div class="tab-headers">
                 <div class="tab-header active" data-tab="password">Change password</div>
                 <div class="tab-header" data-tab="email">Change email</div>
+                <div class="tab-header" data-tab="webhooks">Webhooks</div>
             </div>
             <div class="tab-content active" id="password-tab">
                 <div class="form-group">
@@ -375,6 +467,25 @@ $maxSpaceMB = round($maxSpace / (1024 * 1024), 2);
                 </div>
                 <div id="email-message" class="message-container"></div>
             </div>
+            <div class="tab-content" id="webhooks-tab">
+                <p class="settings-hint">We POST a signed JSON event to these URLs when one of your torrents is ready or fails to upload.</p>
+                <div id="webhook-list" class="webhook-list"></div>
+                <div class="form-group">
+                    <div class="input-icon">
+                        <i class="fa fa-link"></i>
+                    </div>
+                    <input type="url" id="webhook-url" placeholder="https://example.com/webhook" class="settings-input">
+                </div>
+                <div class="form-group webhook-states">
+                    <?php foreach (WEBHOOK_STATES as $state): ?>
+                    <label><input type="checkbox" class="webhook-state" value="<?php echo htmlspecialchars($state); ?>" checked> <?php echo htmlspecialchars($state); ?></label>
+                    <?php endforeach; ?>
+                </div>
+                <div class="form-action">
+                    <button id="add-webhook" class="save-btn">Add webhook</button>
+                </div>
+                <div id="webhook-message" class="message-container"></div>
+            </div>
         </div>
     </div>
 </div>
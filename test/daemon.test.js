@@ -0,0 +1,206 @@
+/**
+ * test/daemon.test.js
+ * Job processing of the worker pool in uploader/daemon.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../uploader/job-queue');
+const { startDaemon } = require('../uploader/daemon');
+
+const RETRY_POLICY = { maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 10 };
+
+function createQueue(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'daemon-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new JobQueue(dir);
+}
+
+function enqueue(queue, hash) {
+  return queue.enqueue({ name: hash, hash, savePath: '/downloads', rootPath: `/downloads/${hash}`, category: 'u@x' }).job;
+}
+
+/**
+ * Start a daemon that polls quickly, stopped when the test ends
+ * @param {Object} t Test context
+ * @param {Object} options Daemon options besides the polling interval and retry policy
+ * @returns {Object} Daemon
+ */
+function start(t, options) {
+  const daemon = startDaemon(Object.assign({ pollIntervalMs: 20, retryPolicy: RETRY_POLICY }, options));
+  t.after(() => daemon.stop());
+  return daemon;
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 500 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), 'condition not reached in time');
+}
+
+test('queued jobs are processed and removed, never more at once than the concurrency', async (t) => {
+  const queue = createQueue(t);
+  ['a', 'b', 'c', 'd', 'e'].forEach((hash) => enqueue(queue, hash));
+  const processed = [];
+  let busy = 0;
+  let mostBusy = 0;
+
+  start(t, {
+    queue,
+    concurrency: 2,
+    async processJob(job) {
+      busy++;
+      mostBusy = Math.max(mostBusy, busy);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      processed.push(job.torrent.hash);
+      busy--;
+    }
+  });
+
+  await waitFor(() => processed.length === 5 && queue.counts().active === 0);
+  assert.deepStrictEqual(processed.sort(), ['a', 'b', 'c', 'd', 'e']);
+  assert.strictEqual(mostBusy, 2);
+  assert.deepStrictEqual(queue.counts(), { pending: 0, active: 0, dead: 0 });
+});
+
+test('jobs queued while the daemon runs are picked up', async (t) => {
+  const queue = createQueue(t);
+  const processed = [];
+  start(t, { queue, concurrency: 1, async processJob(job) { processed.push(job.torrent.hash); } });
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  enqueue(queue, 'late');
+  await waitFor(() => processed.length === 1);
+  assert.deepStrictEqual(processed, ['late']);
+});
+
+test('jobs a previous run left active are run again on start', async (t) => {
+  const queue = createQueue(t);
+  const job = enqueue(queue, 'a');
+  queue.claim();
+
+  const processed = [];
+  start(t, { queue, concurrency: 1, async processJob(claimed) { processed.push(claimed.id); } });
+  await waitFor(() => processed.length === 1);
+  assert.deepStrictEqual(processed, [job.id]);
+});
+
+test('stopping waits for running jobs and claims no more', async (t) => {
+  const queue = createQueue(t);
+  enqueue(queue, 'a');
+  let release;
+  const started = [];
+  const daemon = start(t, {
+    queue,
+    concurrency: 1,
+    processJob(job) {
+      started.push(job.torrent.hash);
+      return new Promise((resolve) => { release = resolve; });
+    }
+  });
+
+  await waitFor(() => started.length === 1);
+  enqueue(queue, 'b');
+  let stopped = false;
+  const stopping = daemon.stop().then(() => { stopped = true; });
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.strictEqual(stopped, false);
+
+  release();
+  await stopping;
+  assert.deepStrictEqual(started, ['a']);
+  assert.deepStrictEqual(queue.counts(), { pending: 1, active: 0, dead: 0 });
+});
+
+test('a transient failure is queued again and retried with its attempt counted', async (t) => {
+  const queue = createQueue(t);
+  const job = enqueue(queue, 'a');
+  const attempts = [];
+  start(t, {
+    queue,
+    concurrency: 1,
+    async processJob(claimed) {
+      attempts.push(claimed.attempts);
+      if (attempts.length === 1) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    }
+  });
+
+  await waitFor(() => attempts.length === 2 && queue.counts().active === 0);
+  assert.deepStrictEqual(attempts, [0, 1]);
+  assert.deepStrictEqual(queue.counts(), { pending: 0, active: 0, dead: 0 });
+  assert.strictEqual(queue.read('pending', job.id), null);
+});
+
+test('permanent failures, and jobs out of attempts, go to the dead letters', async (t) => {
+  const queue = createQueue(t);
+  const broken = enqueue(queue, 'broken');
+  const flaky = enqueue(queue, 'flaky');
+  const deadLetters = [];
+  start(t, {
+    queue,
+    concurrency: 2,
+    async processJob(job) {
+      if (job.id === broken.id) throw Object.assign(new Error('no such file'), { code: 'ENOENT' });
+      throw new Error('502 from the zip server');
+    },
+    async onDeadLetter(job, error) {
+      deadLetters.push(`${job.torrent.hash}: ${error.message}`);
+    }
+  });
+
+  await waitFor(() => queue.counts().dead === 2);
+  assert.deepStrictEqual(deadLetters.sort(), ['broken: no such file', 'flaky: 502 from the zip server']);
+  assert.strictEqual(queue.read('dead', broken.id).lastError.classification, 'permanent');
+  assert.strictEqual(queue.read('dead', broken.id).attempts, 1);
+  assert.strictEqual(queue.read('dead', flaky.id).attempts, RETRY_POLICY.maxAttempts);
+});
+
+test('a failing dead-letter handler is logged, and the job stays a dead letter', async (t) => {
+  const queue = createQueue(t);
+  enqueue(queue, 'broken');
+  const logged = [];
+  start(t, {
+    queue,
+    concurrency: 1,
+    async processJob() {
+      throw Object.assign(new Error('no such file'), { code: 'ENOENT' });
+    },
+    async onDeadLetter() {
+      throw new Error('notification endpoint unreachable');
+    },
+    log: (message) => logged.push(message)
+  });
+
+  await waitFor(() => logged.some((message) => message.startsWith('Handling dead job')));
+  assert.match(logged.find((message) => message.startsWith('Handling dead job')), /failed: notification endpoint unreachable$/);
+  assert.deepStrictEqual(queue.counts(), { pending: 0, active: 0, dead: 1 });
+});
+
+test('a job whose outcome cannot be recorded stays active, and the daemon goes on with other jobs', async (t) => {
+  const queue = createQueue(t);
+  const stuck = enqueue(queue, 'stuck');
+  enqueue(queue, 'next');
+  queue.retryLater = () => {
+    throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+  };
+  const processed = [];
+  const logged = [];
+  start(t, {
+    queue,
+    concurrency: 1,
+    async processJob(job) {
+      processed.push(job.torrent.hash);
+      if (job.id === stuck.id) throw new Error('socket hang up');
+    },
+    log: (message) => logged.push(message)
+  });
+
+  await waitFor(() => processed.length === 2 && queue.counts().active === 1);
+  assert.deepStrictEqual(processed.sort(), ['next', 'stuck']);
+  assert.ok(logged.some((message) => message === `Could not record the outcome of job ${stuck.id}, it stays active until the daemon restarts: no space left on device`));
+  assert.deepStrictEqual(queue.ids('active'), [stuck.id]);
+});
@@ -0,0 +1,163 @@
+/**
+ * test/encryption.test.js
+ * Object format and key handling of uploader/encryption.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { ALGORITHM, parseMasterKey, createDecryptStream, KeyStore, createEncryptingStorage } = require('../uploader/encryption');
+const { PermanentError } = require('../uploader/retry');
+
+const SEGMENT_SIZE = 64 * 1024;
+const TAG_BYTES = 16;
+const MASTER_KEY = crypto.randomBytes(32);
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Encrypt content through createEncryptingStorage, keeping what the wrapped storage receives
+ * @param {Buffer} plaintext Content
+ * @param {Object} userKey User key from KeyStore.userKey
+ * @param {Function} onProgress Optional progress callback
+ * @returns {Promise<Object>} { stored, result }
+ */
+async function encrypt(plaintext, userKey, onProgress) {
+  let stored = null;
+  const storage = createEncryptingStorage({
+    async uploadStream({ key, stream }) {
+      stored = await collect(stream);
+      return { key, size: stored.length };
+    }
+  }, userKey);
+  const result = await storage.uploadStream({ key: 'k', stream: Readable.from([plaintext]), onProgress });
+  return { stored, result };
+}
+
+function decrypt(stored, encryption) {
+  return collect(Readable.from([stored]).pipe(createDecryptStream(encryption, { m1: MASTER_KEY })));
+}
+
+function withKeyStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new KeyStore({ dir, masterKey: MASTER_KEY, masterKeyId: 'm1' });
+}
+
+test('the master key must be 32 bytes of base64', () => {
+  assert.deepStrictEqual(parseMasterKey(MASTER_KEY.toString('base64')), MASTER_KEY);
+  assert.throws(() => parseMasterKey('c2hvcnQ='), /must be 32 bytes of base64/);
+  assert.throws(() => parseMasterKey(''), /got 0 bytes/);
+});
+
+test('content is stored as segments of ciphertext followed by their tag', async (t) => {
+  const userKey = withKeyStore(t).userKey('u@x');
+  const plaintext = crypto.randomBytes(2 * SEGMENT_SIZE + 100);
+  const progress = [];
+  const { stored, result } = await encrypt(plaintext, userKey, (update) => progress.push(update.uploadedBytes));
+
+  // Two full segments and a short last one, each with its own tag
+  assert.strictEqual(stored.length, plaintext.length + 3 * TAG_BYTES);
+  assert.strictEqual(result.size, stored.length);
+  assert.strictEqual(result.sha256, crypto.createHash('sha256').update(plaintext).digest('hex'));
+  assert.strictEqual(result.encryption.algorithm, ALGORITHM);
+  assert.strictEqual(result.encryption.segmentSize, SEGMENT_SIZE);
+  assert.strictEqual(result.encryption.plainSize, plaintext.length);
+  assert.strictEqual(Buffer.from(result.encryption.noncePrefix, 'base64').length, 7);
+  assert.deepStrictEqual(result.encryption.userKey, { keyId: userKey.keyId, masterKeyId: 'm1', wrappedKey: userKey.wrappedKey });
+  assert.deepStrictEqual(await decrypt(stored, result.encryption), plaintext);
+  // Progress is reported in plaintext bytes, the unit of the torrent's size
+  assert.strictEqual(progress[progress.length - 1], plaintext.length);
+});
+
+test('a segment can be opened with the nonce layout from the format description', async (t) => {
+  const keyStore = withKeyStore(t);
+  const userKey = keyStore.userKey('u@x');
+  const plaintext = Buffer.from('hello world');
+  const { stored, result } = await encrypt(plaintext, userKey);
+
+  const wrapped = Buffer.from(result.encryption.dataKey, 'base64');
+  const unwrap = crypto.createDecipheriv('aes-256-gcm', userKey.key, wrapped.subarray(0, 12));
+  unwrap.setAAD(Buffer.from(`data:${userKey.keyId}`));
+  unwrap.setAuthTag(wrapped.subarray(wrapped.length - TAG_BYTES));
+  const dataKey = Buffer.concat([unwrap.update(wrapped.subarray(12, wrapped.length - TAG_BYTES)), unwrap.final()]);
+
+  // Segment n is sealed under noncePrefix | n (4 bytes, big-endian) | 1 for the last segment
+  const nonce = Buffer.concat([Buffer.from(result.encryption.noncePrefix, 'base64'), Buffer.from([0, 0, 0, 0, 1])]);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, nonce);
+  decipher.setAuthTag(stored.subarray(stored.length - TAG_BYTES));
+  assert.deepStrictEqual(Buffer.concat([decipher.update(stored.subarray(0, stored.length - TAG_BYTES)), decipher.final()]), plaintext);
+});
+
+test('empty content is one empty last segment', async (t) => {
+  const { stored, result } = await encrypt(Buffer.alloc(0), withKeyStore(t).userKey('u@x'));
+  assert.strictEqual(stored.length, TAG_BYTES);
+  assert.deepStrictEqual(await decrypt(stored, result.encryption), Buffer.alloc(0));
+});
+
+test('altered, truncated or reordered objects fail to decrypt', async (t) => {
+  const { stored, result } = await encrypt(crypto.randomBytes(2 * SEGMENT_SIZE), withKeyStore(t).userKey('u@x'));
+  const segment = SEGMENT_SIZE + TAG_BYTES;
+
+  const altered = Buffer.from(stored);
+  altered[10] ^= 1;
+  await assert.rejects(decrypt(altered, result.encryption), /Segment 0 .* failed authentication/);
+
+  // Dropping the last segment leaves one whose last flag is not set
+  await assert.rejects(decrypt(stored.subarray(0, segment), result.encryption), /Segment 0 .* failed authentication/);
+
+  const reordered = Buffer.concat([stored.subarray(segment), stored.subarray(0, segment)]);
+  await assert.rejects(decrypt(reordered, result.encryption), /failed authentication/);
+});
+
+test('a source that fails while it is read fails the upload, even if the storage does not notice', async (t) => {
+  let reads = 0;
+  const source = new Readable({
+    read() {
+      reads++;
+      if (reads === 1) this.push(crypto.randomBytes(SEGMENT_SIZE));
+      else this.destroy(Object.assign(new Error('disk read failed'), { code: 'EIO' }));
+    }
+  });
+  // Takes whatever arrives until the stream closes, like a consumer that does not listen for errors
+  const storage = createEncryptingStorage({
+    uploadStream({ key, stream }) {
+      return new Promise((resolve) => {
+        stream.on('data', () => {});
+        stream.on('error', () => {});
+        stream.on('close', () => resolve({ key, size: 0 }));
+      });
+    }
+  }, withKeyStore(t).userKey('u@x'));
+
+  await assert.rejects(storage.uploadStream({ key: 'k', stream: source }), /disk read failed/);
+});
+
+test('a user key is created once and needs its own master key', (t) => {
+  const keyStore = withKeyStore(t);
+  const first = keyStore.userKey('u@x');
+  assert.deepStrictEqual(keyStore.userKey('u@x').key, first.key);
+  assert.notDeepStrictEqual(keyStore.userKey('v@y').key, first.key);
+  assert.strictEqual(fs.readdirSync(keyStore.dir).some((name) => name.includes('u@x')), false);
+
+  const otherId = new KeyStore({ dir: keyStore.dir, masterKey: MASTER_KEY, masterKeyId: 'm2' });
+  assert.throws(() => otherId.userKey('u@x'), PermanentError);
+  const otherKey = new KeyStore({ dir: keyStore.dir, masterKey: crypto.randomBytes(32), masterKeyId: 'm1' });
+  assert.throws(() => otherKey.userKey('u@x'), /wrong key or damaged data/);
+});
+
+test('decryption needs the master key the object names', async (t) => {
+  const { result } = await encrypt(Buffer.from('x'), withKeyStore(t).userKey('u@x'));
+  assert.throws(() => createDecryptStream(result.encryption, {}), /Master key m1 is not configured/);
+  assert.throws(() => createDecryptStream(result.encryption, { m1: crypto.randomBytes(32) }), /wrong key or damaged data/);
+  assert.throws(() => createDecryptStream(Object.assign({}, result.encryption, { algorithm: 'AES-128-CBC' }), { m1: MASTER_KEY }),
+    /Unsupported encryption algorithm/);
+});
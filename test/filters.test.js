@@ -0,0 +1,70 @@
+/**
+ * test/filters.test.js
+ * Include/exclude rules of uploader/filters.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileRules, filterFiles } = require('../uploader/filters');
+
+const MB = 1024 * 1024;
+
+function file(relativePath, size = 1) {
+  return { relativePath, absolutePath: `/data/${relativePath}`, stats: { size } };
+}
+
+function kept(files, rules) {
+  return filterFiles(files, rules).files.map((entry) => entry.relativePath);
+}
+
+test('a glob without a slash matches the file name in any folder', () => {
+  const files = [file('Thumbs.db'), file('Extras/thumbs.DB'), file('Movie.mkv')];
+  assert.deepStrictEqual(kept(files, [{ action: 'exclude', glob: 'Thumbs.db' }]), ['Movie.mkv']);
+});
+
+test('a glob with a slash matches the path, and * stays within a folder', () => {
+  const files = [file('Extras/a.mkv'), file('Extras/Deep/b.mkv'), file('c.mkv')];
+  assert.deepStrictEqual(kept(files, [{ action: 'exclude', glob: 'Extras/*.mkv' }]), ['Extras/Deep/b.mkv', 'c.mkv']);
+});
+
+test('** crosses folders and also matches no folder at all', () => {
+  const files = [file('a.nfo'), file('Season 1/b.nfo'), file('Season 1/Extras/c.nfo'), file('d.mkv')];
+  assert.deepStrictEqual(kept(files, [{ action: 'exclude', glob: '**/*.nfo' }]), ['d.mkv']);
+});
+
+test('braces match either alternative and ? one character', () => {
+  const files = [file('a.nfo'), file('b.txt'), file('c.mkv'), file('ab.srt'), file('a.srt')];
+  assert.deepStrictEqual(kept(files, [{ action: 'exclude', glob: '*.{nfo,txt}' }, { action: 'exclude', glob: '?.srt' }]),
+    ['c.mkv', 'ab.srt']);
+});
+
+test('glob characters that mean something in a regex are literal', () => {
+  const files = [file('a+b (1).mkv'), file('aab 1.mkv')];
+  assert.deepStrictEqual(kept(files, [{ action: 'exclude', glob: 'a+b (1).mkv' }]), ['aab 1.mkv']);
+});
+
+test('include rules keep only matching files, and excludes win over includes', () => {
+  const files = [file('Movie.mkv', 700 * MB), file('Sample/sample.mkv', 20 * MB), file('Movie.nfo')];
+  const result = filterFiles(files, [
+    { action: 'include', extensions: ['MKV'] },
+    { action: 'exclude', name: 'samples', regex: '(^|/)sample[^/]*\\.mkv$' }
+  ]);
+  assert.deepStrictEqual(result.files.map((entry) => entry.relativePath), ['Movie.mkv']);
+  assert.deepStrictEqual(result.excluded, [
+    { path: 'Sample/sample.mkv', size: 20 * MB, reason: 'exclude rule 2 "samples" (regex (^|/)sample[^/]*\\.mkv$)' },
+    { path: 'Movie.nfo', size: 1, reason: 'matches no include rule' }
+  ]);
+});
+
+test('every condition of a rule has to match', () => {
+  const files = [file('big.mkv', 50 * MB), file('small.mkv', 1 * MB), file('big.txt', 50 * MB)];
+  assert.deepStrictEqual(kept(files, [{ action: 'exclude', glob: '*.mkv', maxSizeMB: 10 }]), ['big.mkv', 'big.txt']);
+});
+
+test('invalid rules are rejected with the rule number', () => {
+  assert.throws(() => compileRules([{ action: 'drop', glob: '*' }]), /rule 1\.action must be include or exclude/);
+  assert.throws(() => compileRules([{ action: 'include' }]), /rule 1 needs at least one of/);
+  assert.throws(() => compileRules([{ action: 'include', glob: '*' }, { action: 'exclude', glob: '{a,b' }]), /Unclosed \{/);
+  assert.throws(() => compileRules([{ action: 'exclude', regex: '(' }]), /rule 1\.regex is invalid/);
+  assert.throws(() => compileRules([{ action: 'exclude', glob: '*', size: 1 }]), /unknown setting\(s\): size/);
+});
@@ -0,0 +1,98 @@
+/**
+ * test/job-queue.test.js
+ * States and moves of the on-disk job queue in uploader/job-queue.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../uploader/job-queue');
+
+function createQueue(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new JobQueue(dir);
+}
+
+function torrent(hash, name = hash) {
+  return { name, hash, savePath: '/downloads', rootPath: `/downloads/${name}`, category: 'u@x' };
+}
+
+test('a torrent is queued once while it is pending or running', (t) => {
+  const queue = createQueue(t);
+  const first = queue.enqueue(torrent('abc'));
+  assert.strictEqual(first.created, true);
+  assert.match(first.job.id, /^\d{14}-[0-9a-f]{8}$/);
+
+  assert.deepStrictEqual(queue.enqueue(torrent('ABC')), { job: first.job, created: false });
+  queue.claim();
+  assert.strictEqual(queue.enqueue(torrent('abc')).created, false);
+  assert.deepStrictEqual(queue.counts(), { pending: 0, active: 1, dead: 0 });
+});
+
+test('jobs are claimed oldest first, and only once', (t) => {
+  const queue = createQueue(t);
+  const older = queue.createJob(torrent('a'));
+  const newer = queue.createJob(torrent('b'));
+  older.id = `00000000000001-${older.id.split('-')[1]}`;
+  queue.write('pending', newer);
+  queue.write('pending', older);
+
+  const claimed = queue.claim();
+  assert.strictEqual(claimed.id, older.id);
+  assert.ok(claimed.startedAt);
+  assert.strictEqual(queue.claim().id, newer.id);
+  assert.strictEqual(queue.claim(), null);
+
+  queue.complete(claimed);
+  assert.deepStrictEqual(queue.ids('active'), [newer.id]);
+});
+
+test('a job waiting for its retry time is skipped until it is due', (t) => {
+  const queue = createQueue(t);
+  const { job } = queue.enqueue(torrent('a'));
+  queue.retryLater(queue.claim(), { message: 'timeout', attempt: 1 }, 60000);
+
+  const waiting = queue.read('pending', job.id);
+  assert.strictEqual(waiting.attempts, 1);
+  assert.strictEqual(waiting.lastError.message, 'timeout');
+  assert.strictEqual(queue.claim(), null);
+  const wait = queue.msUntilNextDue();
+  assert.ok(wait > 55000 && wait <= 60000, `waits ${wait}ms`);
+
+  queue.defer(Object.assign(waiting, { nextAttemptAt: null }), new Date(Date.now() - 1000));
+  assert.strictEqual(queue.claim().id, job.id);
+  assert.strictEqual(queue.msUntilNextDue(), null);
+});
+
+test('dead jobs keep their error and can be replayed with fresh attempts', (t) => {
+  const queue = createQueue(t);
+  const { job } = queue.enqueue(torrent('a'));
+  queue.deadLetter(queue.claim(), { message: 'AccessDenied', attempt: 3 });
+
+  assert.deepStrictEqual(queue.counts(), { pending: 0, active: 0, dead: 1 });
+  const dead = queue.read('dead', job.id);
+  assert.strictEqual(dead.attempts, 3);
+  assert.ok(dead.deadAt);
+
+  const replayed = queue.replay(job.id);
+  assert.strictEqual(replayed.attempts, 0);
+  assert.strictEqual(replayed.deadAt, undefined);
+  assert.deepStrictEqual(queue.counts(), { pending: 1, active: 0, dead: 0 });
+  assert.strictEqual(queue.replay('00000000000000-00000000'), null);
+});
+
+test('jobs left active by a previous run are recovered', (t) => {
+  const queue = createQueue(t);
+  queue.enqueue(torrent('a'));
+  queue.enqueue(torrent('b'));
+  queue.claim();
+  queue.claim();
+
+  const reopened = new JobQueue(queue.queueDir);
+  assert.strictEqual(reopened.recover(), 2);
+  assert.deepStrictEqual(reopened.counts(), { pending: 2, active: 0, dead: 0 });
+  assert.deepStrictEqual(fs.readdirSync(queue.queueDir).filter((name) => name.endsWith('.tmp')), []);
+});
@@ -0,0 +1,134 @@
+/**
+ * test/journal.test.js
+ * Torrent locks and step journals of uploader/journal.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Journal, LockHeldError, sourceFingerprint } = require('../uploader/journal');
+
+const TORRENT = { hash: 'abc123', name: 'Show S01' };
+
+function createJournal(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new Journal({ dir, retentionMs: 60 * 60 * 1000 });
+}
+
+function writeLock(journal, holder) {
+  fs.mkdirSync(journal.dir, { recursive: true });
+  fs.writeFileSync(journal.lockPathFor(TORRENT.hash), typeof holder === 'string' ? holder : JSON.stringify(holder));
+}
+
+test('a torrent is locked by one process at a time until it releases the lock', (t) => {
+  const journal = createJournal(t);
+  const release = journal.lock(TORRENT.hash);
+
+  assert.throws(() => journal.lock(TORRENT.hash), (error) => error instanceof LockHeldError &&
+    error.holder.pid === process.pid && error.message.startsWith(`Torrent abc123 is being processed by process ${process.pid} on ${os.hostname()}`));
+  release();
+  release();
+  journal.lock(TORRENT.hash)();
+});
+
+test('a lock left by a process that no longer runs is taken over, one from another host is not', (t) => {
+  const journal = createJournal(t);
+  const exited = spawnSync(process.execPath, ['-e', '']).pid;
+  writeLock(journal, { pid: exited, host: os.hostname(), lockedAt: '2026-01-14T10:00:00.000Z' });
+  journal.lock(TORRENT.hash)();
+
+  writeLock(journal, { pid: exited, host: 'other-host', lockedAt: '2026-01-14T10:00:00.000Z' });
+  assert.throws(() => journal.lock(TORRENT.hash), /by process \d+ on other-host since 2026-01-14T10:00:00.000Z/);
+});
+
+test('a lock file that was never written is held for a few seconds, then taken over', (t) => {
+  const journal = createJournal(t);
+  writeLock(journal, '');
+  assert.throws(() => journal.lock(TORRENT.hash), LockHeldError);
+
+  const longAgo = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(journal.lockPathFor(TORRENT.hash), longAgo, longAgo);
+  journal.lock(TORRENT.hash)();
+  assert.strictEqual(fs.existsSync(journal.lockPathFor(TORRENT.hash)), false);
+});
+
+test('finished steps are kept for the completion they belong to', (t) => {
+  const journal = createJournal(t);
+  const { entry, restarted } = journal.begin(TORRENT, 1700000000);
+  assert.strictEqual(restarted, false);
+  assert.deepStrictEqual(entry.steps, {});
+
+  journal.complete(TORRENT.hash, 'upload', { key: 'u@x/Show S01.zip' });
+  assert.strictEqual(journal.step(TORRENT.hash, 'upload').key, 'u@x/Show S01.zip');
+  assert.strictEqual(journal.step(TORRENT.hash, 'publish'), null);
+
+  const resumed = journal.begin(TORRENT, 1700000000);
+  assert.strictEqual(resumed.restarted, false);
+  assert.deepStrictEqual(Object.keys(resumed.entry.steps), ['upload']);
+  assert.strictEqual(journal.current(TORRENT.hash, null).steps.upload.key, 'u@x/Show S01.zip');
+});
+
+test('a torrent that completed again starts a new journal', (t) => {
+  const journal = createJournal(t);
+  journal.begin(TORRENT, 1700000000);
+  journal.complete(TORRENT.hash, 'done');
+
+  assert.strictEqual(journal.current(TORRENT.hash, 1800000000), null);
+  const { entry, restarted } = journal.begin(TORRENT, 1800000000);
+  assert.strictEqual(restarted, true);
+  assert.deepStrictEqual(entry.steps, {});
+  assert.strictEqual(journal.read(TORRENT.hash).completedAt, 1800000000);
+});
+
+test('a journal started without a completion time takes the first one known', (t) => {
+  const journal = createJournal(t);
+  journal.begin(TORRENT, null);
+  journal.complete(TORRENT.hash, 'upload', { key: 'k' });
+
+  const { entry, restarted } = journal.begin(TORRENT, 1700000000);
+  assert.strictEqual(restarted, false);
+  assert.strictEqual(entry.completedAt, 1700000000);
+  assert.ok(journal.step(TORRENT.hash, 'upload'));
+});
+
+test('journals untouched for the retention time are pruned, unless their torrent is locked', (t) => {
+  const journal = createJournal(t);
+  const write = (hash, updatedAt) => fs.writeFileSync(journal.pathFor(hash), JSON.stringify({ hash, updatedAt, steps: {} }));
+  journal.begin(TORRENT, null);
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  write('old', old);
+  write('locked', old);
+  journal.lock('locked');
+
+  assert.strictEqual(journal.prune(), 1);
+  assert.deepStrictEqual(fs.readdirSync(journal.dir).sort(), ['abc123.json', 'locked.json', 'locked.lock']);
+});
+
+test('objects are recorded one by one before the upload step finishes, and forgotten with their completion', (t) => {
+  const journal = createJournal(t);
+  journal.begin(TORRENT, 1700000000);
+  journal.completeObject(TORRENT.hash, 'u@x/Show/e01.mkv', { source: 'f1', size: 5, expectedEtag: '"e1"' });
+
+  assert.deepStrictEqual(Object.assign({}, journal.object(TORRENT.hash, 'u@x/Show/e01.mkv'), { at: null }),
+    { at: null, source: 'f1', size: 5, expectedEtag: '"e1"' });
+  assert.strictEqual(journal.object(TORRENT.hash, 'u@x/Show/e02.mkv'), null);
+  assert.strictEqual(journal.step(TORRENT.hash, 'upload'), null);
+
+  journal.begin(TORRENT, 1800000000);
+  assert.strictEqual(journal.object(TORRENT.hash, 'u@x/Show/e01.mkv'), null);
+});
+
+test('the fingerprint of source files changes with any of their paths, sizes or modification times', () => {
+  const file = (relativePath, size, mtimeMs) => ({ relativePath, stats: { size, mtimeMs } });
+  const fingerprint = sourceFingerprint([file('a.mkv', 10, 1000), file('b.nfo', 2, 1000)]);
+
+  assert.strictEqual(sourceFingerprint([file('a.mkv', 10, 1000), file('b.nfo', 2, 1000)]), fingerprint);
+  assert.notStrictEqual(sourceFingerprint([file('a.mkv', 10, 1000), file('c.nfo', 2, 1000)]), fingerprint);
+  assert.notStrictEqual(sourceFingerprint([file('a.mkv', 11, 1000), file('b.nfo', 2, 1000)]), fingerprint);
+  assert.notStrictEqual(sourceFingerprint([file('a.mkv', 10, 1001), file('b.nfo', 2, 1000)]), fingerprint);
+  assert.notStrictEqual(sourceFingerprint([file('a.mkv', 10, 1000)]), fingerprint);
+});
@@ -0,0 +1,123 @@
+/**
+ * test/qbittorrent-client.test.js
+ * Login, re-login and Web API version handling of uploader/qbittorrent-client.js, against a local fake qBittorrent
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { compareVersions, createQbittorrentClient } = require('../uploader/qbittorrent-client');
+const { PermanentError } = require('../uploader/retry');
+
+/**
+ * Fake qBittorrent Web API, closed when the test ends
+ * @param {Object} t Test context
+ * @param {Object} options { apiVersion, password }
+ * @returns {Promise<Object>} { url, state } - state.logins counts logins, state.sid is the valid
+ *   session (set it to null to expire every session), state.requests lists the API paths called
+ */
+async function startFakeQbittorrent(t, options = {}) {
+  const state = { logins: 0, sid: null, requests: [] };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const route = req.url.split('?')[0].replace('/api/v2', '');
+      state.requests.push(route);
+
+      if (route === '/auth/login') {
+        const form = new URLSearchParams(body);
+        if (form.get('password') !== (options.password || 'secret')) {
+          res.end('Fails.');
+          return;
+        }
+        state.logins++;
+        state.sid = `session${state.logins}`;
+        res.setHeader('Set-Cookie', `SID=${state.sid}; HttpOnly; path=/`);
+        res.end('Ok.');
+        return;
+      }
+      if (!state.sid || req.headers.cookie !== `SID=${state.sid}`) {
+        res.statusCode = 403;
+        res.end('Forbidden');
+        return;
+      }
+      if (route === '/app/webapiVersion') {
+        res.end(options.apiVersion || '2.11.2');
+        return;
+      }
+      if (route === '/torrents/info') {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify([{ hash: 'h1', name: 'Show', tags: '' }]));
+        return;
+      }
+      res.end('');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/api/v2`, state };
+}
+
+function client(url, password = 'secret') {
+  return createQbittorrentClient({ url, username: 'admin', password, timeoutMs: 5000 });
+}
+
+test('versions compare part by part', () => {
+  assert.ok(compareVersions('2.11.2', '2.11') > 0);
+  assert.ok(compareVersions('2.9.3', '2.11') < 0);
+  assert.strictEqual(compareVersions('2.11', '2.11.0'), 0);
+});
+
+test('the client logs in once and sends the session cookie', async (t) => {
+  const fake = await startFakeQbittorrent(t);
+  const qbt = client(fake.url);
+
+  assert.strictEqual((await qbt.torrentInfo('h1')).name, 'Show');
+  await qbt.addTags('h1', ['Ready', 'Upload files']);
+  assert.strictEqual(fake.state.logins, 1);
+  assert.strictEqual(await qbt.apiVersion(), '2.11.2');
+});
+
+test('an expired session logs in again and repeats the request once', async (t) => {
+  const fake = await startFakeQbittorrent(t);
+  const qbt = client(fake.url);
+  await qbt.torrentInfo('h1');
+
+  fake.state.sid = null;
+  fake.state.requests = [];
+  assert.strictEqual((await qbt.torrentInfo('h1')).hash, 'h1');
+  assert.strictEqual(fake.state.logins, 2);
+  assert.deepStrictEqual(fake.state.requests, ['/torrents/info', '/auth/login', '/app/webapiVersion', '/torrents/info']);
+});
+
+test('requests that fail with the same expired session share one new login', async (t) => {
+  const fake = await startFakeQbittorrent(t);
+  const qbt = client(fake.url);
+  await qbt.torrentInfo('h1');
+
+  fake.state.sid = null;
+  await Promise.all([qbt.torrentInfo('h1'), qbt.torrentInfo('h1'), qbt.addTags('h1', 'Ready')]);
+  assert.strictEqual(fake.state.logins, 2);
+});
+
+test('a refused login is permanent', async (t) => {
+  const fake = await startFakeQbittorrent(t);
+  await assert.rejects(client(fake.url, 'wrong').torrentInfo('h1'), (error) => {
+    assert.ok(error instanceof PermanentError);
+    assert.match(error.message, /refused the login: Fails\./);
+    return true;
+  });
+});
+
+test('stopping a torrent uses stop from Web API 2.11 and pause before it', async (t) => {
+  const current = await startFakeQbittorrent(t, { apiVersion: '2.11.2' });
+  await client(current.url).stopTorrent('h1');
+  await client(current.url).startTorrent('h1');
+  assert.deepStrictEqual(current.state.requests.filter((route) => route.startsWith('/torrents/')), ['/torrents/stop', '/torrents/start']);
+
+  const older = await startFakeQbittorrent(t, { apiVersion: '2.9.3' });
+  await client(older.url).stopTorrent('h1');
+  await client(older.url).startTorrent('h1');
+  assert.deepStrictEqual(older.state.requests.filter((route) => route.startsWith('/torrents/')), ['/torrents/pause', '/torrents/resume']);
+});
@@ -0,0 +1,120 @@
+/**
+ * test/quarantine.test.js
+ * Delete checks and the quarantine of uploader/quarantine.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Quarantine, isStrictlyInside, checkDeletable } = require('../uploader/quarantine');
+
+/**
+ * Temporary downloads directory with one torrent's content, and a quarantine next to it that keeps entries an hour
+ * @param {Object} t Test context
+ * @returns {Object} { root, savePath, contentRoot, quarantine }
+ */
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const savePath = path.join(root, 'downloads');
+  const contentRoot = path.join(savePath, 'Show');
+  fs.mkdirSync(path.join(contentRoot, 'Season 1'), { recursive: true });
+  fs.writeFileSync(path.join(contentRoot, 'Season 1', 'e01.mkv'), 'video');
+  return { root, savePath, contentRoot, quarantine: new Quarantine({ dir: path.join(root, 'quarantine'), retentionMs: 60 * 60 * 1000 }) };
+}
+
+test('only paths strictly inside a directory are inside it', () => {
+  assert.strictEqual(isStrictlyInside('/downloads/Show', '/downloads'), true);
+  assert.strictEqual(isStrictlyInside('/downloads', '/downloads'), false);
+  assert.strictEqual(isStrictlyInside('/downloads/../etc', '/downloads'), false);
+  assert.strictEqual(isStrictlyInside('/downloads2/Show', '/downloads'), false);
+});
+
+test('a torrent may only delete its own content and the archive built next to it', (t) => {
+  const { root, savePath, contentRoot } = setup(t);
+  const roots = [contentRoot];
+
+  assert.strictEqual(checkDeletable(contentRoot, savePath, roots), null);
+  assert.strictEqual(checkDeletable(path.join(contentRoot, 'Season 1'), savePath, roots), null);
+  assert.strictEqual(checkDeletable(`${contentRoot}.zip`, savePath, roots), null);
+  assert.strictEqual(checkDeletable(savePath, savePath, roots), `it is not strictly inside the save path ${savePath}`);
+  assert.strictEqual(checkDeletable(path.join(savePath, 'Other'), savePath, roots), 'it is not part of the torrent\'s content');
+  assert.strictEqual(checkDeletable(contentRoot, '', roots), 'the save path of the torrent is unknown');
+
+  // A link inside the save path that points elsewhere is judged by where it points
+  fs.mkdirSync(path.join(root, 'elsewhere'));
+  fs.symlinkSync(path.join(root, 'elsewhere'), path.join(contentRoot, 'link'));
+  assert.match(checkDeletable(path.join(contentRoot, 'link'), savePath, roots), /not strictly inside the save path/);
+});
+
+test('quarantined content is moved away and can be restored', (t) => {
+  const { savePath, contentRoot, quarantine } = setup(t);
+  const entry = quarantine.add(contentRoot, { hash: 'h1', torrent: 'Show', savePath, contentRoots: [contentRoot] });
+
+  assert.strictEqual(fs.existsSync(contentRoot), false);
+  assert.deepStrictEqual(quarantine.list().map((item) => [item.id, item.originalPath, item.hash]), [[entry.id, contentRoot, 'h1']]);
+
+  assert.strictEqual(quarantine.restore(entry.id).id, entry.id);
+  assert.strictEqual(fs.readFileSync(path.join(contentRoot, 'Season 1', 'e01.mkv'), 'utf8'), 'video');
+  assert.deepStrictEqual(quarantine.list(), []);
+});
+
+test('a restore never overwrites a path that is in use again', (t) => {
+  const { savePath, contentRoot, quarantine } = setup(t);
+  const entry = quarantine.add(contentRoot, { savePath, contentRoots: [contentRoot] });
+  fs.mkdirSync(contentRoot);
+
+  assert.throws(() => quarantine.restore(entry.id), /exists again, not overwriting it/);
+  assert.strictEqual(quarantine.list().length, 1);
+  assert.throws(() => quarantine.restore('00000000000000-00000000'), /No quarantine entry with id/);
+});
+
+test('only entries past the retention period are purged', (t) => {
+  const { contentRoot, quarantine } = setup(t);
+  const old = quarantine.add(path.join(contentRoot, 'Season 1'));
+  const recent = quarantine.add(contentRoot);
+  const record = path.join(quarantine.dir, old.id, 'entry.json');
+  fs.writeFileSync(record, JSON.stringify(Object.assign(old, { quarantinedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() })));
+
+  assert.strictEqual(quarantine.purge(), 1);
+  assert.deepStrictEqual(quarantine.list().map((item) => item.id), [recent.id]);
+});
+
+test('ids that are not entry ids are refused, and so are strays in the quarantine directory', (t) => {
+  const { contentRoot, quarantine } = setup(t);
+  const entry = quarantine.add(contentRoot);
+  fs.mkdirSync(path.join(quarantine.dir, 'stray'));
+
+  assert.throws(() => quarantine.restore('.'), /\. is not a quarantine entry id/);
+  assert.throws(() => quarantine.restore('../downloads'), /is not a quarantine entry id/);
+  assert.strictEqual(quarantine.list().length, 1);
+
+  const record = path.join(quarantine.dir, entry.id, 'entry.json');
+  fs.writeFileSync(record, JSON.stringify(Object.assign(entry, { quarantinedAt: new Date(0).toISOString() })));
+  fs.utimesSync(path.join(quarantine.dir, 'stray'), new Date(0), new Date(0));
+  assert.strictEqual(quarantine.purge(), 1);
+  assert.deepStrictEqual(fs.readdirSync(quarantine.dir), ['stray']);
+});
+
+test('a restore only writes where the torrent could have deleted from', (t) => {
+  const { root, savePath, contentRoot, quarantine } = setup(t);
+  const entry = quarantine.add(contentRoot, { savePath, contentRoots: [contentRoot] });
+  const record = path.join(quarantine.dir, entry.id, 'entry.json');
+  const tamper = (changes) => fs.writeFileSync(record, JSON.stringify(Object.assign({}, entry, changes)));
+
+  tamper({ originalPath: path.join(root, 'elsewhere', 'Show') });
+  assert.throws(() => quarantine.restore(entry.id), /Not restoring to .*: it is not strictly inside the save path/);
+  tamper({ originalPath: path.join(savePath, 'Other'), name: 'Other' });
+  assert.throws(() => quarantine.restore(entry.id), /it is not part of the torrent's content/);
+  tamper({ name: '../../Show' });
+  assert.throws(() => quarantine.restore(entry.id), /its name does not match its original path/);
+  tamper({ savePath: undefined });
+  assert.throws(() => quarantine.restore(entry.id), /the save path of the torrent is unknown/);
+  assert.strictEqual(fs.existsSync(path.join(root, 'elsewhere')), false);
+
+  tamper({});
+  quarantine.restore(entry.id);
+  assert.ok(fs.existsSync(path.join(contentRoot, 'Season 1', 'e01.mkv')));
+});
@@ -0,0 +1,94 @@
+/**
+ * test/retry.test.js
+ * Failure classification and backoff of uploader/retry.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { TransientError, PermanentError, DeferredError, classifyError, backoffDelay, describeError, withRetries } = require('../uploader/retry');
+
+const POLICY = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1 };
+
+function withCode(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+test('network failures, 5xx, 408, 429 and S3 throttling are transient', () => {
+  assert.strictEqual(classifyError(withCode('ECONNRESET')), 'transient');
+  assert.strictEqual(classifyError(withCode('EAI_AGAIN')), 'transient');
+  assert.strictEqual(classifyError(Object.assign(new Error('x'), { response: { status: 503 } })), 'transient');
+  assert.strictEqual(classifyError(Object.assign(new Error('x'), { response: { status: 429 } })), 'transient');
+  assert.strictEqual(classifyError(Object.assign(new Error('x'), { $metadata: { httpStatusCode: 408 } })), 'transient');
+  assert.strictEqual(classifyError(Object.assign(new Error('x'), { name: 'SlowDown' })), 'transient');
+  assert.strictEqual(classifyError(new TransientError('x')), 'transient');
+});
+
+test('missing files, refused credentials and other 4xx are permanent', () => {
+  assert.strictEqual(classifyError(withCode('ENOENT')), 'permanent');
+  assert.strictEqual(classifyError(withCode('EACCES')), 'permanent');
+  assert.strictEqual(classifyError(Object.assign(new Error('x'), { name: 'AccessDenied' })), 'permanent');
+  assert.strictEqual(classifyError(Object.assign(new Error('x'), { $metadata: { httpStatusCode: 403 } })), 'permanent');
+  assert.strictEqual(classifyError(Object.assign(new Error('x'), { response: { status: 404 } })), 'permanent');
+  assert.strictEqual(classifyError(new PermanentError('x')), 'permanent');
+});
+
+test('unknown failures are retried', () => {
+  assert.strictEqual(classifyError(new Error('something odd')), 'transient');
+});
+
+test('the backoff doubles per attempt up to the cap, with half of it random', () => {
+  const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+  for (let i = 0; i < 50; i++) {
+    const first = backoffDelay(1, policy);
+    const third = backoffDelay(3, policy);
+    const capped = backoffDelay(10, policy);
+    assert.ok(first >= 500 && first <= 1000, `attempt 1 waits ${first}ms`);
+    assert.ok(third >= 2000 && third <= 4000, `attempt 3 waits ${third}ms`);
+    assert.ok(capped >= 2500 && capped <= 5000, `attempt 10 waits ${capped}ms`);
+  }
+});
+
+test('a described error keeps what is needed to decide and report', () => {
+  const described = describeError(Object.assign(new Error('Forbidden'), { code: 'ERR_BAD_REQUEST', response: { status: 403 } }), 2);
+  assert.deepStrictEqual(Object.assign({}, described, { at: null }), {
+    message: 'Forbidden', name: 'Error', code: 'ERR_BAD_REQUEST', status: 403, classification: 'permanent', attempt: 2, at: null
+  });
+});
+
+test('transient failures are retried until one attempt succeeds', async () => {
+  const attempts = [];
+  const logged = [];
+  const result = await withRetries(async (attempt) => {
+    attempts.push(attempt);
+    if (attempt < 3) throw withCode('ETIMEDOUT');
+    return 'uploaded';
+  }, POLICY, (message) => logged.push(message));
+
+  assert.strictEqual(result, 'uploaded');
+  assert.deepStrictEqual(attempts, [1, 2, 3]);
+  assert.strictEqual(logged.length, 2);
+  assert.match(logged[0], /^Attempt 1\/3 failed \(transient\): ETIMEDOUT\. Retrying in/);
+});
+
+test('a permanent failure is not retried, and the last error says how many attempts were made', async () => {
+  let calls = 0;
+  await assert.rejects(withRetries(async () => {
+    calls++;
+    throw withCode('ENOENT');
+  }, POLICY), (error) => error.code === 'ENOENT' && error.attempts === 1);
+  assert.strictEqual(calls, 1);
+
+  await assert.rejects(withRetries(async () => {
+    throw withCode('ECONNRESET');
+  }, POLICY), (error) => error.attempts === 3);
+});
+
+test('a deferred job is handed back to the caller at once, without waiting or retrying', async () => {
+  const until = new Date(Date.now() + 60 * 60 * 1000);
+  let calls = 0;
+  await assert.rejects(withRetries(async () => {
+    calls++;
+    throw new DeferredError('Outside the upload window', until);
+  }, POLICY), (error) => error instanceof DeferredError && error.until === until);
+  assert.strictEqual(calls, 1);
+});
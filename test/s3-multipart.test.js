@@ -0,0 +1,186 @@
+/**
+ * test/s3-multipart.test.js
+ * Resumable multipart uploads of uploader/s3-multipart.js, against an in-memory S3 client
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { uploadFile, uploadStream } = require('../uploader/s3-multipart');
+const { Throttle } = require('../uploader/throttle');
+
+const PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * S3 client that keeps multipart uploads in memory. Commands are told apart by class name.
+ * @param {Object} options { failPart, slowPart } - part number whose upload fails once, and one that takes 50 ms
+ * @returns {Object} Client with `uploads` (uploadId -> Map of parts) and `calls` (command names)
+ */
+function createFakeClient(options = {}) {
+  const client = { uploads: new Map(), calls: [], failPart: options.failPart };
+
+  client.send = async (command) => {
+    const name = command.constructor.name;
+    const input = command.input;
+    client.calls.push(name === 'UploadPartCommand' ? `${name} ${input.PartNumber}` : name);
+
+    if (name === 'CreateMultipartUploadCommand') {
+      const uploadId = `upload-${client.uploads.size + 1}`;
+      client.uploads.set(uploadId, new Map());
+      return { UploadId: uploadId };
+    }
+    const parts = client.uploads.get(input.UploadId);
+    if (!parts) throw Object.assign(new Error('The specified upload does not exist'), { name: 'NoSuchUpload' });
+
+    if (name === 'UploadPartCommand') {
+      if (input.PartNumber === options.slowPart) await new Promise((resolve) => setTimeout(resolve, 50));
+      if (input.PartNumber === client.failPart) {
+        client.failPart = null;
+        throw Object.assign(new Error('connection reset'), { code: 'ECONNRESET' });
+      }
+      const etag = `"${crypto.createHash('md5').update(input.Body).digest('hex')}"`;
+      parts.set(input.PartNumber, { PartNumber: input.PartNumber, ETag: etag, Size: input.Body.length });
+      return { ETag: etag };
+    }
+    if (name === 'ListPartsCommand') {
+      return { Parts: Array.from(parts.values()), IsTruncated: false };
+    }
+    if (name === 'CompleteMultipartUploadCommand') {
+      assert.deepStrictEqual(input.MultipartUpload.Parts.map((part) => part.PartNumber),
+        Array.from(parts.keys()).sort((a, b) => a - b));
+      return { ETag: '"complete"' };
+    }
+    if (name === 'AbortMultipartUploadCommand') {
+      client.uploads.delete(input.UploadId);
+      return {};
+    }
+    throw new Error(`Unexpected command ${name}`);
+  };
+  return client;
+}
+
+function setup(t, size) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'content.bin');
+  fs.writeFileSync(filePath, crypto.randomBytes(size));
+  return {
+    stateDir: path.join(dir, 'state'),
+    options: { bucket: 'b', key: 'k', filePath, partSize: PART_SIZE, stateDir: path.join(dir, 'state') }
+  };
+}
+
+test('an interrupted upload resumes with the parts that are already stored', async (t) => {
+  const { stateDir, options } = setup(t, 2 * PART_SIZE + 1000);
+  const client = createFakeClient({ failPart: 2 });
+
+  await assert.rejects(uploadFile(client, options), /connection reset/);
+  assert.strictEqual(fs.readdirSync(stateDir).length, 1);
+
+  client.calls = [];
+  const progress = [];
+  const result = await uploadFile(client, Object.assign({}, options, { onProgress: (update) => progress.push(update.uploadedBytes) }));
+
+  assert.strictEqual(result.resumed, true);
+  assert.deepStrictEqual(client.calls, ['ListPartsCommand', 'UploadPartCommand 2', 'UploadPartCommand 3', 'CompleteMultipartUploadCommand']);
+  assert.deepStrictEqual(progress, [PART_SIZE, 2 * PART_SIZE, 2 * PART_SIZE + 1000]);
+  assert.match(result.expectedEtag, /^[0-9a-f]{32}-3$/);
+  assert.deepStrictEqual(fs.readdirSync(stateDir), []);
+});
+
+test('a stored part that does not match the file is uploaded again', async (t) => {
+  const { options } = setup(t, 2 * PART_SIZE);
+  const client = createFakeClient({ failPart: 2 });
+  await assert.rejects(uploadFile(client, options), /connection reset/);
+
+  const [parts] = client.uploads.values();
+  parts.get(1).ETag = '"00000000000000000000000000000000"';
+  client.calls = [];
+  await uploadFile(client, options);
+
+  assert.deepStrictEqual(client.calls.filter((call) => call.startsWith('UploadPart')), ['UploadPartCommand 1', 'UploadPartCommand 2']);
+});
+
+test('a changed file aborts the old upload and starts over', async (t) => {
+  const { options } = setup(t, 2 * PART_SIZE);
+  const client = createFakeClient({ failPart: 2 });
+  await assert.rejects(uploadFile(client, options), /connection reset/);
+
+  fs.appendFileSync(options.filePath, 'more');
+  client.calls = [];
+  const result = await uploadFile(client, options);
+
+  assert.strictEqual(result.resumed, false);
+  assert.deepStrictEqual(client.calls.slice(0, 2), ['AbortMultipartUploadCommand', 'CreateMultipartUploadCommand']);
+});
+
+test('an upload that no longer exists starts over', async (t) => {
+  const { options } = setup(t, 2 * PART_SIZE);
+  const client = createFakeClient({ failPart: 2 });
+  await assert.rejects(uploadFile(client, options), /connection reset/);
+
+  client.uploads.clear();
+  client.calls = [];
+  const result = await uploadFile(client, options);
+
+  assert.strictEqual(result.resumed, false);
+  assert.deepStrictEqual(client.calls, ['ListPartsCommand', 'CreateMultipartUploadCommand',
+    'UploadPartCommand 1', 'UploadPartCommand 2', 'CompleteMultipartUploadCommand']);
+});
+
+test('a failing part stops the other workers, which finish before the file is closed', async (t) => {
+  const { stateDir, options } = setup(t, 6 * PART_SIZE);
+  const client = createFakeClient({ failPart: 1, slowPart: 2 });
+
+  await assert.rejects(uploadFile(client, Object.assign({}, options, { concurrency: 2 })), /connection reset/);
+  // Part 2 was still being sent when part 1 failed: the upload only fails once it is recorded
+  const [stateFile] = fs.readdirSync(stateDir);
+  const state = JSON.parse(fs.readFileSync(path.join(stateDir, stateFile), 'utf8'));
+  assert.deepStrictEqual(state.parts.map((part) => part.PartNumber), [2]);
+  assert.deepStrictEqual(client.calls.filter((call) => call.startsWith('UploadPart')), ['UploadPartCommand 1', 'UploadPartCommand 2']);
+
+  client.calls = [];
+  const result = await uploadFile(client, Object.assign({}, options, { concurrency: 2 }));
+  assert.strictEqual(result.resumed, true);
+  assert.strictEqual(client.calls.filter((call) => call.startsWith('UploadPart')).length, 5);
+});
+
+test('a part waits while the upload window is closed, and the parts before it are kept', async (t) => {
+  const { options } = setup(t, 2 * PART_SIZE);
+  const client = createFakeClient();
+  const send = client.send;
+  // The window closes for 100 ms once part 1 is stored
+  let opensAt = 0;
+  let secondPartAt = null;
+  client.send = async (command) => {
+    if (command.input.PartNumber === 2) secondPartAt = Date.now();
+    const response = await send(command);
+    if (command.input.PartNumber === 1) opensAt = Date.now() + 100;
+    return response;
+  };
+  const throttle = new Throttle([], { msUntilOpen: () => Math.max(0, opensAt - Date.now()) });
+  const logged = [];
+
+  await uploadFile(client, Object.assign({}, options, { throttle, log: (message) => logged.push(message) }));
+  assert.ok(secondPartAt >= opensAt, 'part 2 was sent while the window was closed');
+  assert.ok(logged.some((message) => message.startsWith('Upload window closed')));
+  assert.deepStrictEqual(client.calls.filter((call) => call.startsWith('UploadPart')), ['UploadPartCommand 1', 'UploadPartCommand 2']);
+});
+
+test('a stream whose size hint would not fit in 10000 parts is cut into larger parts', async () => {
+  const content = crypto.randomBytes(2 * PART_SIZE + 1000);
+  const sizes = async (sizeHint) => {
+    const client = createFakeClient();
+    const result = await uploadStream(client, { bucket: 'b', key: 'k', stream: Readable.from([content]), partSize: PART_SIZE, sizeHint });
+    assert.strictEqual(result.size, content.length);
+    const [parts] = client.uploads.values();
+    return Array.from(parts.values()).map((part) => part.Size);
+  };
+
+  assert.deepStrictEqual(await sizes(undefined), [PART_SIZE, PART_SIZE, 1000]);
+  assert.deepStrictEqual(await sizes(10000 * PART_SIZE + 1), [2 * PART_SIZE, 1000]);
+});
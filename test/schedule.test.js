@@ -0,0 +1,56 @@
+/**
+ * test/schedule.test.js
+ * Daily upload windows of uploader/schedule.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWindow, msUntilOpen } = require('../uploader/schedule');
+
+const MINUTE = 60 * 1000;
+
+// Local time on a day without a daylight saving change
+function at(hours, minutes) {
+  return new Date(2026, 0, 14, hours, minutes);
+}
+
+test('windows are parsed to minutes after midnight', () => {
+  assert.deepStrictEqual(parseWindow('01:00-07:30'), { start: 60, end: 450 });
+  assert.deepStrictEqual(parseWindow(' 22:00-06:00 '), { start: 1320, end: 360 });
+});
+
+test('malformed, impossible and empty windows are refused', () => {
+  assert.throws(() => parseWindow('1:00-7:00'), /must look like 01:00-07:00: 1:00-7:00/);
+  assert.throws(() => parseWindow('night'), /must look like/);
+  assert.throws(() => parseWindow('24:00-07:00'), /has an invalid time/);
+  assert.throws(() => parseWindow('01:60-07:00'), /has an invalid time/);
+  assert.throws(() => parseWindow('03:00-03:00'), /is empty/);
+});
+
+test('no windows means always open', () => {
+  assert.strictEqual(msUntilOpen([], at(12, 0)), 0);
+  assert.strictEqual(msUntilOpen(undefined, at(12, 0)), 0);
+});
+
+test('inside a window there is no wait, the end is no longer inside', () => {
+  assert.strictEqual(msUntilOpen(['01:00-07:00'], at(1, 0)), 0);
+  assert.strictEqual(msUntilOpen(['01:00-07:00'], at(6, 59)), 0);
+  assert.strictEqual(msUntilOpen(['01:00-07:00'], at(7, 0)), 18 * 60 * MINUTE);
+});
+
+test('before a window the wait is until it opens today, after it until tomorrow', () => {
+  assert.strictEqual(msUntilOpen(['01:00-07:00'], at(0, 30)), 30 * MINUTE);
+  assert.strictEqual(msUntilOpen(['01:00-07:00'], at(12, 0)), 13 * 60 * MINUTE);
+});
+
+test('a window past midnight is open on both sides of it', () => {
+  assert.strictEqual(msUntilOpen(['22:00-06:00'], at(23, 0)), 0);
+  assert.strictEqual(msUntilOpen(['22:00-06:00'], at(5, 59)), 0);
+  assert.strictEqual(msUntilOpen(['22:00-06:00'], at(6, 0)), 16 * 60 * MINUTE);
+});
+
+test('with several windows the wait is until the next one opens', () => {
+  assert.strictEqual(msUntilOpen(['01:00-03:00', '13:00-14:00'], at(12, 0)), 60 * MINUTE);
+  assert.strictEqual(msUntilOpen(['13:00-14:00', '01:00-03:00'], at(15, 0)), 10 * 60 * MINUTE);
+  assert.strictEqual(msUntilOpen(['01:00-03:00', '13:00-14:00'], at(13, 30)), 0);
+});
@@ -0,0 +1,74 @@
+/**
+ * test/seeding.test.js
+ * Seeding policy evaluation and tracking of uploader/seeding.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasLimit, describePolicy, seedingTag, isSeedingTag, evaluatePolicy, SeedingTracker } = require('../uploader/seeding');
+
+const HOUR_MS = 60 * 60 * 1000;
+const STARTED_AT = '2026-01-01T00:00:00.000Z';
+const START = new Date(STARTED_AT).getTime();
+
+test('a policy keeps seeding only with a ratio or hours limit', () => {
+  assert.strictEqual(hasLimit({ ratio: 0, hours: 0 }), false);
+  assert.strictEqual(hasLimit(null), false);
+  assert.strictEqual(hasLimit({ ratio: 1, hours: 0 }), true);
+  assert.strictEqual(hasLimit({ ratio: 0, hours: 48 }), true);
+  assert.strictEqual(describePolicy({ ratio: 1, hours: 48 }), 'ratio 1 or 48 hours, whichever comes first');
+  assert.strictEqual(describePolicy({ ratio: 0, hours: 48 }), '48 hours');
+});
+
+test('seeding goes on until a limit is reached', () => {
+  const result = evaluatePolicy({ ratio: 1, hours: 48 }, 0.99, STARTED_AT, START + 47 * HOUR_MS);
+  assert.deepStrictEqual(result, { done: false, reason: null });
+});
+
+test('the ratio limit ends seeding once reached', () => {
+  const result = evaluatePolicy({ ratio: 1, hours: 48 }, 1, STARTED_AT, START + HOUR_MS);
+  assert.strictEqual(result.done, true);
+  assert.strictEqual(result.reason, 'ratio 1.00 reached the limit of 1');
+});
+
+test('the hours limit ends seeding whatever the ratio', () => {
+  const result = evaluatePolicy({ ratio: 2, hours: 48 }, 0.1, STARTED_AT, START + 48 * HOUR_MS);
+  assert.strictEqual(result.done, true);
+  assert.strictEqual(result.reason, 'seeded for 48.0 hours, the limit is 48');
+});
+
+test('a limit of 0 never ends seeding', () => {
+  assert.strictEqual(evaluatePolicy({ ratio: 0, hours: 1 }, 50, STARTED_AT, START).done, false);
+  assert.strictEqual(evaluatePolicy({ ratio: 1, hours: 0 }, 0.5, STARTED_AT, START + 1000 * HOUR_MS).done, false);
+});
+
+test('the seeding tag rounds the ratio down to one decimal', () => {
+  assert.strictEqual(seedingTag(0.49), 'Seeding (ratio 0.4)');
+  assert.strictEqual(seedingTag(0.999), 'Seeding (ratio 0.9)');
+  assert.strictEqual(seedingTag(undefined), 'Seeding (ratio 0.0)');
+  assert.strictEqual(seedingTag(-1), 'Seeding (ratio 0.0)');
+  assert.strictEqual(isSeedingTag(seedingTag(3.14)), true);
+  assert.strictEqual(isSeedingTag('Seeding'), false);
+});
+
+test('tracking a torrent again keeps its start time', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seeding-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tracker = new SeedingTracker({ dir });
+
+  const first = tracker.add({ hash: 'a', name: 'A', policy: { ratio: 1, hours: 0 }, filePath: '/data/A.mkv' });
+  tracker.update('a', { ratio: 0.5 });
+  const again = tracker.add({ hash: 'a', name: 'A', policy: { ratio: 2, hours: 0 }, filePath: '/data/A.mkv' });
+
+  assert.strictEqual(again.startedAt, first.startedAt);
+  assert.deepStrictEqual(again.policy, { ratio: 2, hours: 0 });
+  assert.strictEqual(again.ratio, 0.5);
+  assert.deepStrictEqual(tracker.list().map((entry) => entry.hash), ['a']);
+
+  tracker.remove('a');
+  assert.strictEqual(tracker.read('a'), null);
+  assert.deepStrictEqual(tracker.list(), []);
+});
@@ -0,0 +1,166 @@
+/**
+ * test/storage-sftp.test.js
+ * The SFTP storage backend of uploader/storage-sftp.js, against an in-memory stand-in for ssh2-sftp-client
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const { TransientError, PermanentError, classifyError } = require('../uploader/retry');
+
+/**
+ * Remote filesystem shared by every fake client. `failNext` makes the next operation of that name fail
+ * with the given error; `connections` counts connects and `ended` the connections that were closed.
+ */
+const server = { files: new Map(), dirs: new Set(), connections: 0, ended: 0, failNext: {} };
+
+class FakeSftpClient {
+  async connect(options) {
+    server.connections++;
+    if (options.password !== 'secret') throw Object.assign(new Error('All configured authentication methods failed'), { code: 'ERR_GENERIC_CLIENT' });
+    this.options = options;
+  }
+
+  fail(operation) {
+    const error = server.failNext[operation];
+    delete server.failNext[operation];
+    if (error) throw error;
+  }
+
+  async mkdir(dir, recursive) {
+    this.fail('mkdir');
+    assert.strictEqual(recursive, true);
+    server.dirs.add(dir);
+  }
+
+  async put(source, remotePath) {
+    this.fail('put');
+    if (!server.dirs.has(path.posix.dirname(remotePath))) throw Object.assign(new Error('No such file'), { code: 2 });
+    if (Buffer.isBuffer(source)) {
+      server.files.set(remotePath, source);
+      return;
+    }
+    const chunks = [];
+    for await (const chunk of source) chunks.push(chunk);
+    server.files.set(remotePath, Buffer.concat(chunks));
+  }
+
+  async exists(remotePath) {
+    return server.files.has(remotePath) ? '-' : false;
+  }
+
+  async stat(remotePath) {
+    if (!server.files.has(remotePath)) throw Object.assign(new Error('No such file'), { code: 2 });
+    return { size: server.files.get(remotePath).length };
+  }
+
+  async rename(from, to) {
+    if (server.files.has(to)) throw Object.assign(new Error('Failure'), { code: 4 });
+    server.files.set(to, server.files.get(from));
+    server.files.delete(from);
+  }
+
+  async delete(remotePath) {
+    server.files.delete(remotePath);
+  }
+
+  async end() {
+    server.ended++;
+  }
+}
+
+require.cache[require.resolve('ssh2-sftp-client')] = { id: 'ssh2-sftp-client', loaded: true, exports: FakeSftpClient };
+const { createBackend } = require('../uploader/storage-sftp');
+
+function backend(settings = {}) {
+  return createBackend(Object.assign({ host: 'sftp.example.com', port: 22, username: 'u', password: 'secret', dir: 'incoming' }, settings),
+    { name: 'customer' });
+}
+
+test.beforeEach(() => {
+  server.files.clear();
+  server.dirs.clear();
+  server.connections = 0;
+  server.ended = 0;
+  server.failNext = {};
+});
+
+test('a stream is written next to its key and renamed into place over one shared connection', async () => {
+  const storage = backend();
+  const content = crypto.randomBytes(100000);
+  const progress = [];
+
+  const result = await storage.uploadStream({
+    key: 'u@x/Show S01/Show.zip',
+    stream: Readable.from([content.subarray(0, 60000), content.subarray(60000)]),
+    onProgress: (update) => progress.push(update.uploadedBytes)
+  });
+  await storage.putObject({ key: 'u@x/Show S01/index.json', body: '{}' });
+
+  assert.deepStrictEqual(server.files.get('incoming/u@x/Show S01/Show.zip'), content);
+  assert.deepStrictEqual([...server.files.keys()].sort(), ['incoming/u@x/Show S01/Show.zip', 'incoming/u@x/Show S01/index.json']);
+  assert.strictEqual(result.size, content.length);
+  assert.strictEqual(result.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+  assert.strictEqual(progress[progress.length - 1], content.length);
+  assert.strictEqual(server.connections, 1);
+});
+
+test('an object that exists already is replaced', async () => {
+  const storage = backend();
+  await storage.putObject({ key: 'u@x/a.txt', body: 'old' });
+  await storage.uploadStream({ key: 'u@x/a.txt', stream: Readable.from([Buffer.from('new content')]) });
+
+  assert.strictEqual(server.files.get('incoming/u@x/a.txt').toString(), 'new content');
+  assert.deepStrictEqual(await storage.verifyObject({ key: 'u@x/a.txt', size: 11 }), { ok: true, problems: [], size: 11, etag: null });
+  assert.deepStrictEqual(await storage.deleteObject({ key: 'u@x/a.txt' }), { key: 'u@x/a.txt', size: 11 });
+  assert.deepStrictEqual(await storage.deleteObject({ key: 'u@x/a.txt' }), { key: 'u@x/a.txt', size: null });
+});
+
+test('a refused login and a missing directory are permanent', async () => {
+  await assert.rejects(backend({ password: 'wrong' }).putObject({ key: 'u@x/a.txt', body: 'a' }),
+    (error) => error instanceof PermanentError && /SFTP All configured authentication methods failed/.test(error.message));
+
+  server.failNext.mkdir = Object.assign(new Error('Permission denied'), { code: 3 });
+  await assert.rejects(backend().putObject({ key: 'u@x/a.txt', body: 'a' }), PermanentError);
+});
+
+test('a dropped connection is transient and the next operation connects again', async () => {
+  const storage = backend();
+  await storage.putObject({ key: 'u@x/a.txt', body: 'a' });
+
+  server.failNext.put = Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+  await assert.rejects(storage.putObject({ key: 'u@x/b.txt', body: 'b' }), (error) => classifyError(error) === 'transient');
+  server.failNext.put = new Error('Channel open failure');
+  await assert.rejects(storage.putObject({ key: 'u@x/b.txt', body: 'b' }), TransientError);
+  assert.strictEqual(server.ended, 2);
+
+  await storage.putObject({ key: 'u@x/b.txt', body: 'b' });
+  assert.strictEqual(server.connections, 3);
+});
+
+test('a source that fails while it is read fails the upload and leaves the object alone', async () => {
+  const storage = backend();
+  await storage.putObject({ key: 'u@x/a.zip', body: 'old' });
+  let reads = 0;
+  const source = new Readable({
+    read() {
+      reads++;
+      if (reads === 1) this.push(Buffer.alloc(1000));
+      else this.destroy(Object.assign(new Error('disk read failed'), { code: 'EIO' }));
+    }
+  });
+
+  await assert.rejects(storage.uploadStream({ key: 'u@x/a.zip', stream: source }), /disk read failed/);
+  assert.strictEqual(server.files.get('incoming/u@x/a.zip').toString(), 'old');
+});
+
+test('links use the base URL if there is one, sftp:// otherwise', async () => {
+  assert.strictEqual(await backend().downloadLink({ key: 'u@x/Show S01.zip' }),
+    'sftp://u@sftp.example.com:22/~/incoming/u%40x/Show%20S01.zip');
+  assert.strictEqual(await backend({ dir: '/srv/in' }).downloadLink({ key: 'u@x/a.zip' }), 'sftp://u@sftp.example.com:22/srv/in/u%40x/a.zip');
+  assert.strictEqual(await backend({ baseUrl: 'https://files.example.com' }).downloadLink({ key: 'u@x/a.zip' }),
+    'https://files.example.com/u%40x/a.zip');
+  assert.throws(() => backend().describe('u@x/../../etc/passwd'), /cannot be stored outside the storage root/);
+});
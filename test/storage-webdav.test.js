@@ -0,0 +1,157 @@
+/**
+ * test/storage-webdav.test.js
+ * The WebDAV storage backend of uploader/storage-webdav.js, against a local in-memory WebDAV server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Readable } = require('stream');
+const { createBackend } = require('../uploader/storage-webdav');
+
+/**
+ * WebDAV server that keeps collections and files in memory, closed when the test ends
+ * @param {Object} t Test context
+ * @returns {Promise<Object>} { url, files, collections, requests } - files maps paths to Buffers,
+ *   requests lists "<method> <path>" with the content length or "chunked" for PUTs
+ */
+async function startWebdav(t) {
+  const files = new Map();
+  const collections = new Set(['/dav']);
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const target = decodeURIComponent(req.url).replace(/\/$/, '');
+      const parent = path.posix.dirname(target);
+      requests.push(req.method === 'PUT'
+        ? `PUT ${target} ${req.headers['content-length'] || req.headers['transfer-encoding']}`
+        : `${req.method} ${target}`);
+      if (req.headers.authorization !== `Basic ${Buffer.from('u:p').toString('base64')}`) {
+        res.statusCode = 401;
+      } else if (req.method === 'MKCOL') {
+        res.statusCode = collections.has(target) ? 405 : collections.has(parent) ? 201 : 409;
+        collections.add(target);
+      } else if (req.method === 'PUT') {
+        res.statusCode = collections.has(parent) ? 201 : 409;
+        if (res.statusCode === 201) files.set(target, Buffer.concat(chunks));
+      } else if (req.method === 'MOVE') {
+        const destination = decodeURIComponent(new URL(req.headers.destination).pathname);
+        files.set(destination, files.get(target));
+        files.delete(target);
+        res.statusCode = 201;
+      } else if (req.method === 'HEAD' || req.method === 'DELETE') {
+        if (!files.has(target)) {
+          res.statusCode = 404;
+        } else if (req.method === 'HEAD') {
+          res.setHeader('Content-Length', files.get(target).length);
+        } else {
+          files.delete(target);
+          res.statusCode = 204;
+        }
+      }
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/dav`, files, collections, requests };
+}
+
+function backend(url) {
+  return createBackend({ url, username: 'u', password: 'p' }, { name: 'customer' });
+}
+
+test('a stream is put next to its key and moved into place, creating the collections above it', async (t) => {
+  const dav = await startWebdav(t);
+  const content = crypto.randomBytes(100000);
+  const progress = [];
+
+  const result = await backend(dav.url).uploadStream({
+    key: 'u@x/Show S01/Show.zip',
+    stream: Readable.from([content.subarray(0, 60000), content.subarray(60000)]),
+    onProgress: (update) => progress.push(update.uploadedBytes)
+  });
+
+  assert.deepStrictEqual(dav.files.get('/dav/u@x/Show S01/Show.zip'), content);
+  assert.strictEqual(dav.files.has('/dav/u@x/Show S01/Show.zip.partial'), false);
+  assert.deepStrictEqual(dav.requests, [
+    'MKCOL /dav/u@x', 'MKCOL /dav/u@x/Show S01', 'PUT /dav/u@x/Show S01/Show.zip.partial chunked', 'MOVE /dav/u@x/Show S01/Show.zip.partial'
+  ]);
+  assert.strictEqual(result.size, content.length);
+  assert.strictEqual(result.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+  assert.strictEqual(result.contentMd5, crypto.createHash('md5').update(content).digest('hex'));
+  assert.strictEqual(progress[progress.length - 1], content.length);
+});
+
+test('files are sent with their length, and collections are only created once', async (t) => {
+  const dav = await startWebdav(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webdav-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'e01.mkv'), 'episode one');
+  const storage = backend(dav.url);
+
+  await storage.uploadFile({ key: 'u@x/Show/e01.mkv', filePath: path.join(dir, 'e01.mkv') });
+  await storage.putObject({ key: 'u@x/Show/index.json', body: '{}', contentType: 'application/json' });
+
+  assert.deepStrictEqual(dav.requests, [
+    'MKCOL /dav/u@x', 'MKCOL /dav/u@x/Show', 'PUT /dav/u@x/Show/e01.mkv.partial 11', 'MOVE /dav/u@x/Show/e01.mkv.partial',
+    'PUT /dav/u@x/Show/index.json 2'
+  ]);
+  assert.strictEqual(dav.files.get('/dav/u@x/Show/e01.mkv').toString(), 'episode one');
+});
+
+test('collections that exist already are used as they are', async (t) => {
+  const dav = await startWebdav(t);
+  dav.collections.add('/dav/u@x');
+  await backend(dav.url).putObject({ key: 'u@x/a.txt', body: 'a', contentType: 'text/plain' });
+  assert.strictEqual(dav.files.get('/dav/u@x/a.txt').toString(), 'a');
+});
+
+test('stored objects are verified by size and deleted', async (t) => {
+  const dav = await startWebdav(t);
+  const storage = backend(dav.url);
+  await storage.putObject({ key: 'u@x/a.txt', body: 'abc', contentType: 'text/plain' });
+
+  assert.deepStrictEqual(await storage.verifyObject({ key: 'u@x/a.txt', size: 3 }), { ok: true, problems: [], size: 3, etag: null });
+  assert.deepStrictEqual((await storage.verifyObject({ key: 'u@x/a.txt', size: 4 })).problems, ['size is 3, expected 4']);
+  assert.deepStrictEqual(await storage.deleteObject({ key: 'u@x/a.txt' }), { key: 'u@x/a.txt', size: 3 });
+  assert.deepStrictEqual(await storage.deleteObject({ key: 'u@x/a.txt' }), { key: 'u@x/a.txt', size: null });
+});
+
+test('a source that fails while it is read fails the upload and moves nothing into place', async (t) => {
+  const dav = await startWebdav(t);
+  let reads = 0;
+  const source = new Readable({
+    read() {
+      reads++;
+      if (reads === 1) this.push(Buffer.alloc(1000));
+      else this.destroy(Object.assign(new Error('disk read failed'), { code: 'EIO' }));
+    }
+  });
+
+  await assert.rejects(backend(dav.url).uploadStream({ key: 'u@x/a.zip', stream: source }), /disk read failed/);
+  assert.ok(!dav.requests.some((request) => request.startsWith('MOVE')));
+});
+
+test('links point at the server, or at the base URL it is published under', async () => {
+  assert.strictEqual(await backend('https://dav.example.com/files/').downloadLink({ key: 'u@x/Show S01.zip' }),
+    'https://dav.example.com/files/u%40x/Show%20S01.zip');
+  const published = createBackend({ url: 'https://dav.example.com/files', baseUrl: 'https://cdn.example.com' }, { name: 'c' });
+  assert.strictEqual(await published.downloadLink({ key: 'u@x/a.zip' }), 'https://cdn.example.com/u%40x/a.zip');
+});
+
+test('keys that would leave the storage root are refused, and refusals by the server fail the upload', async (t) => {
+  const dav = await startWebdav(t);
+  await assert.rejects(backend(dav.url).putObject({ key: 'u@x/../../etc/passwd', body: 'x' }), /cannot be stored outside the storage root/);
+
+  const unauthorized = createBackend({ url: dav.url, username: 'u', password: 'wrong' }, { name: 'customer' });
+  await assert.rejects(unauthorized.uploadStream({ key: 'u@x/a.zip', stream: Readable.from([Buffer.from('x')]) }),
+    (error) => error.response.status === 401);
+  assert.strictEqual(dav.files.size, 0);
+});
@@ -0,0 +1,101 @@
+/**
+ * test/throttle.test.js
+ * Bandwidth limits of uploader/throttle.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { TokenBucket, Throttle } = require('../uploader/throttle');
+
+const KB = 1024;
+
+async function elapsed(fn) {
+  const started = Date.now();
+  await fn();
+  return Date.now() - started;
+}
+
+test('a bucket lets a second of its rate through at once, then paces to the rate', async () => {
+  const bucket = new TokenBucket(1000 * KB);
+  assert.ok(await elapsed(() => bucket.take(1000 * KB)) < 50);
+
+  const waited = await elapsed(() => bucket.take(200 * KB));
+  assert.ok(waited >= 180 && waited < 400, `waited ${waited}ms for 200 KB at 1000 KB/s`);
+});
+
+test('callers are served in the order they ask', async () => {
+  const bucket = new TokenBucket(1000 * KB);
+  await bucket.take(1000 * KB);
+  const order = [];
+  await Promise.all([
+    bucket.take(100 * KB).then(() => order.push('first')),
+    bucket.take(100 * KB).then(() => order.push('second'))
+  ]);
+  assert.deepStrictEqual(order, ['first', 'second']);
+});
+
+test('without a limit nothing waits', async () => {
+  const throttle = new Throttle([new TokenBucket(0), new TokenBucket(undefined)]);
+  assert.strictEqual(throttle.limited, false);
+  assert.ok(await elapsed(() => throttle.take(1024 * 1024 * KB)) < 50);
+});
+
+test('bytes wait for the slowest of the buckets they pass', async () => {
+  const job = new TokenBucket(500 * KB);
+  const global = new TokenBucket(1000 * KB);
+  const throttle = new Throttle([job, global]);
+  await throttle.take(500 * KB);
+
+  const waited = await elapsed(() => throttle.take(100 * KB));
+  assert.ok(waited >= 180 && waited < 400, `waited ${waited}ms for 100 KB at 500 KB/s`);
+});
+
+test('a paced stream passes every byte in order, no faster than the limit', async () => {
+  const throttle = new Throttle([new TokenBucket(1000 * KB)]);
+  const content = Buffer.alloc(1300 * KB, 7);
+  content.write('start', 0);
+  content.write('end', content.length - 3);
+  const received = [];
+
+  const waited = await elapsed(() => pipeline(Readable.from([content]), throttle.stream(), new Writable({
+    write(chunk, encoding, callback) {
+      assert.ok(chunk.length <= 64 * KB);
+      received.push(chunk);
+      callback();
+    }
+  })));
+
+  assert.deepStrictEqual(Buffer.concat(received), content);
+  assert.ok(waited >= 250, `1300 KB at 1000 KB/s with a second of burst took ${waited}ms`);
+});
+
+test('without upload windows nothing waits for one', async () => {
+  const throttle = new Throttle([]);
+  assert.ok(await elapsed(() => throttle.waitForWindow()) < 20);
+});
+
+test('while the upload window is closed every caller waits for the same pause', async () => {
+  const opensAt = Date.now() + 150;
+  let asked = 0;
+  const throttle = new Throttle([], {
+    msUntilOpen() {
+      asked++;
+      return Math.max(0, opensAt - Date.now());
+    }
+  });
+  const logged = [];
+  const log = (message) => logged.push(message);
+
+  const waited = await elapsed(() => Promise.all([throttle.waitForWindow(log), throttle.waitForWindow(log)]));
+  assert.ok(waited >= 140, `waited ${waited}ms for a window 150ms away`);
+  assert.strictEqual(logged.length, 2);
+  assert.match(logged[0], /^Upload window closed, pausing until /);
+  assert.strictEqual(logged[1], 'Upload window open, continuing');
+
+  asked = 0;
+  await throttle.waitForWindow(log);
+  assert.strictEqual(asked, 1);
+  assert.strictEqual(logged.length, 2);
+});
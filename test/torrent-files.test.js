@@ -0,0 +1,66 @@
+/**
+ * test/torrent-files.test.js
+ * Matching files on disk with qBittorrent's file list in uploader/torrent-files.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { selectTorrentFiles } = require('../uploader/torrent-files');
+
+function diskFile(relativePath, size) {
+  return { relativePath, absolutePath: `/downloads/Show/${relativePath}`, stats: { size } };
+}
+
+function torrentFile(name, size, priority = 1, progress = 1) {
+  return { name, size, priority, progress };
+}
+
+test('selected, finished files that match the disk are packaged, named with or without the root folder', () => {
+  const disk = [diskFile('e01.mkv', 100), diskFile('Extras/cover.jpg', 5)];
+  const result = selectTorrentFiles(disk, [torrentFile('Show/e01.mkv', 100), torrentFile('Show/Extras/cover.jpg', 5)], 'Show');
+
+  assert.deepStrictEqual(result, { files: disk, skipped: [], extra: [], problems: [] });
+  assert.deepStrictEqual(selectTorrentFiles(disk, [torrentFile('e01.mkv', 100), torrentFile('Extras/cover.jpg', 5)], 'Show').files, disk);
+});
+
+test('deselected, unfinished and unknown files are skipped with the reason', () => {
+  const disk = [diskFile('e01.mkv', 100), diskFile('e02.mkv', 40), diskFile('e03.mkv.!qB', 10), diskFile('e04.mkv', 100),
+    diskFile('notes.txt', 3), diskFile('e05.mkv.!qB', 7)];
+  const torrent = [torrentFile('Show/e01.mkv', 100), torrentFile('Show/e02.mkv', 100, 1, 0.4), torrentFile('Show/e03.mkv', 100, 1, 0.1),
+    torrentFile('Show/e04.mkv', 100, 0, 1)];
+
+  const result = selectTorrentFiles(disk, torrent, 'Show');
+
+  assert.deepStrictEqual(result.files.map((file) => file.relativePath), ['e01.mkv']);
+  assert.deepStrictEqual(result.skipped, [
+    { path: 'e02.mkv', size: 40, reason: 'incomplete in qBittorrent (40%)' },
+    { path: 'e03.mkv.!qB', size: 10, reason: 'incomplete in qBittorrent (10%)' },
+    { path: 'e04.mkv', size: 100, reason: 'not selected in qBittorrent' },
+    { path: 'notes.txt', size: 3, reason: 'not part of the torrent' },
+    { path: 'e05.mkv.!qB', size: 7, reason: 'incomplete download (.!qB)' }
+  ]);
+  assert.deepStrictEqual(result.extra, ['notes.txt', 'e05.mkv.!qB']);
+  assert.deepStrictEqual(result.problems, []);
+});
+
+test('a placeholder is never packaged, even if qBittorrent reports its file finished', () => {
+  const result = selectTorrentFiles([diskFile('e01.mkv.!qB', 100)], [torrentFile('Show/e01.mkv', 100)], 'Show');
+
+  assert.deepStrictEqual(result.files, []);
+  assert.deepStrictEqual(result.skipped, [{ path: 'e01.mkv.!qB', size: 100, reason: 'incomplete download (.!qB)' }]);
+  assert.deepStrictEqual(result.problems, ['e01.mkv is complete in qBittorrent but missing on disk']);
+});
+
+test('finished files that are missing on disk or have another size are problems', () => {
+  const disk = [diskFile('e01.mkv', 99)];
+  const torrent = [torrentFile('Show/e01.mkv', 100), torrentFile('Show/e02.mkv', 100), torrentFile('Show/e03.mkv', 100, 0, 1),
+    torrentFile('Show/e04.mkv', 100, 1, 0.5)];
+
+  const result = selectTorrentFiles(disk, torrent, 'Show');
+
+  assert.deepStrictEqual(result.files, []);
+  assert.deepStrictEqual(result.problems, [
+    'e01.mkv is 99 bytes on disk, qBittorrent reports 100',
+    'e02.mkv is complete in qBittorrent but missing on disk'
+  ]);
+});
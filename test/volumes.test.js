@@ -0,0 +1,85 @@
+/**
+ * test/volumes.test.js
+ * Volume names, planning and splitting of uploader/volumes.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { partName, volumeName, estimateArchiveSize, planArchiveVolumes, splitStream } = require('../uploader/volumes');
+
+function file(relativePath, size) {
+  return { relativePath, absolutePath: `/data/${relativePath}`, stats: { size } };
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+test('parts and volumes are numbered so that they sort in order', () => {
+  assert.strictEqual(partName('Show.zip', 7), 'Show.zip.007');
+  assert.strictEqual(volumeName('Show', 3, 9), 'Show.vol03');
+  assert.strictEqual(volumeName('Show', 3, 120), 'Show.vol003');
+});
+
+test('files are grouped into volumes in their order, each under the volume size', () => {
+  const files = [file('a.mkv', 400), file('b.mkv', 400), file('c.mkv', 400), file('d.nfo', 10)];
+  const volumeSize = estimateArchiveSize(files.slice(0, 2));
+  const volumes = planArchiveVolumes(files, volumeSize);
+
+  assert.deepStrictEqual(volumes.map((volume) => volume.map((entry) => entry.relativePath)), [['a.mkv', 'b.mkv'], ['c.mkv', 'd.nfo']]);
+  volumes.forEach((volume) => assert.ok(estimateArchiveSize(volume) <= volumeSize));
+});
+
+test('a file that does not fit in any volume cannot be planned', () => {
+  assert.strictEqual(planArchiveVolumes([file('small.nfo', 10), file('big.mkv', 5000)], 2048), null);
+});
+
+test('a stream is cut into volumes of exactly the volume size, chunk boundaries aside', async () => {
+  const content = crypto.randomBytes(2500);
+  const source = Readable.from([content.subarray(0, 700), content.subarray(700, 2200), content.subarray(2200)]);
+  const received = [];
+
+  const result = await splitStream(source, 1000, async (index, stream) => {
+    const data = await collect(stream);
+    received.push(data);
+    return { index, size: data.length };
+  });
+
+  assert.deepStrictEqual(result.volumes, [{ index: 1, size: 1000 }, { index: 2, size: 1000 }, { index: 3, size: 500 }]);
+  assert.deepStrictEqual(Buffer.concat(received), content);
+  assert.strictEqual(result.size, 2500);
+  assert.strictEqual(result.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+});
+
+test('a stream of a whole number of volumes ends without an empty volume', async () => {
+  const result = await splitStream(Readable.from([crypto.randomBytes(2000)]), 1000, async (index, stream) => {
+    await collect(stream);
+    return index;
+  });
+  assert.deepStrictEqual(result.volumes, [1, 2]);
+});
+
+test('a failed volume upload fails the split and stops reading the source', async () => {
+  let read = 0;
+  const source = new Readable({
+    highWaterMark: 100,
+    read() {
+      read++;
+      this.push(read > 1000 ? null : Buffer.alloc(100));
+    }
+  });
+
+  await assert.rejects(splitStream(source, 1000, async (index, stream) => {
+    if (index === 2) {
+      stream.resume();
+      throw new Error('upload refused');
+    }
+    return collect(stream);
+  }), /upload refused/);
+  assert.strictEqual(source.destroyed, true);
+  assert.ok(read < 1000, `read ${read} chunks`);
+});
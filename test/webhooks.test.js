@@ -0,0 +1,132 @@
+/**
+ * test/webhooks.test.js
+ * Webhook signatures, delivery and the local receiver of uploader/webhooks.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { signPayload, verifySignature, createEvent, createReceiver, WebhookDispatcher } = require('../uploader/webhooks');
+
+const NOW = Date.UTC(2026, 0, 1);
+const T = Math.floor(NOW / 1000);
+const BODY = '{"id":"e1","state":"Ready"}';
+
+test('the signature is the HMAC-SHA256 of "<t>.<body>"', () => {
+  // echo -n '1767225600.{"id":"e1","state":"Ready"}' | openssl dgst -sha256 -hmac s3cret
+  assert.strictEqual(signPayload('s3cret', T, BODY), 'c8f2bb2441a2d7ced645eca9714707dabf4623114866b851fefe02e5771fbf1b');
+});
+
+test('a valid signature verifies', () => {
+  const header = `t=${T},v1=${signPayload('s3cret', T, BODY)}`;
+  assert.strictEqual(verifySignature('s3cret', header, BODY, NOW), null);
+  assert.strictEqual(verifySignature('s3cret', header, BODY, NOW + 4 * 60 * 1000), null);
+});
+
+test('a wrong secret, an altered body or a changed timestamp does not verify', () => {
+  const v1 = signPayload('s3cret', T, BODY);
+  assert.strictEqual(verifySignature('other', `t=${T},v1=${v1}`, BODY, NOW), 'signature does not match');
+  assert.strictEqual(verifySignature('s3cret', `t=${T},v1=${v1}`, `${BODY} `, NOW), 'signature does not match');
+  assert.strictEqual(verifySignature('s3cret', `t=${T + 1},v1=${v1}`, BODY, NOW), 'signature does not match');
+  assert.strictEqual(verifySignature('s3cret', `t=${T},v1=abc`, BODY, NOW), 'signature does not match');
+});
+
+test('old timestamps and malformed headers are refused', () => {
+  const header = `t=${T},v1=${signPayload('s3cret', T, BODY)}`;
+  assert.strictEqual(verifySignature('s3cret', header, BODY, NOW + 6 * 60 * 1000), 'timestamp is 360s away from now');
+  assert.strictEqual(verifySignature('s3cret', undefined, BODY, NOW), 'missing or malformed signature header');
+  assert.strictEqual(verifySignature('s3cret', 'v1=abc', BODY, NOW), 'missing or malformed signature header');
+  assert.match(verifySignature('s3cret', 't=soon,v1=abc', BODY, NOW), /timestamp is/);
+});
+
+/**
+ * Receiver that answers the queued statuses in order (200 once they run out) and keeps what it got
+ * @param {Object} t Test context
+ * @param {Array<number>} statuses Statuses to answer with
+ * @returns {Promise<Object>} { url, requests } - requests are { headers, body }
+ */
+async function startReceiver(t, statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+function createDispatcher(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new WebhookDispatcher({ dir, policy: { maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 10 }, timeoutMs: 5000 });
+}
+
+test('events are posted signed to the endpoints that want their state', async (t) => {
+  const receiver = await startReceiver(t);
+  const dispatcher = createDispatcher(t);
+  const event = createEvent({ hash: 'h1', name: 'Show', state: 'Ready', objects: ['a/Show.zip'], link: null, error: null });
+
+  const outcomes = await dispatcher.dispatch(event, [
+    { id: 'ops', url: receiver.url, secret: 's3cret', states: ['Ready'] },
+    { id: 'failures', url: receiver.url, secret: 's3cret', states: ['Upload Failed'] }
+  ]);
+
+  assert.deepStrictEqual(outcomes.map(({ id, delivered, attempts }) => ({ id, delivered, attempts })),
+    [{ id: 'ops', delivered: true, attempts: 1 }]);
+  const [request] = receiver.requests;
+  assert.strictEqual(request.headers['x-uploader-event'], event.id);
+  const { t: timestamp, v1 } = Object.fromEntries(request.headers['x-uploader-signature'].split(',').map((part) => part.split('=')));
+  assert.strictEqual(v1, signPayload('s3cret', timestamp, request.body));
+  assert.deepStrictEqual(JSON.parse(request.body), event);
+});
+
+test('server errors are retried with the same event id, other refusals are final', async (t) => {
+  const receiver = await startReceiver(t, [503, 503]);
+  const dispatcher = createDispatcher(t);
+  const event = createEvent({ hash: 'h1', name: 'Show', state: 'Error', objects: [], link: null, error: 'boom' });
+
+  const [retried] = await dispatcher.dispatch(event, [{ id: 'ops', url: receiver.url, secret: 's3cret', states: ['Error'] }]);
+  assert.deepStrictEqual({ delivered: retried.delivered, attempts: retried.attempts }, { delivered: true, attempts: 3 });
+  assert.deepStrictEqual(new Set(receiver.requests.map((request) => request.headers['x-uploader-event'])), new Set([event.id]));
+  assert.deepStrictEqual(dispatcher.history('ops').map((entry) => entry.outcome), ['retrying', 'retrying', 'delivered']);
+
+  const refusing = await startReceiver(t, [401]);
+  const [refused] = await dispatcher.dispatch(event, [{ id: 'other', url: refusing.url, secret: 's3cret', states: ['Error'] }]);
+  assert.deepStrictEqual({ delivered: refused.delivered, attempts: refused.attempts, status: refused.status },
+    { delivered: false, attempts: 1, status: 401 });
+});
+
+test('the local receiver accepts valid signatures and rejects the wrong secret', async (t) => {
+  const received = [];
+  const server = createReceiver({ secret: 's3cret', log: (message) => received.push(message) });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  const dispatcher = createDispatcher(t);
+  const event = createEvent({ hash: 'h1', name: 'Show', state: 'Ready', objects: ['a/Show.zip'], link: null, error: null });
+  const outcomes = await dispatcher.dispatch(event, [
+    { id: 'good', url, secret: 's3cret', states: ['Ready'] },
+    { id: 'bad', url, secret: 'wrong', states: ['Ready'] },
+    { id: 'failures', url, secret: 's3cret', states: ['Upload Failed'] }
+  ]);
+
+  assert.deepStrictEqual(outcomes.map(({ id, delivered, attempts, status }) => ({ id, delivered, attempts, status })), [
+    { id: 'good', delivered: true, attempts: 1, status: 204 },
+    // 401 is final, so it is not retried
+    { id: 'bad', delivered: false, attempts: 1, status: 401 }
+  ]);
+  assert.ok(received.includes(`Received ${event.id} on /hook: Ready for Show (h1)`));
+  assert.ok(received.includes(`Rejected ${event.id} on /hook: signature does not match`));
+  assert.deepStrictEqual(dispatcher.history('good').map((entry) => entry.outcome), ['delivered']);
+  assert.deepStrictEqual(dispatcher.logged(), ['bad', 'good']);
+});
@@ -0,0 +1,118 @@
+/**
+ * test/zip-status.test.js
+ * The zip server's event stream and the zip check of uploader/zip-status.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { Readable } = require('stream');
+const { TransientError, PermanentError } = require('../uploader/retry');
+const { readEventStream, waitForZip, confirmZip } = require('../uploader/zip-status');
+
+/**
+ * Zip server whose /zip-events answers with the next of the given replies, closed when the test ends
+ * @param {Object} t Test context
+ * @param {Array<Object>} replies { status } to refuse the stream, or { body } to send as the event stream
+ * @returns {Promise<Object>} { http, requests } - requests holds the query and Last-Event-ID of every request
+ */
+async function startZipServer(t, replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ hash: url.searchParams.get('hash'), lastEventId: req.headers['last-event-id'] || null });
+    const reply = replies[Math.min(requests.length, replies.length) - 1];
+    if (reply.status) {
+      res.statusCode = reply.status;
+      res.end();
+      return;
+    }
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.end(reply.body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { http: axios.create({ baseURL: `http://127.0.0.1:${server.address().port}` }), requests };
+}
+
+function sse(id, event, data) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+test('events are parsed across chunks and line endings, comments are skipped', async () => {
+  const events = [];
+  const body = Buffer.from(': keep-alive\r\nid: 1\r\nevent: progress\r\ndata: {"progress":\r\ndata: 5}\r\n\r\n' +
+    'data: Café S01\n\nevent: empty\n\n');
+  // Cut between the CR and LF after "id: 1", and inside the "é"
+  const cuts = [20, body.indexOf('é') + 1];
+  await readEventStream(Readable.from([body.subarray(0, cuts[0]), body.subarray(cuts[0], cuts[1]), body.subarray(cuts[1])]),
+    (event) => events.push(event));
+
+  assert.deepStrictEqual(events, [
+    { event: 'progress', data: '{"progress":\n5}', id: '1' },
+    { event: 'message', data: 'Café S01', id: null }
+  ]);
+});
+
+test('progress is passed on until the server confirms the zip', async (t) => {
+  const zipServer = await startZipServer(t, [{
+    body: sse(1, 'progress', { progress: 40 }) + ': ping\n\n' + sse(2, 'progress', { progress: 100 }) +
+      sse(3, 'complete', { path: '/downloads/Show.zip', size: 10, sha256: 'ab' })
+  }]);
+  const progress = [];
+
+  const completion = await waitForZip(zipServer.http, 'h1', { timeoutMs: 10000, onProgress: (data) => progress.push(data.progress) });
+
+  assert.deepStrictEqual(completion, { path: '/downloads/Show.zip', size: 10, sha256: 'ab' });
+  assert.deepStrictEqual(progress, [40, 100]);
+  assert.deepStrictEqual(zipServer.requests, [{ hash: 'h1', lastEventId: null }]);
+});
+
+test('a stream that ends without a result is followed up from the last event seen', async (t) => {
+  const zipServer = await startZipServer(t, [
+    { body: sse(7, 'progress', { progress: 50 }) + 'data: {not json\n\n' },
+    { body: sse(8, 'complete', { size: 1, sha256: 'cd' }) }
+  ]);
+  const logged = [];
+
+  const completion = await waitForZip(zipServer.http, 'h1', { timeoutMs: 10000, log: (message) => logged.push(message) });
+
+  assert.deepStrictEqual(completion, { size: 1, sha256: 'cd' });
+  assert.deepStrictEqual(zipServer.requests.map((request) => request.lastEventId), [null, '7']);
+  assert.deepStrictEqual(logged, ['Ignoring zip server event with invalid data: {not json', 'Zip status stream ended without a result, reconnecting']);
+});
+
+test('a failed zip is transient, a refused stream permanent', async (t) => {
+  const failing = await startZipServer(t, [{ body: sse(1, 'failed', { message: 'disk full' }) }]);
+  await assert.rejects(waitForZip(failing.http, 'h1', { timeoutMs: 10000 }),
+    (error) => error instanceof TransientError && error.message === 'Zip server reports the zip failed: disk full');
+
+  const refusing = await startZipServer(t, [{ status: 404 }]);
+  await assert.rejects(waitForZip(refusing.http, 'h1', { timeoutMs: 10000 }),
+    (error) => error instanceof PermanentError && /^Zip server refused the status stream/.test(error.message));
+});
+
+test('the zip on disk must be the one the server completed', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-status-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const zipPath = path.join(dir, 'Show.zip');
+  const content = crypto.randomBytes(1000);
+  fs.writeFileSync(zipPath, content);
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+  assert.deepStrictEqual(await confirmZip(zipPath, { path: zipPath, size: 1000, sha256: sha256.toUpperCase() }),
+    { size: 1000, sha256, md5: crypto.createHash('md5').update(content).digest('hex') });
+
+  await assert.rejects(confirmZip(zipPath, { path: path.join(dir, 'Other.zip'), size: 1000, sha256 }), PermanentError);
+  await assert.rejects(confirmZip(zipPath, { size: 1000 }), /without the size and SHA-256/);
+  await assert.rejects(confirmZip(path.join(dir, 'missing.zip'), { size: 1000, sha256 }),
+    (error) => error instanceof TransientError && /the zip does not exist/.test(error.message));
+  await assert.rejects(confirmZip(zipPath, { size: 999, sha256 }), /Zip is 1000 bytes, the zip server reported 999/);
+  await assert.rejects(confirmZip(zipPath, { size: 1000, sha256: '0'.repeat(64) }),
+    (error) => error instanceof TransientError && /does not match/.test(error.message));
+});
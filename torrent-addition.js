@@ -7,7 +7,8 @@ import apiClient from '../core/api-client.js';
 import * as Utils from '../core/utils.js';
 import torrentManager from '../core/torrent-manager.js';
 import * as Templates from '../ui/templates.js';
-import { fetchTorrentByHash, monitorTorrentCompletion } from './torrent-monitoring.js';
+import { fetchTorrentByHash, monitorTorrentCompletion, monitorTorrentTags } from './torrent-monitoring.js';
+import UPLOAD_LAYOUT_TAGS from './upload-layout-tags.json' with { type: 'json' };
 
 // Array of blocked trackers - add any domains or tracker identifiers to block
 const blockedTrackers = [
@@ -20,6 +21,43 @@ const blockedTrackers = [
   'popcorn-tracker.org'
 ];
 
+// qBittorrent tags that tell the uploader how to store a multi-file torrent: one object per file,
+// or a single archive. Without a tag the category default applies. The uploader reads the same file.
+export { UPLOAD_LAYOUT_TAGS };
+
+/**
+ * Upload layout picked in the add-torrent form, if the form offers the choice
+ * @return {string} 'files', 'archive' or '' for the category default
+ */
+function getSelectedUploadLayout() {
+  const layoutInput = document.getElementById('uploadLayout');
+  const layout = layoutInput ? layoutInput.value : '';
+  return UPLOAD_LAYOUT_TAGS[layout] ? layout : '';
+}
+
+/**
+ * Add the upload layout choice to the add-torrent form, after the torrent file input
+ * (or the magnet link input). Does nothing if the form has it already or is not on the page.
+ * Called by the page init once the form is rendered.
+ */
+export function renderUploadLayoutControl() {
+  if (document.getElementById('uploadLayout')) return;
+  const anchor = document.getElementById('torrentFile') || document.getElementById('magnetLink');
+  if (!anchor) return;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'upload-layout-control';
+  wrapper.innerHTML = `
+    <label for="uploadLayout">Store multi-file torrents as</label>
+    <select id="uploadLayout" name="uploadLayout">
+      <option value="">Default for my account</option>
+      <option value="archive">One archive</option>
+      <option value="files">Separate files</option>
+    </select>
+  `;
+  anchor.after(wrapper);
+}
+
 /**
  * Clean a magnet link by removing any blocked trackers
  * @param {string} magnetLink - Original magnet link
@@ -84,6 +122,12 @@ export function cleanMagnetLink(magnetLink) {
   }
 }
 
+// Hashes whose upload progress is being watched, so a torrent is only watched once
+const uploadWatches = new Set();
+// Upload progress is checked this often while it moves, and less often, down to once a minute, while it does not
+const UPLOAD_WATCH_INTERVAL = 5000;
+const UPLOAD_WATCH_MAX_INTERVAL = 60000;
+
 /**
  * This function triggers when a torrent is added
  */
@@ -95,6 +139,68 @@ export async function handleTorrentAddition(torrent) {
     await monitorTorrentCompletion(torrent);
     
     // After completion, used space will be updated by the monitoring function
+    // and the uploader starts packaging and uploading it
+    if (torrent.percentDone >= 0.999) {
+        watchUploadProgress((torrent.hashString || torrent.hash || '').toLowerCase());
+    }
+}
+
+/**
+ * Follow a completed torrent's upload and show its progress in the torrent list until it is Ready or
+ * fails, however long a large or queued upload takes
+ * @param {string} hash - Torrent hash (lowercase)
+ */
+function watchUploadProgress(hash) {
+    if (!hash || uploadWatches.has(hash)) return;
+    uploadWatches.add(hash);
+
+    monitorTorrentTags(hash, (result) => {
+        uploadWatches.delete(hash);
+        updateUploadProgressUI(hash, result.success ? 'Ready' : result.failed ? 'Upload failed' : null);
+    }, UPLOAD_WATCH_INTERVAL, Infinity, (progress) => {
+        updateUploadProgressUI(hash, formatUploadProgress(progress));
+    }, UPLOAD_WATCH_MAX_INTERVAL);
+}
+
+/**
+ * Describe upload progress, e.g. "Uploading 42% - 1.2 GB of 2.9 GB - 5.4 MB/s - 6m left"
+ * @param {Object} progress - { phase, percent, bytesDone, bytesTotal, speed, eta }
+ * @return {string} Progress text
+ */
+export function formatUploadProgress(progress) {
+    const parts = [`${progress.phase === 'packaging' ? 'Zipping' : 'Uploading'} ${progress.percent}%`];
+    if (progress.bytesTotal) {
+        parts.push(`${Utils.formatFileSize(progress.bytesDone || 0)} of ${Utils.formatFileSize(progress.bytesTotal)}`);
+    }
+    if (progress.speed) {
+        parts.push(Utils.formatSpeed(progress.speed));
+    }
+    if (progress.eta && progress.eta > 0) {
+        parts.push(`${Utils.formatTimeRemaining(progress.eta)} left`);
+    }
+    return parts.join(' - ');
+}
+
+/**
+ * Show a torrent's upload progress in its list entry
+ * @param {string} hash - Torrent hash (lowercase)
+ * @param {string|null} text - Progress text, or null to remove it
+ */
+export function updateUploadProgressUI(hash, text) {
+    const torrentElement = document.querySelector(`.torrent-item[data-hash="${hash}"]`);
+    if (!torrentElement) return;
+
+    let progressBlock = torrentElement.querySelector('.upload-progress');
+    if (!text) {
+        if (progressBlock) progressBlock.remove();
+        return;
+    }
+    if (!progressBlock) {
+        progressBlock = document.createElement('span');
+        progressBlock.className = 'blob green upload-progress';
+        (torrentElement.querySelector('.status_block') || torrentElement).appendChild(progressBlock);
+    }
+    progressBlock.textContent = text;
 }
 
 /**
@@ -705,9 +811,10 @@ export async function checkTorrentSizeLimit(torrentSize) {
  * Add a torrent from a magnet link
  * @param {string} magnetLink - Magnet link
  * @param {string} dlPath - Download path
+ * @param {string} uploadLayout - 'files' or 'archive' to override the category default, '' to keep it
  * @return {Promise<boolean>} Success status
  */
-export async function addMagnetTorrent(magnetLink, dlPath) {
+export async function addMagnetTorrent(magnetLink, dlPath, uploadLayout = '') {
     try {
         // Ensure valid input
         if (!magnetLink) {
@@ -779,6 +886,9 @@ export async function addMagnetTorrent(magnetLink, dlPath) {
             params.append('savepath', dlPath);
             // Set the category to the user's email
             params.append('category', userEmail);
+            if (UPLOAD_LAYOUT_TAGS[uploadLayout]) {
+                params.append('tags', UPLOAD_LAYOUT_TAGS[uploadLayout]);
+            }
             
             const result = await apiClient.qbittorrentRequest('torrents/add', 'POST', params);
             
@@ -802,9 +912,10 @@ export async function addMagnetTorrent(magnetLink, dlPath) {
  * Add a torrent from a torrent file
  * @param {File} file - Torrent file
  * @param {string} dlPath - Download path
+ * @param {string} uploadLayout - 'files' or 'archive' to override the category default, '' to keep it
  * @return {Promise<Object>} Result with success status, hash, name and magnet link
  */
-export async function addTorrentFile(file, dlPath) {
+export async function addTorrentFile(file, dlPath, uploadLayout = '') {
     if (!file) {
         return {
             success: false,
@@ -873,6 +984,9 @@ export async function addTorrentFile(file, dlPath) {
             formData.append('savepath', dlPath);
             // Set the category to the user's email
             formData.append('category', userEmail);
+            if (UPLOAD_LAYOUT_TAGS[uploadLayout]) {
+                formData.append('tags', UPLOAD_LAYOUT_TAGS[uploadLayout]);
+            }
             
             const result = await apiClient.qbittorrentRequest('torrents/add', 'POST', formData);
 
@@ -909,9 +1023,10 @@ export async function addTorrentFile(file, dlPath) {
 /**
  * Download .torrent file from a URL, then parse and start the download
  * @param {string} torrentUrl - URL to the .torrent file
+ * @param {string} uploadLayout - 'files' or 'archive' to override the category default, '' to keep it
  * @return {Promise<boolean>} Success status
  */
-export async function downloadTorrentFromUrl(torrentUrl) {
+export async function downloadTorrentFromUrl(torrentUrl, uploadLayout = '') {
   try {
     console.log(`Downloading .torrent file from URL: ${torrentUrl}`);
     
@@ -953,7 +1068,7 @@ export async function downloadTorrentFromUrl(torrentUrl) {
     updatePendingTorrentStatus('', 'Adding torrent...');
     
     // Add the torrent using the existing addTorrentFile function
-    const addResult = await addTorrentFile(torrentFile, torrentManager.dlPath);
+    const addResult = await addTorrentFile(torrentFile, torrentManager.dlPath, uploadLayout);
     
     if (!addResult.success) {
       console.log('Failed to add torrent:', addResult.message);
@@ -1258,6 +1373,7 @@ export async function startDownload() {
   // Store input values before doing anything else
   const magnetLinkValue = magnetInput.value.trim();
   const fileValue = fileInput.files ? fileInput.files[0] : null;
+  const uploadLayout = getSelectedUploadLayout();
   
   // Check if inputs are provided - BEFORE clearing them
   if (!magnetLinkValue && (!fileInput.files || fileInput.files.length === 0)) {
@@ -1273,7 +1389,7 @@ export async function startDownload() {
     magnetInput.value = '';
     
     // Process the torrent file URL
-    return await downloadTorrentFromUrl(magnetLinkValue);
+    return await downloadTorrentFromUrl(magnetLinkValue, uploadLayout);
   }
 
   // Store values for later use
@@ -1410,9 +1526,9 @@ export async function startDownload() {
     let addResult = {};
     
     if (magnetLinkValue) {
-      success = await addMagnetTorrent(magnetLink, torrentManager.dlPath);
+      success = await addMagnetTorrent(magnetLink, torrentManager.dlPath, uploadLayout);
     } else if (fileValue) {
-      addResult = await addTorrentFile(fileValue, torrentManager.dlPath);
+      addResult = await addTorrentFile(fileValue, torrentManager.dlPath, uploadLayout);
       success = addResult.success;
       
       // Update torrent info if it was successful
@@ -470,22 +470,124 @@ export async function torrentExists(hash) {
 }
 
 /**
- * Monitor torrent tag changes (useful for S3 storage option)
+ * Parse a progress tag set by the uploader, e.g. "Uploading 42%" or "Zipping 7%"
+ * @param {string} tagStatus - Tag string from qBittorrent (may hold several comma-separated tags)
+ * @return {Object|null} { phase, percent } or null if no progress tag is set
+ */
+export function parseProgressTag(tagStatus) {
+  if (!tagStatus) return null;
+
+  for (const tag of tagStatus.split(',')) {
+    const match = tag.trim().match(/^(Zipping|Uploading)\s+(\d{1,3})%$/i);
+    if (match) {
+      return {
+        phase: match[1].toLowerCase() === 'zipping' ? 'packaging' : 'uploading',
+        percent: Math.min(100, parseInt(match[2], 10))
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch the latest upload progress record the uploader published for a torrent
+ * @param {string} hash - Torrent hash
+ * @return {Promise<Object|null>} { phase, percent, bytesDone, bytesTotal, speed, eta, updatedAt } or null
+ */
+export async function fetchUploadProgress(hash) {
+  try {
+    const formData = new FormData();
+    formData.append('getUploadProgress', true);
+    formData.append('torrentHash', hash);
+
+    const response = await fetch("dbInfoFeeder.php", {
+      method: "POST",
+      body: formData
+    });
+
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    return result.success && result.progress ? result.progress : null;
+  } catch (error) {
+    console.error(`Error fetching upload progress for ${hash}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the download links the uploader recorded once the upload finished
+ * @param {string} hash - Torrent hash
+ * @return {Promise<Object|null>} { type, key, size, sha256, downloadUrl, manifestUrl, expiresAt, objects } or null
+ */
+export async function fetchDownloadLinks(hash) {
+  try {
+    const formData = new FormData();
+    formData.append('getDownloadLinks', true);
+    formData.append('torrentHash', hash);
+
+    const response = await fetch("dbInfoFeeder.php", {
+      method: "POST",
+      body: formData
+    });
+
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    return result.success && result.download ? result.download : null;
+  } catch (error) {
+    console.error(`Error fetching download links for ${hash}:`, error);
+    return null;
+  }
+}
+
+// Tags the uploader leaves on a torrent whose upload failed; tag monitoring stops at them as it does at Ready
+const UPLOAD_FAILURE_TAGS = ['upload failed', 'error'];
+// A torrent that is not found this many checks in a row has been removed, however many attempts are left
+const MAX_MISSING_CHECKS = 12;
+
+/**
+ * Monitor torrent tag changes (useful for S3 storage option) until the torrent is Ready or its upload failed
+ * While the uploader reports progress ("Zipping 42%", "Uploading 42%") the onProgress
+ * callback receives the details, and checks that show progress do not count towards maxAttempts.
+ * Checks that see nothing change wait longer each time, up to maxInterval; a change goes back to interval.
+ * Once the torrent is Ready the callback also receives the recorded download links as `download`;
+ * a failure tag ('Upload Failed', 'Error') ends monitoring with success: false and failed: true.
  * @param {string} hash - Torrent hash
  * @param {Function} callback - Callback function
  * @param {number} interval - Check interval in ms
- * @param {number} maxAttempts - Maximum number of attempts
- * @return {number} Interval ID
+ * @param {number} maxAttempts - Maximum number of checks without progress, Infinity to wait for Ready or a failure tag
+ * @param {Function} onProgress - Optional callback receiving { hash, phase, percent, bytesDone, bytesTotal, speed, eta }
+ * @param {number} maxInterval - Longest wait between checks in ms; the default keeps checking every interval
+ * @return {Function} Stops monitoring
  */
-export async function monitorTorrentTags(hash, callback, interval = 5000, maxAttempts = 60) {
+export async function monitorTorrentTags(hash, callback, interval = 5000, maxAttempts = 60, onProgress = null, maxInterval = interval) {
   // Initialize tracking variables
   let attempts = 0;
+  let missing = 0;
   let lastTagStatus = "";
-  let intervalId = null;
+  let lastProgressKey = null;
+  let delay = interval;
+  let timeoutId = null;
+  let stopped = false;
   
   console.log(`Starting tag monitoring for torrent ${hash}`);
   
-  // Function to check tag status
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timeoutId);
+  };
+  
+  const finish = (result) => {
+    stop();
+    callback(result);
+  };
+  
+  // Function to check tag status; returns whether the tags or the progress changed
   const checkTags = async () => {
     attempts++;
     console.log(`Tag check attempt #${attempts} for hash ${hash}`);
@@ -495,69 +597,117 @@ export async function monitorTorrentTags(hash, callback, interval = 5000, maxAtt
       const metadata = await getTorrentMetadata(hash);
       
       if (!metadata.found) {
+        missing++;
         console.warn(`Torrent ${hash} not found during tag monitoring`);
-        if (attempts >= maxAttempts) {
-          console.log(`Maximum attempts reached for torrent ${hash}, stopping tag monitoring`);
-          clearInterval(intervalId);
-          callback({
+        if (attempts >= maxAttempts || missing >= MAX_MISSING_CHECKS) {
+          console.log(`Torrent ${hash} not found ${missing} times, stopping tag monitoring`);
+          finish({
             success: false, 
             message: "Torrent not found after multiple attempts",
             hash: hash
           });
         }
-        return;
+        return false;
       }
+      missing = 0;
+      let changed = false;
       
+      // Surface upload progress while the uploader is working
+      const tagProgress = parseProgressTag(metadata.tagStatus);
+      if (tagProgress) {
+        // The backend record has speed and ETA and is updated more often than the tag
+        const record = onProgress ? await fetchUploadProgress(hash) : null;
+        const progress = record && record.phase === tagProgress.phase && record.percent >= tagProgress.percent
+          ? record
+          : tagProgress;
+
+        // Progress is moving, so the upload is alive: don't run into maxAttempts
+        const progressKey = `${progress.phase}:${progress.bytesDone !== undefined ? progress.bytesDone : progress.percent}`;
+        if (progressKey !== lastProgressKey) {
+          attempts = 0;
+          lastProgressKey = progressKey;
+          changed = true;
+        }
+
+        if (onProgress) {
+          onProgress({ hash: hash, ...progress });
+        }
+      }
+
       // Check if tag status changed
       if (metadata.tagStatus !== lastTagStatus) {
         console.log(`Tag status changed from "${lastTagStatus}" to "${metadata.tagStatus}" for torrent ${hash}`);
         lastTagStatus = metadata.tagStatus;
+        changed = true;
         
-        // If tag is now 'Ready', we found what we're looking for
-        if (metadata.tagStatus && metadata.tagStatus.toLowerCase() === 'ready') {
+        // If tag is now 'Ready', we found what we're looking for (a seeding torrent also has "Seeding (ratio 0.4)")
+        const tags = metadata.tagStatus ? metadata.tagStatus.split(',').map((tag) => tag.trim().toLowerCase()) : [];
+        if (tags.includes('ready')) {
           console.log(`Torrent ${hash} is now marked as 'Ready'`);
-          clearInterval(intervalId);
+          stop();
+          // The uploader records the links before setting the tag, so they are available now
+          const download = await fetchDownloadLinks(hash);
           callback({
             success: true,
             message: "Torrent is marked as Ready",
             hash: hash,
+            metadata: metadata,
+            download: download
+          });
+          return true;
+        }
+        
+        const failureTag = tags.find((tag) => UPLOAD_FAILURE_TAGS.includes(tag));
+        if (failureTag) {
+          console.log(`Upload of torrent ${hash} failed (${failureTag}), stopping tag monitoring`);
+          finish({
+            success: false,
+            failed: true,
+            message: `Tag status is "${metadata.tagStatus}"`,
+            hash: hash,
             metadata: metadata
           });
+          return true;
         }
       }
       
       // Check if we've reached max attempts
       if (attempts >= maxAttempts) {
         console.log(`Maximum attempts reached for torrent ${hash}, stopping tag monitoring`);
-        clearInterval(intervalId);
-        callback({
+        finish({
           success: false,
           message: `Tag status still "${metadata.tagStatus}" after ${maxAttempts} checks`,
           hash: hash,
           metadata: metadata
         });
       }
+      return changed;
     } catch (error) {
       console.error(`Error during tag monitoring for ${hash}:`, error);
       if (attempts >= maxAttempts) {
-        clearInterval(intervalId);
-        callback({
+        finish({
           success: false,
           message: `Error during tag monitoring: ${error.message}`,
           hash: hash
         });
       }
+      return false;
     }
   };
   
-  // Check immediately first
-  await checkTags();
+  // Check, then wait longer the longer nothing changes
+  const run = async () => {
+    const changed = await checkTags();
+    if (stopped) return;
+    delay = changed ? interval : Math.min(Math.round(delay * 1.5), maxInterval);
+    timeoutId = setTimeout(run, delay);
+  };
   
-  // Then set up interval
-  intervalId = setInterval(checkTags, interval);
+  // Check immediately first
+  await run();
   
-  // Return the interval ID so it can be cleared externally if needed
-  return intervalId;
+  // Return a function that stops monitoring, for callers that no longer need it
+  return stop;
 }
 
 /**
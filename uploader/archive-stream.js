@@ -0,0 +1,175 @@
+/**
+ * uploader/archive-stream.js
+ * Builds zip/tar archives of a directory as a stream, with exact byte progress
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+
+// Extensions that are already compressed and only waste CPU when deflated again
+const DEFAULT_STORE_EXTENSIONS = [
+  'mkv', 'mp4', 'avi', 'mov', 'wmv', 'm4v', 'webm', 'ts',
+  'mp3', 'aac', 'flac', 'ogg', 'opus', 'm4a',
+  'jpg', 'jpeg', 'png', 'gif', 'webp',
+  'zip', 'rar', '7z', 'gz', 'bz2', 'xz', 'iso'
+];
+
+/**
+ * File extension for an archive format
+ * @param {string} format Archive format (zip, tar, tar.gz)
+ * @returns {string} Extension without leading dot
+ */
+function archiveExtension(format) {
+  return format === 'tar.gz' ? 'tar.gz' : format;
+}
+
+/**
+ * Recursively list regular files under a directory, sorted by relative path
+ * @param {string} rootDir Directory to scan
+ * @returns {Promise<Array<Object>>} Entries with absolutePath, relativePath and stats
+ */
+async function listFiles(rootDir) {
+  const entries = [];
+
+  const walk = async (dir) => {
+    const names = await fs.promises.readdir(dir);
+    for (const name of names) {
+      const absolutePath = path.join(dir, name);
+      const stats = await fs.promises.lstat(absolutePath);
+      if (stats.isDirectory()) {
+        await walk(absolutePath);
+      } else if (stats.isFile()) {
+        entries.push({
+          absolutePath,
+          relativePath: path.relative(rootDir, absolutePath).split(path.sep).join('/'),
+          stats
+        });
+      }
+      // Symlinks and special files are skipped on purpose
+    }
+  };
+
+  await walk(rootDir);
+  entries.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  return entries;
+}
+
+/**
+ * Readable that opens its file only when the archiver starts reading it, so large
+ * torrents do not hold one descriptor per file, and that reports every chunk read.
+ * The file is hashed on the way through so it does not have to be read twice.
+ * @param {string} filePath File to read
+ * @param {Function} onBytes Called with the size of each chunk
+ * @param {Function} onHash Called with the hex SHA-256 once the whole file was read
+ * @returns {Readable} Lazy file stream
+ */
+function lazyFileStream(filePath, onBytes, onHash) {
+  let source = null;
+  const hash = crypto.createHash('sha256');
+
+  return new Readable({
+    read() {
+      if (source) {
+        source.resume();
+        return;
+      }
+
+      source = fs.createReadStream(filePath);
+      source.on('data', (chunk) => {
+        hash.update(chunk);
+        onBytes(chunk.length);
+        if (!this.push(chunk)) source.pause();
+      });
+      source.on('end', () => {
+        onHash(hash.digest('hex'));
+        this.push(null);
+      });
+      source.on('error', (error) => this.destroy(error));
+    },
+    destroy(error, callback) {
+      if (source) source.destroy();
+      callback(error);
+    }
+  });
+}
+
+/**
+ * Create a streaming archive of a directory. Nothing is written to disk: the returned
+ * stream yields archive bytes as they are produced and can be piped straight into an upload.
+ *
+ * @param {string} directoryPath Directory to archive
+ * @param {Object} options Archive options
+ * @param {string} options.format zip, tar or tar.gz
+ * @param {number} options.compressionLevel Deflate/gzip level 0-9
+ * @param {Array<string>} options.storeExtensions Extensions added to zips without compression
+ * @param {boolean} options.forceZip64 Always write zip64 headers (otherwise only when needed)
+ * @param {Function} options.onProgress Called with { processedBytes, totalBytes, processedFiles, totalFiles }
+ * @param {Array<Object>} options.files Entries from listFiles to archive (defaults to the whole directory)
+ * @param {string} options.name Archive name without extension (defaults to the directory name)
+ * @returns {Promise<Object>} { stream, name, totalBytes, files } - each file's sha256 is
+ *   filled in once the archiver has read it, so it is complete when the stream ends
+ */
+async function createArchiveStream(directoryPath, options = {}) {
+  const format = options.format || 'zip';
+  const level = options.compressionLevel !== undefined ? options.compressionLevel : 6;
+  const storeExtensions = new Set((options.storeExtensions || DEFAULT_STORE_EXTENSIONS).map((ext) => ext.toLowerCase()));
+  const onProgress = options.onProgress || (() => {});
+
+  const files = options.files || await listFiles(directoryPath);
+  const totalBytes = files.reduce((sum, file) => sum + file.stats.size, 0);
+  const rootName = path.basename(directoryPath);
+
+  let archive;
+  if (format === 'zip') {
+    archive = archiver('zip', { zlib: { level }, forceZip64: !!options.forceZip64 });
+  } else if (format === 'tar' || format === 'tar.gz') {
+    archive = archiver('tar', { gzip: format === 'tar.gz', gzipOptions: { level } });
+  } else {
+    throw new Error(`Unsupported archive format: ${format}`);
+  }
+
+  let processedBytes = 0;
+  let processedFiles = 0;
+  const manifestFiles = files.map((file) => ({ path: file.relativePath, size: file.stats.size, sha256: null }));
+
+  // A file vanishing mid-archive would silently produce an incomplete archive, so fail instead
+  archive.on('warning', (warning) => archive.emit('error', warning));
+  archive.on('entry', () => {
+    processedFiles++;
+    onProgress({ processedBytes, totalBytes, processedFiles, totalFiles: files.length });
+  });
+
+  files.forEach((file, index) => {
+    const ext = path.extname(file.relativePath).slice(1).toLowerCase();
+    archive.append(lazyFileStream(file.absolutePath, (bytes) => {
+      processedBytes += bytes;
+      onProgress({ processedBytes, totalBytes, processedFiles, totalFiles: files.length });
+    }, (sha256) => {
+      manifestFiles[index].sha256 = sha256;
+    }), {
+      name: `${rootName}/${file.relativePath}`,
+      date: file.stats.mtime,
+      mode: file.stats.mode,
+      store: format === 'zip' && storeExtensions.has(ext)
+    });
+  });
+
+  archive.finalize();
+
+  return {
+    stream: archive,
+    name: `${options.name || rootName}.${archiveExtension(format)}`,
+    totalBytes,
+    files: manifestFiles
+  };
+}
+
+module.exports = {
+  DEFAULT_STORE_EXTENSIONS,
+  archiveExtension,
+  listFiles,
+  createArchiveStream
+};
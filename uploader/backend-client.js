@@ -0,0 +1,168 @@
+/**
+ * uploader/backend-client.js
+ * Talks to the web backend (dbInfoFeeder.php) on behalf of the uploader
+ */
+
+const axios = require('axios');
+
+/**
+ * Create a backend client. Requests are form posts with one flag field naming the
+ * action, the same shape the web app sends to dbInfoFeeder.php.
+ *
+ * @param {Object} options Client options
+ * @param {string} options.url Full URL of dbInfoFeeder.php, or empty to disable backend reporting
+ * @param {string} options.token Shared secret sent as X-Uploader-Token
+ * @param {Function} options.log Logger function
+ * @returns {Object} Backend client
+ */
+function createBackendClient(options) {
+  const log = options.log || (() => {});
+  const enabled = !!options.url;
+  const http = enabled ? axios.create({
+    baseURL: options.url,
+    timeout: 15000,
+    headers: options.token ? { 'X-Uploader-Token': options.token } : {}
+  }) : null;
+
+  /**
+   * Post an action to the backend
+   * @param {string} action Name of the flag field, e.g. 'updateUploadProgress'
+   * @param {Object} fields Other form fields
+   * @returns {Promise<Object|null>} Parsed JSON response, or null when the backend is disabled
+   * @throws {Error} If the request fails or the backend reports success: false
+   */
+  async function post(action, fields = {}) {
+    if (!enabled) return null;
+
+    const params = new URLSearchParams();
+    params.append(action, 'true');
+    Object.keys(fields).forEach((key) => {
+      const value = fields[key];
+      if (value === undefined || value === null) return;
+      params.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+
+    const response = await http.post('', params);
+    const data = response.data;
+    if (data && data.success === false) {
+      throw new Error(`Backend rejected ${action}: ${data.message || 'no message'}`);
+    }
+    return data;
+  }
+
+  return {
+    enabled,
+    post,
+
+    /**
+     * Publish the current upload progress for the web UI. Failures are logged, not thrown:
+     * progress reporting must never break an upload.
+     * @param {string} hash Torrent hash
+     * @param {Object} record Progress record (see progress.js)
+     * @returns {Promise<void>}
+     */
+    async reportProgress(hash, record) {
+      try {
+        await post('updateUploadProgress', {
+          torrentHash: hash,
+          phase: record.phase,
+          percent: record.percent,
+          bytesDone: record.bytesDone,
+          bytesTotal: record.bytesTotal,
+          speed: record.speed,
+          eta: record.eta,
+          updatedAt: record.updatedAt
+        });
+      } catch (error) {
+        log(`Warning: Could not report progress to backend: ${error.message}`);
+      }
+    },
+
+    /**
+     * Record the stored object(s) and download links of a finished upload, so the web UI can
+     * offer a download as soon as the torrent is Ready. Shared torrents are recorded once per owner.
+     * Unlike progress, failures are thrown.
+     * @param {string} hash Torrent hash
+     * @param {Object} record { torrentName, owner, type, bucket, key, size, sha256, manifestKey, manifestUrl,
+     *   downloadUrl, expiresAt, objects }
+     * @returns {Promise<Object|null>} Backend response
+     */
+    async recordUpload(hash, record) {
+      return post('recordUpload', Object.assign({ torrentHash: hash }, record));
+    },
+
+    /**
+     * Add objects to a user's stored-bytes ledger, or take them off it. The ledger is kept by key, so
+     * reporting an object again replaces its size instead of counting it twice. Failures are thrown:
+     * quotas and billing rely on the ledger.
+     * @param {string} owner User email (the category folder)
+     * @param {string} hash Torrent hash the objects belong to
+     * @param {string} operation 'add' when the objects were stored, 'remove' when they were deleted
+     * @param {Array<Object>} objects [{ key, size }] - sizes are the bytes in storage
+     * @returns {Promise<Object|null>} Backend response
+     */
+    async updateStoredBytes(owner, hash, operation, objects) {
+      return post('updateStoredBytes', {
+        owner,
+        torrentHash: hash,
+        operation,
+        bytes: objects.reduce((sum, object) => sum + object.size, 0),
+        objects
+      });
+    },
+
+    /**
+     * Plan of a user (Free, Standard or Premium). Users are identified by email, which
+     * is also the qBittorrent category of their torrents.
+     * @param {string} email User email
+     * @returns {Promise<string|null>} Plan name, or null if it cannot be determined
+     */
+    async getUserPlan(email) {
+      if (!enabled || !email) return null;
+      try {
+        const data = await post('getUserPlan', { email });
+        return (data && data.plan) || null;
+      } catch (error) {
+        log(`Warning: Could not look up the plan of ${email}: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Webhook endpoints a user registered in the web app. The backend answers
+     * { success, webhooks: [{ id, url, secret, states }] }; states may be left out for all of them.
+     * @param {string} email User email
+     * @returns {Promise<Array<Object>>} Endpoints, empty if there are none or they cannot be looked up
+     */
+    async getWebhooks(email) {
+      if (!enabled || !email) return [];
+      try {
+        const data = await post('getWebhooks', { email });
+        return (data && Array.isArray(data.webhooks)) ? data.webhooks : [];
+      } catch (error) {
+        log(`Warning: Could not look up the webhooks of ${email}: ${error.message}`);
+        return [];
+      }
+    },
+
+    /**
+     * Users who own a torrent. Several users can add the same torrent; qBittorrent keeps it once,
+     * under the category (email) of the first one. The backend answers { success, owners: [email] }.
+     * @param {string} hash Torrent hash
+     * @returns {Promise<Array<string>|null>} Owner emails, or null when the backend is disabled
+     *   or does not know the action
+     * @throws {Error} If the request fails
+     */
+    async getTorrentOwners(hash) {
+      if (!enabled) return null;
+      const data = await post('getTorrentOwners', { torrentHash: hash });
+      if (!data || !Array.isArray(data.owners)) {
+        log('Warning: Backend did not return the owners of the torrent');
+        return null;
+      }
+      return data.owners.filter((owner) => typeof owner === 'string' && owner.trim() !== '').map((owner) => owner.trim());
+    }
+  };
+}
+
+module.exports = { createBackendClient };
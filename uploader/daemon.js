@@ -0,0 +1,147 @@
+/**
+ * uploader/daemon.js
+ * Worker pool that processes uploader jobs from the durable queue
+ */
+
+const fs = require('fs');
+const { DeferredError, backoffDelay, describeError } = require('./retry');
+
+/**
+ * Start processing queued jobs with a fixed number of workers.
+ * Jobs left active by a previous run are picked up again on start.
+ * Transient failures are re-queued with backoff; permanent failures, and jobs
+ * that used up their attempts, are moved to the dead-letter state. Jobs that
+ * throw a DeferredError are re-queued for the time it names. If the outcome of a job cannot be
+ * recorded, that is logged and the job stays active until the next start recovers it.
+ *
+ * @param {Object} options Daemon options
+ * @param {JobQueue} options.queue Job queue
+ * @param {number} options.concurrency Maximum jobs processed at the same time
+ * @param {number} options.pollIntervalMs How often to look for new jobs
+ * @param {Function} options.processJob async (job) => void, processes one job and throws on failure
+ * @param {Object} options.retryPolicy { maxAttempts, baseDelayMs, maxDelayMs }
+ * @param {Function} options.onDeadLetter async (job, error) => void, called once a job failed for good
+ * @param {Function} options.log Logger function, called with (message, fields)
+ * @returns {Object} { stop, done } - stop() stops claiming jobs, done resolves once running jobs finished
+ */
+function startDaemon(options) {
+  const { queue, processJob, retryPolicy } = options;
+  const log = options.log || (() => {});
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const pollIntervalMs = options.pollIntervalMs || 5000;
+
+  const running = new Set();
+  let stopped = false;
+  let wake = null;
+  let timer = null;
+
+  const recovered = queue.recover();
+  if (recovered > 0) log(`Recovered ${recovered} interrupted job(s) from the previous run`);
+
+  // New jobs usually arrive through the completion hook; wake up right away instead of waiting for the next poll
+  let watcher = null;
+  try {
+    watcher = fs.watch(queue.dirFor('pending'), () => wake && wake());
+  } catch (error) {
+    log(`Queue directory cannot be watched (${error.message}), relying on polling`);
+  }
+
+  // Defer, re-queue or dead-letter a job that threw
+  const recordFailure = async (job, error, fields) => {
+    if (error instanceof DeferredError) {
+      queue.defer(job, error.until);
+      log(`Job ${job.id} deferred until ${error.until.toLocaleString()}: ${error.message}`, fields);
+      return;
+    }
+
+    const attempt = (job.attempts || 0) + 1;
+    const lastError = describeError(error, attempt);
+
+    if (lastError.classification === 'permanent' || attempt >= retryPolicy.maxAttempts) {
+      queue.deadLetter(job, lastError);
+      log(`Job ${job.id} moved to dead letters after ${attempt} attempt(s) (${lastError.classification}): ${error.message}`,
+        Object.assign({ level: 'error', error: lastError }, fields));
+      if (!options.onDeadLetter) return;
+      try {
+        await options.onDeadLetter(job, error);
+      } catch (hookError) {
+        log(`Handling dead job ${job.id} failed: ${hookError.message}`, Object.assign({ level: 'error' }, fields));
+      }
+    } else {
+      const delay = backoffDelay(attempt, retryPolicy);
+      queue.retryLater(job, lastError, delay);
+      log(`Job ${job.id} failed (attempt ${attempt}/${retryPolicy.maxAttempts}, ${lastError.classification}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`,
+        Object.assign({ level: 'warn', error: lastError }, fields));
+    }
+  };
+
+  const runJob = (job) => {
+    // Tie the daemon's own lines about a job to the job's torrent
+    const fields = { hash: job.torrent.hash, torrent: job.torrent.name, jobId: job.id };
+    const task = (async () => {
+      log(`Starting job ${job.id} for ${job.torrent.name || job.torrent.hash} (${running.size}/${concurrency} workers busy)`, fields);
+      let failure = null;
+      try {
+        await processJob(job);
+      } catch (error) {
+        failure = error;
+      }
+
+      try {
+        if (failure) {
+          await recordFailure(job, failure, fields);
+        } else {
+          queue.complete(job);
+        }
+      } catch (error) {
+        log(`Could not record the outcome of job ${job.id}, it stays active until the daemon restarts: ${error.message}`,
+          Object.assign({ level: 'error' }, fields));
+      }
+    })().catch(() => {
+      // Only the logger itself failing gets here; the job stays active like above
+    }).finally(() => {
+      running.delete(task);
+      if (wake) wake();
+    });
+
+    running.add(task);
+  };
+
+  const loop = async () => {
+    while (!stopped) {
+      while (!stopped && running.size < concurrency) {
+        const job = queue.claim();
+        if (!job) break;
+        runJob(job);
+      }
+
+      // Sleep until the next poll, or until a delayed retry becomes due if that is sooner
+      const nextDue = queue.msUntilNextDue();
+      const sleepMs = nextDue === null ? pollIntervalMs : Math.min(pollIntervalMs, nextDue + 10);
+
+      await new Promise((resolve) => {
+        wake = resolve;
+        timer = setTimeout(resolve, sleepMs);
+      });
+      clearTimeout(timer);
+      wake = null;
+    }
+
+    if (watcher) watcher.close();
+    if (running.size > 0) log(`Waiting for ${running.size} running job(s) to finish`);
+    await Promise.all(running);
+  };
+
+  const done = loop();
+
+  return {
+    stop() {
+      stopped = true;
+      if (wake) wake();
+      return done;
+    },
+    done
+  };
+}
+
+module.exports = { startDaemon };
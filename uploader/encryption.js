@@ -0,0 +1,310 @@
+/**
+ * uploader/encryption.js
+ * Client-side encryption of uploaded content with AES-256-GCM, and the matching decryption
+ *
+ * Keys: every owner (category) has a user key, kept in <dir>/<id>.json wrapped with the master key
+ * from the config. Every object gets a fresh data key, wrapped with the owner's user key. The
+ * manifest entry of the object carries both wrapped keys, so the master key and the manifest are
+ * all decryption needs.
+ *
+ * Objects: the content is cut into segments of segmentSize bytes, each sealed on its own and stored
+ * as ciphertext followed by its 16-byte tag. The nonce of segment n is noncePrefix (7 bytes), n as
+ * a 4-byte big-endian counter, and a byte that is 1 for the last segment only, so reordered,
+ * dropped or truncated segments fail to decrypt. Empty content is one empty last segment.
+ *
+ * Encrypted uploads are always streamed: a data key is never reused, so an interrupted multipart
+ * upload of an encrypted file cannot be resumed and starts over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { PermanentError } = require('./retry');
+const { createMeter, pipeForConsumer } = require('./storage');
+
+const ALGORITHM = 'AES-256-GCM';
+const KEY_BYTES = 32;
+const TAG_BYTES = 16;
+const WRAP_IV_BYTES = 12;
+const NONCE_PREFIX_BYTES = 7;
+const SEGMENT_SIZE = 64 * 1024;
+
+/**
+ * Decode the master key from the config
+ * @param {string} encoded Base64 of 32 random bytes
+ * @returns {Buffer} Key
+ * @throws {Error} If it is not 32 bytes of base64
+ */
+function parseMasterKey(encoded) {
+  const key = Buffer.from(String(encoded || '').trim(), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Master key must be ${KEY_BYTES} bytes of base64 (openssl rand -base64 ${KEY_BYTES}), got ${key.length} bytes`);
+  }
+  return key;
+}
+
+/**
+ * Encrypt a key with another key
+ * @param {Buffer} key Key to wrap
+ * @param {Buffer} wrappingKey Key it is encrypted with
+ * @param {string} context Bound to the wrapped key; unwrapping needs the same value
+ * @returns {string} Base64 of IV, ciphertext and tag
+ */
+function wrapKey(key, wrappingKey, context) {
+  const iv = crypto.randomBytes(WRAP_IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+  return Buffer.concat([iv, cipher.update(key), cipher.final(), cipher.getAuthTag()]).toString('base64');
+}
+
+/**
+ * Decrypt a key wrapped by wrapKey
+ * @param {string} wrapped Base64 from wrapKey
+ * @param {Buffer} wrappingKey Key it was encrypted with
+ * @param {string} context Value given to wrapKey
+ * @returns {Buffer} Key
+ * @throws {PermanentError} If the wrapping key or the context is wrong, or the wrapped key was altered
+ */
+function unwrapKey(wrapped, wrappingKey, context) {
+  const bytes = Buffer.from(wrapped, 'base64');
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, bytes.subarray(0, WRAP_IV_BYTES));
+    decipher.setAAD(Buffer.from(context, 'utf8'));
+    decipher.setAuthTag(bytes.subarray(bytes.length - TAG_BYTES));
+    return Buffer.concat([decipher.update(bytes.subarray(WRAP_IV_BYTES, bytes.length - TAG_BYTES)), decipher.final()]);
+  } catch (error) {
+    throw new PermanentError(`Could not unwrap key ${context}: wrong key or damaged data`, error);
+  }
+}
+
+/**
+ * Nonce of one segment
+ * @param {Buffer} prefix Random nonce prefix of the object
+ * @param {number} index Segment number, from 0
+ * @param {boolean} last Whether it is the last segment
+ * @returns {Buffer} 12-byte nonce
+ */
+function segmentNonce(prefix, index, last) {
+  const nonce = Buffer.alloc(NONCE_PREFIX_BYTES + 5);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_BYTES);
+  nonce[NONCE_PREFIX_BYTES + 4] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Stream that turns whole input blocks into output segments. A block is only processed once more
+ * input follows it, so the last one is known when the input ends.
+ * @param {number} blockSize Input bytes per segment
+ * @param {Function} processBlock (block, index, last) => output Buffer
+ * @returns {Transform} Stream
+ */
+function createSegmentStream(blockSize, processBlock) {
+  let pending = Buffer.alloc(0);
+  let index = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        pending = pending.length === 0 ? chunk : Buffer.concat([pending, chunk]);
+        while (pending.length > blockSize) {
+          this.push(processBlock(pending.subarray(0, blockSize), index++, false));
+          pending = pending.subarray(blockSize);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      try {
+        callback(null, processBlock(pending, index, true));
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+/**
+ * Stream that encrypts content in segments
+ * @param {Buffer} dataKey Key of the object
+ * @param {Buffer} noncePrefix Random nonce prefix of the object
+ * @param {number} segmentSize Plaintext bytes per segment
+ * @returns {Transform} Stream of ciphertext
+ */
+function createEncryptStream(dataKey, noncePrefix, segmentSize = SEGMENT_SIZE) {
+  return createSegmentStream(segmentSize, (block, index, last) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, segmentNonce(noncePrefix, index, last));
+    return Buffer.concat([cipher.update(block), cipher.final(), cipher.getAuthTag()]);
+  });
+}
+
+/**
+ * Upper bound for the size of encrypted content: a tag per segment, and maybe an empty last segment
+ * @param {number} plainSize Plaintext bytes
+ * @returns {number} Ciphertext bytes
+ */
+function encryptedSize(plainSize) {
+  return plainSize + (Math.ceil(plainSize / SEGMENT_SIZE) + 1) * TAG_BYTES;
+}
+
+/**
+ * Stream that decrypts an object written by createEncryptStream
+ * @param {Object} encryption Encryption details of the object, from its manifest entry
+ * @param {Object} masterKeys Master keys by id (see parseMasterKey)
+ * @returns {Transform} Stream of plaintext; it fails if the object was altered or truncated
+ * @throws {PermanentError} If the master key is unknown or does not unwrap the keys
+ */
+function createDecryptStream(encryption, masterKeys) {
+  if (encryption.algorithm !== ALGORITHM) {
+    throw new PermanentError(`Unsupported encryption algorithm: ${encryption.algorithm}`);
+  }
+  const userKey = encryption.userKey;
+  const masterKey = masterKeys[userKey.masterKeyId];
+  if (!masterKey) throw new PermanentError(`Master key ${userKey.masterKeyId} is not configured`);
+
+  const key = unwrapKey(userKey.wrappedKey, masterKey, `user:${userKey.keyId}`);
+  const dataKey = unwrapKey(encryption.dataKey, key, `data:${userKey.keyId}`);
+  const noncePrefix = Buffer.from(encryption.noncePrefix, 'base64');
+
+  return createSegmentStream(encryption.segmentSize + TAG_BYTES, (block, index, last) => {
+    if (block.length < TAG_BYTES) throw new PermanentError(`Encrypted object is truncated in segment ${index}`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, segmentNonce(noncePrefix, index, last));
+    decipher.setAuthTag(block.subarray(block.length - TAG_BYTES));
+    try {
+      return Buffer.concat([decipher.update(block.subarray(0, block.length - TAG_BYTES)), decipher.final()]);
+    } catch (error) {
+      throw new PermanentError(`Segment ${index} of the encrypted object failed authentication (altered, reordered or truncated)`, error);
+    }
+  });
+}
+
+class KeyStore {
+  /**
+   * @param {Object} options Key store options
+   * @param {string} options.dir Directory for the wrapped user keys
+   * @param {Buffer} options.masterKey Master key (see parseMasterKey)
+   * @param {string} options.masterKeyId Id recorded with everything the master key wraps
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.masterKey = options.masterKey;
+    this.masterKeyId = options.masterKeyId;
+  }
+
+  pathFor(owner) {
+    // Owners are email addresses; keep them out of file names
+    return path.join(this.dir, `${crypto.createHash('sha256').update(owner).digest('hex').slice(0, 32)}.json`);
+  }
+
+  /**
+   * User key of an owner, created on first use
+   * @param {string} owner Owner, usually the category (the user's email)
+   * @returns {Object} { keyId, masterKeyId, wrappedKey, key }
+   * @throws {PermanentError} If the stored key was wrapped with another master key
+   */
+  userKey(owner) {
+    const keyPath = this.pathFor(owner);
+    let stored = this.read(keyPath);
+
+    if (!stored) {
+      const keyId = crypto.randomBytes(8).toString('hex');
+      const created = {
+        owner,
+        keyId,
+        masterKeyId: this.masterKeyId,
+        wrappedKey: wrapKey(crypto.randomBytes(KEY_BYTES), this.masterKey, `user:${keyId}`),
+        createdAt: new Date().toISOString()
+      };
+      fs.mkdirSync(this.dir, { recursive: true });
+      const tmpPath = `${keyPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(created, null, 2), { mode: 0o600 });
+      try {
+        // link fails if another process created the key first; theirs wins
+        fs.linkSync(tmpPath, keyPath);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      } finally {
+        fs.rmSync(tmpPath, { force: true });
+      }
+      stored = this.read(keyPath);
+    }
+
+    if (stored.masterKeyId !== this.masterKeyId) {
+      throw new PermanentError(`User key of ${owner} is wrapped with master key ${stored.masterKeyId}, configured is ${this.masterKeyId}`);
+    }
+    return {
+      keyId: stored.keyId,
+      masterKeyId: stored.masterKeyId,
+      wrappedKey: stored.wrappedKey,
+      key: unwrapKey(stored.wrappedKey, this.masterKey, `user:${stored.keyId}`)
+    };
+  }
+
+  read(keyPath) {
+    try {
+      return JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Wrap a storage backend so everything uploaded through uploadFile and uploadStream is encrypted
+ * with a fresh data key under the owner's user key. Results carry the size and checksums of the
+ * stored ciphertext for verification, sha256 of the plaintext, and `encryption` for the manifest.
+ * @param {Object} storage Storage backend (see storage.js)
+ * @param {Object} userKey User key from KeyStore.userKey
+ * @returns {Object} Storage backend
+ */
+function createEncryptingStorage(storage, userKey) {
+  const encrypted = Object.assign({}, storage, {
+    encrypted: true,
+
+    async uploadStream({ key, stream, sizeHint, onProgress, throttle, log }) {
+      const dataKey = crypto.randomBytes(KEY_BYTES);
+      const noncePrefix = crypto.randomBytes(NONCE_PREFIX_BYTES);
+      // Progress counts plaintext bytes, like the totals it is compared with; ciphertext has a tag per segment more
+      const plaintext = createMeter(onProgress);
+      const ciphertext = pipeForConsumer(stream, plaintext, createEncryptStream(dataKey, noncePrefix));
+
+      const [result] = await Promise.all([
+        storage.uploadStream({ key, stream: ciphertext.stream, sizeHint: sizeHint && encryptedSize(sizeHint), throttle, log }),
+        ciphertext.done
+      ]);
+      const plain = plaintext.result();
+      return Object.assign({}, result, {
+        sha256: plain.sha256,
+        encryption: {
+          algorithm: ALGORITHM,
+          segmentSize: SEGMENT_SIZE,
+          noncePrefix: noncePrefix.toString('base64'),
+          dataKey: wrapKey(dataKey, userKey.key, `data:${userKey.keyId}`),
+          userKey: { keyId: userKey.keyId, masterKeyId: userKey.masterKeyId, wrappedKey: userKey.wrappedKey },
+          plainSize: plain.size
+        }
+      });
+    },
+
+    async uploadFile({ key, filePath, onProgress, throttle, log }) {
+      const sizeHint = fs.statSync(filePath).size;
+      const result = await encrypted.uploadStream({ key, stream: fs.createReadStream(filePath), sizeHint, onProgress, throttle, log });
+      return Object.assign(result, { resumed: false });
+    }
+  });
+  return encrypted;
+}
+
+module.exports = {
+  ALGORITHM,
+  parseMasterKey,
+  createEncryptStream,
+  createDecryptStream,
+  KeyStore,
+  createEncryptingStorage
+};
@@ -0,0 +1,167 @@
+/**
+ * uploader/filters.js
+ * Include/exclude rules that pick which files of a directory torrent are packaged and uploaded
+ *
+ * A rule is { action: 'include'|'exclude', glob, extensions, regex, minSizeMB, maxSizeMB, name }.
+ * Every condition a rule has must match; a rule needs at least one. A file is kept when it matches
+ * no exclude rule and, if there are include rules, at least one of them. All matching ignores case.
+ *   glob        "Thumbs.db", "*.nfo", "Extras/*.mkv"; without a "/" it is matched against the file name,
+ *               otherwise against the path in the torrent. "*" stays within a folder, "**" crosses folders,
+ *               {a,b} matches either.
+ *   extensions  ["nfo", ".txt"]
+ *   regex       matched against the path in the torrent, e.g. "(^|/)sample[^/]*\\.(mkv|mp4)$"
+ *   minSizeMB, maxSizeMB  inclusive size bounds
+ */
+
+const RULE_KEYS = ['action', 'name', 'glob', 'extensions', 'regex', 'minSizeMB', 'maxSizeMB'];
+const CONDITION_KEYS = ['glob', 'extensions', 'regex', 'minSizeMB', 'maxSizeMB'];
+const MB = 1024 * 1024;
+
+/**
+ * Turn a glob into a regular expression
+ * @param {string} glob Glob pattern
+ * @returns {RegExp} Expression matching the whole name or path
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let inBraces = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && !inBraces) {
+      source += '(?:';
+      inBraces = true;
+    } else if (char === '}' && inBraces) {
+      source += ')';
+      inBraces = false;
+    } else if (char === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+  if (inBraces) throw new Error(`Unclosed { in glob ${glob}`);
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Short description of a rule, for logs and the manifest
+ * @param {Object} rule Rule from the config
+ * @param {number} index Position of the rule, from 0
+ * @returns {string} Description
+ */
+function describeRule(rule, index) {
+  const conditions = [];
+  if (rule.glob !== undefined) conditions.push(`glob ${rule.glob}`);
+  if (rule.extensions !== undefined) conditions.push(`extension ${rule.extensions.join('/')}`);
+  if (rule.regex !== undefined) conditions.push(`regex ${rule.regex}`);
+  if (rule.minSizeMB !== undefined) conditions.push(`at least ${rule.minSizeMB} MB`);
+  if (rule.maxSizeMB !== undefined) conditions.push(`at most ${rule.maxSizeMB} MB`);
+  return `${rule.action} rule ${index + 1}${rule.name ? ` "${rule.name}"` : ''} (${conditions.join(', ')})`;
+}
+
+/**
+ * Check and compile filter rules
+ * @param {Array<Object>} rules Rules from the config
+ * @returns {Array<Object>} Compiled rules: { action, description, matches(file) }
+ * @throws {Error} Describing the first invalid rule
+ */
+function compileRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Filter rules must be a list');
+
+  return rules.map((rule, index) => {
+    const where = `rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${where} must be an object`);
+
+    const unknown = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+    if (unknown.length) throw new Error(`${where} has unknown setting(s): ${unknown.join(', ')}`);
+    if (rule.action !== 'include' && rule.action !== 'exclude') throw new Error(`${where}.action must be include or exclude`);
+    if (!CONDITION_KEYS.some((key) => rule[key] !== undefined)) {
+      throw new Error(`${where} needs at least one of: ${CONDITION_KEYS.join(', ')}`);
+    }
+
+    const tests = [];
+    if (rule.glob !== undefined) {
+      if (typeof rule.glob !== 'string' || rule.glob.trim() === '') throw new Error(`${where}.glob must be a pattern`);
+      const glob = rule.glob.replace(/^\/+/, '');
+      const pattern = globToRegExp(glob);
+      const byName = !glob.includes('/');
+      tests.push((file) => pattern.test(byName ? file.relativePath.split('/').pop() : file.relativePath));
+    }
+    if (rule.extensions !== undefined) {
+      if (!Array.isArray(rule.extensions) || rule.extensions.length === 0 || !rule.extensions.every((ext) => typeof ext === 'string')) {
+        throw new Error(`${where}.extensions must be a list of extensions`);
+      }
+      const extensions = rule.extensions.map((ext) => `.${ext.replace(/^\./, '').toLowerCase()}`);
+      tests.push((file) => extensions.some((ext) => file.relativePath.toLowerCase().endsWith(ext)));
+    }
+    if (rule.regex !== undefined) {
+      let pattern;
+      try {
+        pattern = new RegExp(rule.regex, 'i');
+      } catch (error) {
+        throw new Error(`${where}.regex is invalid: ${error.message}`);
+      }
+      tests.push((file) => pattern.test(file.relativePath));
+    }
+    ['minSizeMB', 'maxSizeMB'].forEach((key) => {
+      if (rule[key] !== undefined && (typeof rule[key] !== 'number' || !(rule[key] >= 0))) {
+        throw new Error(`${where}.${key} must be a number of at least 0`);
+      }
+    });
+    if (rule.minSizeMB !== undefined) tests.push((file) => file.stats.size >= rule.minSizeMB * MB);
+    if (rule.maxSizeMB !== undefined) tests.push((file) => file.stats.size <= rule.maxSizeMB * MB);
+
+    return {
+      action: rule.action,
+      description: describeRule(rule, index),
+      matches: (file) => tests.every((test) => test(file))
+    };
+  });
+}
+
+/**
+ * Apply filter rules to the files of a directory
+ * @param {Array<Object>} files Entries from archive-stream.listFiles
+ * @param {Array<Object>} rules Rules from the config
+ * @returns {Object} { files, excluded } - files are the kept entries, excluded is [{ path, size, reason }]
+ */
+function filterFiles(files, rules) {
+  const compiled = compileRules(rules || []);
+  const includes = compiled.filter((rule) => rule.action === 'include');
+  const excludes = compiled.filter((rule) => rule.action === 'exclude');
+  const kept = [];
+  const excluded = [];
+
+  files.forEach((file) => {
+    const exclude = excludes.find((rule) => rule.matches(file));
+    const reason = exclude
+      ? exclude.description
+      : includes.length > 0 && !includes.some((rule) => rule.matches(file)) ? 'matches no include rule' : null;
+
+    if (reason) {
+      excluded.push({ path: file.relativePath, size: file.stats.size, reason });
+    } else {
+      kept.push(file);
+    }
+  });
+  return { files: kept, excluded };
+}
+
+module.exports = {
+  compileRules,
+  filterFiles
+};
@@ -0,0 +1,272 @@
+/**
+ * uploader/job-queue.js
+ * Durable on-disk job queue shared by the qBittorrent completion hook and the uploader daemon
+ *
+ * Every job is one JSON file. Its state is the directory it lives in:
+ *   pending/  waiting for a worker (or for its retry time, see nextAttemptAt)
+ *   active/   claimed by a worker (moved back to pending when the daemon restarts)
+ *   dead/     failed permanently or too often; kept with its last error for inspection and replay
+ * Moves between directories use rename(), which is atomic on the same filesystem,
+ * so a crash never leaves a job half-written or owned by two workers.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const STATES = ['pending', 'active', 'dead'];
+
+class JobQueue {
+  /**
+   * @param {string} queueDir Root directory of the queue
+   */
+  constructor(queueDir) {
+    this.queueDir = queueDir;
+    STATES.forEach((state) => fs.mkdirSync(this.dirFor(state), { recursive: true }));
+  }
+
+  dirFor(state) {
+    return path.join(this.queueDir, state);
+  }
+
+  pathFor(state, id) {
+    return path.join(this.dirFor(state), `${id}.json`);
+  }
+
+  /**
+   * Write a job file atomically into a state directory
+   * @param {string} state Target state
+   * @param {Object} job Job to write
+   */
+  write(state, job) {
+    const target = this.pathFor(state, job.id);
+    const tmpPath = path.join(this.queueDir, `.${job.id}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpPath, JSON.stringify(job, null, 2));
+    fs.renameSync(tmpPath, target);
+  }
+
+  /**
+   * Read a job file, or null if it vanished or is unreadable
+   * @param {string} state State directory
+   * @param {string} id Job id
+   * @returns {Object|null} Job
+   */
+  read(state, id) {
+    try {
+      return JSON.parse(fs.readFileSync(this.pathFor(state, id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Job ids in a state, oldest first
+   * @param {string} state State directory
+   * @returns {Array<string>} Job ids
+   */
+  ids(state) {
+    return fs.readdirSync(this.dirFor(state))
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => name.slice(0, -5))
+      .sort();
+  }
+
+  /**
+   * Jobs in a state, oldest first
+   * @param {string} state State directory
+   * @returns {Array<Object>} Jobs
+   */
+  list(state) {
+    return this.ids(state).map((id) => this.read(state, id)).filter(Boolean);
+  }
+
+  /**
+   * Find a queued or running job for a torrent hash
+   * @param {string} hash Torrent hash
+   * @returns {Object|null} { state, job } or null
+   */
+  findByHash(hash) {
+    const wanted = hash.toLowerCase();
+    for (const state of ['pending', 'active']) {
+      const job = this.list(state).find((item) => item.torrent.hash.toLowerCase() === wanted);
+      if (job) return { state, job };
+    }
+    return null;
+  }
+
+  /**
+   * Add a job for a completed torrent. A torrent that is already queued or
+   * being processed is not queued twice.
+   * @param {Object} torrent { name, hash, savePath, rootPath, category }
+   * @returns {Object} { job, created }
+   */
+  enqueue(torrent) {
+    const existing = this.findByHash(torrent.hash);
+    if (existing) return { job: existing.job, created: false };
+
+    const job = this.createJob(torrent);
+    this.write('pending', job);
+    return { job, created: true };
+  }
+
+  /**
+   * Build a new job without queuing it
+   * @param {Object} torrent { name, hash, savePath, rootPath, category }
+   * @returns {Object} Job
+   */
+  createJob(torrent) {
+    // Timestamp first so that sorting ids gives FIFO order
+    const id = `${Date.now().toString().padStart(14, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+    return {
+      id,
+      torrent,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Claim the oldest pending job that is due. Safe against concurrent claims:
+   * only the process whose rename succeeds gets the job.
+   * @returns {Object|null} Claimed job or null if no job is due
+   */
+  claim() {
+    const now = Date.now();
+
+    for (const id of this.ids('pending')) {
+      const pending = this.read('pending', id);
+      if (pending && pending.nextAttemptAt && new Date(pending.nextAttemptAt).getTime() > now) {
+        continue;
+      }
+
+      try {
+        fs.renameSync(this.pathFor('pending', id), this.pathFor('active', id));
+      } catch (error) {
+        continue;
+      }
+
+      const job = this.read('active', id);
+      if (!job) continue;
+      job.startedAt = new Date().toISOString();
+      this.write('active', job);
+      return job;
+    }
+    return null;
+  }
+
+  /**
+   * Time until the earliest delayed pending job becomes due
+   * @returns {number|null} Milliseconds, or null if no job is waiting for a retry
+   */
+  msUntilNextDue() {
+    const now = Date.now();
+    let earliest = null;
+
+    this.list('pending').forEach((job) => {
+      if (!job.nextAttemptAt) return;
+      const wait = Math.max(0, new Date(job.nextAttemptAt).getTime() - now);
+      if (earliest === null || wait < earliest) earliest = wait;
+    });
+    return earliest;
+  }
+
+  /**
+   * Remove a finished job from the queue
+   * @param {Object} job Active job
+   */
+  complete(job) {
+    try {
+      fs.unlinkSync(this.pathFor('active', job.id));
+    } catch (error) {
+      // Already removed
+    }
+  }
+
+  /**
+   * Put a failed job back in the queue to be retried later
+   * @param {Object} job Active job
+   * @param {Object} lastError Description of the failure (see retry.describeError)
+   * @param {number} delayMs Delay before the job becomes due again
+   */
+  retryLater(job, lastError, delayMs) {
+    job.attempts = lastError.attempt;
+    job.lastError = lastError;
+    job.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    this.write('pending', job);
+    this.complete(job);
+  }
+
+  /**
+   * Put a job that cannot run yet back in the queue, without counting an attempt
+   * @param {Object} job Active job
+   * @param {Date} until When the job becomes due again
+   */
+  defer(job, until) {
+    job.nextAttemptAt = until.toISOString();
+    this.write('pending', job);
+    this.complete(job);
+  }
+
+  /**
+   * Move a failed job to the dead-letter state, keeping its last error
+   * @param {Object} job Job that failed for good (active or not yet queued)
+   * @param {Object} lastError Description of the failure (see retry.describeError)
+   */
+  deadLetter(job, lastError) {
+    job.attempts = lastError.attempt;
+    job.lastError = lastError;
+    job.deadAt = new Date().toISOString();
+    delete job.nextAttemptAt;
+    this.write('dead', job);
+    this.complete(job);
+  }
+
+  /**
+   * Move a dead job back to pending with a fresh attempt count
+   * @param {string} id Job id
+   * @returns {Object|null} Replayed job, or null if there is no such dead job
+   */
+  replay(id) {
+    const job = this.read('dead', id);
+    if (!job) return null;
+
+    job.attempts = 0;
+    job.replayedAt = new Date().toISOString();
+    delete job.deadAt;
+    delete job.nextAttemptAt;
+    this.write('pending', job);
+    fs.unlinkSync(this.pathFor('dead', id));
+    return job;
+  }
+
+  /**
+   * Move jobs left in active by a previous daemon run back to pending
+   * @returns {number} Number of recovered jobs
+   */
+  recover() {
+    let recovered = 0;
+    this.ids('active').forEach((id) => {
+      try {
+        fs.renameSync(this.pathFor('active', id), this.pathFor('pending', id));
+        recovered++;
+      } catch (error) {
+        // Claimed or removed meanwhile
+      }
+    });
+    return recovered;
+  }
+
+  /**
+   * Number of jobs per state
+   * @returns {Object} Counts keyed by state
+   */
+  counts() {
+    const result = {};
+    STATES.forEach((state) => {
+      result[state] = this.ids(state).length;
+    });
+    return result;
+  }
+}
+
+module.exports = { JobQueue };
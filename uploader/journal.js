@@ -0,0 +1,290 @@
+/**
+ * uploader/journal.js
+ * Per-torrent lock and step journal, so a torrent is processed by one process at a time and a
+ * rerun after a crash continues where the last run stopped
+ *
+ * Layout: <dir>/<hash>.json holds the journal, <dir>/<hash>.lock the lock while a process works on it.
+ * The journal records each finished step with the data later steps need:
+ *   upload   objects uploaded and verified: { key, manifest, filePath, sourceDir }
+ *   publish  manifest stored and download links recorded for every owner: { owners, objects, link }
+ *   delete   content moved to the quarantine (or deletion skipped, or left until seeding ends)
+ *   stop     torrent stopped (or stopping skipped, or the torrent keeps seeding under a policy)
+ *   done     torrent tagged Ready
+ * Uploads of several objects (the files layout, volumes that are archives of their own) also record each
+ * object once it is uploaded and verified, under `objects` by key, so a rerun skips the objects that are
+ * stored already: { source, size, expectedEtag, contentMd5, ... } - source fingerprints the files the object was made of.
+ * A journal belongs to one completion of the torrent; when qBittorrent reports another completion
+ * time (the torrent was downloaded again) the journal starts over.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+const STEPS = ['upload', 'publish', 'delete', 'stop', 'done'];
+// A lock file that is still empty or unreadable after this long was left by a crash between creating and writing it
+const UNWRITTEN_LOCK_MS = 10 * 1000;
+
+/**
+ * The torrent is locked by another process that is still running
+ */
+class LockHeldError extends Error {
+  /**
+   * @param {string} hash Torrent hash
+   * @param {Object} holder Lock file contents: { pid, host, lockedAt }
+   */
+  constructor(hash, holder) {
+    super(`Torrent ${hash} is being processed by process ${holder.pid} on ${holder.host} since ${holder.lockedAt}`);
+    this.name = 'LockHeldError';
+    this.holder = holder;
+  }
+}
+
+/**
+ * Whether a process on this host is still running
+ * @param {number} pid Process id
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it runs, under another user
+    return error.code === 'EPERM';
+  }
+}
+
+class Journal {
+  /**
+   * @param {Object} options Journal options
+   * @param {string} options.dir Directory for journals and locks
+   * @param {number} options.retentionMs Journals untouched for this long are removed by prune()
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.retentionMs = options.retentionMs;
+  }
+
+  pathFor(hash) {
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  lockPathFor(hash) {
+    return path.join(this.dir, `${hash}.lock`);
+  }
+
+  /**
+   * Lock a torrent for this process. A lock left by a process on this host that no longer runs is taken over;
+   * locks from other hosts (a shared state directory) are only released by their owner.
+   * @param {string} hash Torrent hash
+   * @returns {Function} release() - removes the lock
+   * @throws {LockHeldError} If a running process holds the lock
+   */
+  lock(hash) {
+    const lockPath = this.lockPathFor(hash);
+    const holder = { pid: process.pid, host: os.hostname(), lockedAt: new Date().toISOString() };
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(lockPath, JSON.stringify(holder), { flag: 'wx' });
+        return () => {
+          try {
+            fs.unlinkSync(lockPath);
+          } catch (error) {
+            // Already removed
+          }
+        };
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      let current;
+      try {
+        current = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        // Unreadable: the owner has created it and not written it yet, unless that was a while ago
+        if (!this.isUnwrittenLockStale(lockPath)) {
+          throw new LockHeldError(hash, { pid: 'unknown', host: 'unknown', lockedAt: 'just now' });
+        }
+        current = null;
+      }
+      if (current && (current.host !== holder.host || isRunning(current.pid))) throw new LockHeldError(hash, current);
+      fs.rmSync(lockPath, { force: true });
+    }
+    // Another process took over the stale lock at the same time
+    throw new LockHeldError(hash, { pid: 'unknown', host: holder.host, lockedAt: 'just now' });
+  }
+
+  /**
+   * Whether an unreadable lock file is old enough that its owner will never write it
+   * @param {string} lockPath Lock file
+   * @returns {boolean}
+   */
+  isUnwrittenLockStale(lockPath) {
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > UNWRITTEN_LOCK_MS;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Journal of a torrent
+   * @param {string} hash Torrent hash
+   * @returns {Object|null} { hash, name, completedAt, startedAt, updatedAt, steps }
+   */
+  read(hash) {
+    try {
+      return JSON.parse(fs.readFileSync(this.pathFor(hash), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  write(entry) {
+    entry.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmpPath = path.join(this.dir, `.${entry.hash}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2));
+    fs.renameSync(tmpPath, this.pathFor(entry.hash));
+  }
+
+  /**
+   * Journal of a torrent's current completion, without changing anything
+   * @param {string} hash Torrent hash
+   * @param {number|null} completedAt Completion time qBittorrent reports, null if unknown
+   * @returns {Object|null} The journal, or null if there is none or it belongs to an earlier completion
+   */
+  current(hash, completedAt) {
+    const existing = this.read(hash);
+    if (existing && (completedAt === null || existing.completedAt === null || existing.completedAt === completedAt)) {
+      return existing;
+    }
+    return null;
+  }
+
+  /**
+   * Open the journal for a run, starting a new one if there is none or it belongs to an earlier completion
+   * @param {Object} torrent { hash, name }
+   * @param {number|null} completedAt Completion time qBittorrent reports, null if unknown
+   * @returns {Object} { entry, restarted } - restarted is true if an older journal was discarded
+   */
+  begin(torrent, completedAt) {
+    const existing = this.current(torrent.hash, completedAt);
+    if (existing) {
+      if (existing.completedAt === null && completedAt !== null) {
+        existing.completedAt = completedAt;
+        this.write(existing);
+      }
+      return { entry: existing, restarted: false };
+    }
+
+    // Any journal still there belongs to an earlier completion
+    const restarted = this.read(torrent.hash) !== null;
+    const entry = {
+      hash: torrent.hash,
+      name: torrent.name,
+      completedAt,
+      startedAt: new Date().toISOString(),
+      steps: {}
+    };
+    this.write(entry);
+    return { entry, restarted };
+  }
+
+  /**
+   * Journal of a torrent to add to, started if there is none
+   * @param {string} hash Torrent hash
+   * @returns {Object} Journal
+   */
+  readOrStart(hash) {
+    return this.read(hash) || { hash, completedAt: null, startedAt: new Date().toISOString(), steps: {} };
+  }
+
+  /**
+   * Record a finished step
+   * @param {string} hash Torrent hash
+   * @param {string} step One of STEPS
+   * @param {Object} details Data later steps or reruns need
+   */
+  complete(hash, step, details = {}) {
+    const entry = this.readOrStart(hash);
+    entry.steps[step] = Object.assign({ at: new Date().toISOString() }, details);
+    this.write(entry);
+  }
+
+  /**
+   * Record one object of an upload as uploaded and verified, before the whole upload step has finished
+   * @param {string} hash Torrent hash
+   * @param {string} key Object key
+   * @param {Object} details { source, size, expectedEtag, contentMd5 } plus whatever a rerun needs to reuse the object
+   */
+  completeObject(hash, key, details) {
+    const entry = this.readOrStart(hash);
+    entry.objects = Object.assign(entry.objects || {}, { [key]: Object.assign({ at: new Date().toISOString() }, details) });
+    this.write(entry);
+  }
+
+  /**
+   * An object recorded by completeObject
+   * @param {string} hash Torrent hash
+   * @param {string} key Object key
+   * @returns {Object|null} Object details, or null if the object was not recorded
+   */
+  object(hash, key) {
+    const entry = this.read(hash);
+    return (entry && entry.objects && entry.objects[key]) || null;
+  }
+
+  /**
+   * A finished step of a torrent
+   * @param {string} hash Torrent hash
+   * @param {string} step One of STEPS
+   * @returns {Object|null} Step details, or null if the step has not finished
+   */
+  step(hash, step) {
+    const entry = this.read(hash);
+    return (entry && entry.steps[step]) || null;
+  }
+
+  /**
+   * Remove journals that have not been touched for the retention time
+   * @returns {number} Number of journals removed
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+    if (!fs.existsSync(this.dir)) return removed;
+
+    fs.readdirSync(this.dir).filter((name) => name.endsWith('.json')).forEach((name) => {
+      const hash = name.slice(0, -5);
+      const entry = this.read(hash);
+      if (!entry || new Date(entry.updatedAt).getTime() >= cutoff || fs.existsSync(this.lockPathFor(hash))) return;
+      fs.rmSync(this.pathFor(hash), { force: true });
+      removed++;
+    });
+    return removed;
+  }
+}
+
+/**
+ * Fingerprint of the source files of an object: their paths, sizes and modification times.
+ * An object recorded with another fingerprint was made from files that have changed since.
+ * @param {Array<Object>} files Entries from archive-stream.listFiles
+ * @returns {string} Hex digest
+ */
+function sourceFingerprint(files) {
+  const listing = files.map((file) => `${file.relativePath}\0${file.stats.size}\0${file.stats.mtimeMs}`).join('\n');
+  return crypto.createHash('sha256').update(listing).digest('hex');
+}
+
+module.exports = {
+  STEPS,
+  sourceFingerprint,
+  LockHeldError,
+  Journal
+};
@@ -0,0 +1,223 @@
+/**
+ * uploader/logger.js
+ * Structured logging with one rotated JSON log file per torrent
+ *
+ * Every entry is one JSON line: { time, level, message, hash, torrent, jobId, step, durationMs, error, ... }.
+ * The torrent fields and the current step come from the async context the entry is logged in
+ * (see runWithContext and step), so modules that were handed a plain log(message) function still
+ * write to the right torrent's file. Entries without a hash go to uploader.log.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { classifyError } = require('./retry');
+
+const GENERAL_LOG = 'uploader';
+
+/**
+ * Base name of the log file for a torrent hash (also keeps --history arguments inside the log directory)
+ * @param {string} hash Torrent hash
+ * @returns {string} File base name
+ */
+function logNameFor(hash) {
+  return String(hash).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Plain-object form of an error for a log entry
+ * @param {Error} error Error to describe
+ * @returns {Object} { message, name, code, classification }
+ */
+function serializeError(error) {
+  return {
+    message: error.message,
+    name: error.name,
+    code: error.code || null,
+    classification: classifyError(error)
+  };
+}
+
+/**
+ * Human-readable form of an entry: "<time> - <message>", the way the uploader always printed
+ * @param {Object} entry Log entry
+ * @param {Object} options { withDate, withHash }
+ * @returns {string} Text line
+ */
+function formatEntry(entry, options = {}) {
+  const time = new Date(entry.time);
+  const stamp = options.withDate ? time.toLocaleString() : time.toLocaleTimeString();
+  const hash = options.withHash && entry.hash ? `[${entry.hash.slice(0, 8)}] ` : '';
+  const duration = entry.durationMs !== undefined ? ` (${(entry.durationMs / 1000).toFixed(1)}s)` : '';
+  return `${stamp} - ${hash}${entry.message}${duration}`;
+}
+
+class Logger {
+  /**
+   * @param {Object} options Logger options
+   * @param {string} options.dir Directory for log files
+   * @param {string} options.consoleFormat 'text' or 'json'
+   * @param {boolean} options.prefixHash Prefix console text lines with the short hash (for concurrent jobs)
+   * @param {number} options.maxBytes Size at which a log file is rotated
+   * @param {number} options.maxFiles Rotated files kept per log
+   * @param {number} options.maxAgeMs Log files not written to for this long are deleted by prune()
+   * @param {Object} options.defaults Fields added to entries logged outside any context
+   * @param {boolean} options.writeFiles Set to false to log to the console only
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.consoleFormat = options.consoleFormat || 'text';
+    this.prefixHash = !!options.prefixHash;
+    this.maxBytes = options.maxBytes;
+    this.maxFiles = options.maxFiles;
+    this.maxAgeMs = options.maxAgeMs;
+    this.defaults = options.defaults || {};
+    this.writeFiles = options.writeFiles !== false;
+    this.context = new AsyncLocalStorage();
+
+    if (this.writeFiles) fs.mkdirSync(this.dir, { recursive: true });
+    // Handed around as a plain function
+    this.log = this.log.bind(this);
+  }
+
+  /**
+   * Run a function with extra fields on every entry logged inside it, including from async work it starts
+   * @param {Object} fields e.g. { hash, torrent, jobId }
+   * @param {Function} fn Function to run
+   * @returns {*} Result of fn
+   */
+  runWithContext(fields, fn) {
+    return this.context.run(Object.assign({}, this.context.getStore(), fields), fn);
+  }
+
+  /**
+   * Run one named step of the pipeline, logging its duration and, on failure, the error
+   * @param {string} name Step name, e.g. 'detect', 'upload', 'verify'
+   * @param {Function} fn async () => result
+   * @returns {Promise<*>} Result of fn
+   */
+  step(name, fn) {
+    const startedAt = Date.now();
+    return this.runWithContext({ step: name }, async () => {
+      try {
+        const result = await fn();
+        this.log(`Step ${name} finished`, { durationMs: Date.now() - startedAt });
+        return result;
+      } catch (error) {
+        this.log(`Step ${name} failed: ${error.message}`, { level: 'error', durationMs: Date.now() - startedAt, error });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Log a message
+   * @param {string} message Message text
+   * @param {Object} fields Extra fields; level defaults to 'info', an Error in `error` is serialized
+   */
+  log(message, fields = {}) {
+    const entry = Object.assign(
+      { time: new Date().toISOString(), level: 'info', message },
+      this.context.getStore() || this.defaults,
+      fields
+    );
+    if (entry.error instanceof Error) entry.error = serializeError(entry.error);
+
+    console.log(this.consoleFormat === 'json'
+      ? JSON.stringify(entry)
+      : formatEntry(entry, { withHash: this.prefixHash }));
+    if (this.writeFiles) this.writeFile(entry);
+  }
+
+  filePathFor(name, index = 0) {
+    return path.join(this.dir, index > 0 ? `${name}.${index}.log` : `${name}.log`);
+  }
+
+  /**
+   * Append an entry to its log file, rotating the file first if it is full
+   * @param {Object} entry Log entry
+   */
+  writeFile(entry) {
+    const name = entry.hash ? logNameFor(entry.hash) : GENERAL_LOG;
+    const filePath = this.filePathFor(name);
+    const line = JSON.stringify(entry) + '\n';
+
+    try {
+      // Stat on every write: the completion hook and the daemon may write to the same file
+      const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+      if (size > 0 && size + Buffer.byteLength(line) > this.maxBytes) this.rotate(name);
+      fs.appendFileSync(filePath, line);
+    } catch (error) {
+      // Logging must never break an upload
+      console.error(`Could not write log file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shift <name>.log to <name>.1.log, <name>.1.log to <name>.2.log and so on, dropping the oldest
+   * @param {string} name Log base name
+   */
+  rotate(name) {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = this.filePathFor(name, i);
+      if (fs.existsSync(from)) fs.renameSync(from, this.filePathFor(name, i + 1));
+    }
+    fs.renameSync(this.filePathFor(name), this.filePathFor(name, 1));
+  }
+
+  /**
+   * Delete log files that have not been written to for maxAgeMs
+   * @returns {number} Number of deleted files
+   */
+  prune() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    let deleted = 0;
+
+    fs.readdirSync(this.dir).forEach((fileName) => {
+      if (!fileName.endsWith('.log')) return;
+      const filePath = path.join(this.dir, fileName);
+      try {
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+          deleted++;
+        }
+      } catch (error) {
+        // Removed by another process meanwhile
+      }
+    });
+    return deleted;
+  }
+
+  /**
+   * Every entry logged for a torrent, oldest first, across rotated files
+   * @param {string} hash Torrent hash
+   * @returns {Array<Object>} Log entries
+   */
+  history(hash) {
+    const name = logNameFor(hash);
+    const pattern = new RegExp(`^${name}(?:\\.(\\d+))?\\.log$`);
+    const files = fs.readdirSync(this.dir)
+      .map((fileName) => ({ fileName, match: fileName.match(pattern) }))
+      .filter((file) => file.match)
+      // Higher rotation numbers are older; the current file (no number) is the newest
+      .sort((a, b) => Number(b.match[1] || 0) - Number(a.match[1] || 0));
+
+    const entries = [];
+    files.forEach((file) => {
+      fs.readFileSync(path.join(this.dir, file.fileName), 'utf8').split('\n').forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // A line cut short by a crash
+        }
+      });
+    });
+    return entries;
+  }
+}
+
+module.exports = {
+  Logger,
+  formatEntry
+};
@@ -0,0 +1,85 @@
+/**
+ * uploader/manifest.js
+ * SHA-256 checksums and the JSON manifest uploaded next to each object
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { listFiles } = require('./archive-stream');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_SUFFIX = '.manifest.json';
+
+/**
+ * SHA-256 and MD5 of a file in one streamed pass, so large files are not loaded into memory.
+ * The MD5 is what S3-compatible servers may report as the object's ETag.
+ * @param {string} filePath File to hash
+ * @returns {Promise<Object>} { sha256, md5 } hex digests
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const sha256 = crypto.createHash('sha256');
+    const md5 = crypto.createHash('md5');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => {
+        sha256.update(chunk);
+        md5.update(chunk);
+      })
+      .on('end', () => resolve({ sha256: sha256.digest('hex'), md5: md5.digest('hex') }))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Hash every regular file under a directory
+ * @param {string} directoryPath Directory to scan
+ * @param {Array<Object>} files Entries from listFiles to hash (defaults to the whole directory)
+ * @returns {Promise<Array<Object>>} [{ path, size, sha256 }] sorted by path
+ */
+async function hashDirectory(directoryPath, files = null) {
+  files = files || await listFiles(directoryPath);
+  const result = [];
+  for (const file of files) {
+    result.push({ path: file.relativePath, size: file.stats.size, sha256: (await hashFile(file.absolutePath)).sha256 });
+  }
+  return result;
+}
+
+/**
+ * Build the manifest describing an uploaded object and the files it contains
+ * @param {Object} options Manifest contents
+ * @param {Object} options.torrent { name, hash }
+ * @param {Object} options.object { key, size, sha256, etag, type } - type is 'file', 'archive', or
+ *   'files' when every file was uploaded as its own object (key is then the folder prefix)
+ * @param {Array<Object>} options.files [{ path, size, sha256 }] of the original content; in the
+ *   files layout each entry also has the key and etag of its object, so the manifest is the index
+ * @param {Array<Object>} options.excluded [{ path, size, reason }] of files left out: deselected or unfinished
+ *   in qBittorrent, not part of the torrent, or excluded by the filter rules
+ * @returns {Object} Manifest
+ */
+function buildManifest(options) {
+  return {
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    torrent: { name: options.torrent.name, hash: options.torrent.hash },
+    object: options.object,
+    files: options.files,
+    excluded: options.excluded || []
+  };
+}
+
+/**
+ * Key the manifest for an object is stored under
+ * @param {string} key Object key
+ * @returns {string} Manifest key
+ */
+function manifestKeyFor(key) {
+  return key + MANIFEST_SUFFIX;
+}
+
+module.exports = {
+  hashFile,
+  hashDirectory,
+  buildManifest,
+  manifestKeyFor
+};
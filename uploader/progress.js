@@ -0,0 +1,162 @@
+/**
+ * uploader/progress.js
+ * Throttled progress reporting for packaging and upload phases
+ */
+
+// Tag prefixes per phase; the web UI parses "<prefix> <percent>%"
+const PHASE_TAGS = {
+  packaging: 'Zipping',
+  uploading: 'Uploading'
+};
+
+// Speed is averaged over this window so that one slow part does not make the ETA jump around
+const SPEED_WINDOW_MS = 15000;
+
+/**
+ * Format a duration in seconds as "1h 02m", "3m 05s" or "12s"
+ * @param {number} seconds Duration
+ * @returns {string} Human-readable duration
+ */
+function formatDuration(seconds) {
+  if (seconds === null || !isFinite(seconds)) return 'unknown';
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const rest = s % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+  if (m > 0) return `${m}m ${String(rest).padStart(2, '0')}s`;
+  return `${rest}s`;
+}
+
+/**
+ * Format a byte count as B/KB/MB/GB
+ * @param {number} bytes Byte count
+ * @returns {string} Human-readable size
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return bytes + ' bytes';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(2) + ' KB';
+  if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+  return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+}
+
+class ProgressReporter {
+  /**
+   * @param {Object} options Reporter options
+   * @param {string} options.hash Torrent hash
+   * @param {string} options.phase 'packaging' or 'uploading'
+   * @param {number} options.totalBytes Bytes expected for the phase (0 if unknown)
+   * @param {Function} options.setTag async (hash, tag) => boolean
+   * @param {Object} options.backend Backend client with reportProgress()
+   * @param {number} options.tagIntervalMs Minimum time between tag updates
+   * @param {number} options.recordIntervalMs Minimum time between backend progress records
+   * @param {Function} options.log Logger function
+   */
+  constructor(options) {
+    this.hash = options.hash;
+    this.phase = options.phase;
+    this.totalBytes = options.totalBytes || 0;
+    this.setTag = options.setTag;
+    this.backend = options.backend;
+    this.tagIntervalMs = options.tagIntervalMs;
+    this.recordIntervalMs = options.recordIntervalMs;
+    this.log = options.log || (() => {});
+
+    this.bytesDone = 0;
+    this.samples = [];
+    this.lastTagAt = 0;
+    this.lastTagPercent = -1;
+    this.lastRecordAt = 0;
+    this.lastLoggedPercent = -1;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Current progress record
+   * @returns {Object} { phase, percent, bytesDone, bytesTotal, speed, eta, updatedAt }
+   */
+  snapshot() {
+    const now = Date.now();
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    const elapsed = first && last ? (last.at - first.at) / 1000 : 0;
+    const speed = elapsed > 0 ? Math.round((last.bytes - first.bytes) / elapsed) : 0;
+    const percent = this.totalBytes > 0
+      ? Math.min(100, Math.floor((this.bytesDone / this.totalBytes) * 100))
+      : 0;
+    const eta = speed > 0 && this.totalBytes > 0
+      ? Math.round((this.totalBytes - this.bytesDone) / speed)
+      : null;
+
+    return {
+      phase: this.phase,
+      percent,
+      bytesDone: this.bytesDone,
+      bytesTotal: this.totalBytes,
+      speed,
+      eta,
+      updatedAt: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Record progress. Tags and backend records are only sent when their interval has passed.
+   * @param {number} bytesDone Bytes completed so far in this phase
+   */
+  update(bytesDone) {
+    const now = Date.now();
+    this.bytesDone = bytesDone;
+    this.samples.push({ at: now, bytes: bytesDone });
+    while (this.samples.length > 2 && now - this.samples[0].at > SPEED_WINDOW_MS) {
+      this.samples.shift();
+    }
+
+    const record = this.snapshot();
+
+    if (record.percent >= this.lastLoggedPercent + 10) {
+      this.lastLoggedPercent = record.percent;
+      this.log(`${this.phase === 'packaging' ? 'Packaging' : 'Upload'} progress: ${record.percent}% ` +
+        `(${formatSize(record.bytesDone)} of ${formatSize(record.bytesTotal)}, ` +
+        `${formatSize(record.speed)}/s, ETA ${formatDuration(record.eta)})`);
+    }
+
+    // Updates are chained so that a slow qBittorrent or backend never sees overlapping requests
+    if (now - this.lastTagAt >= this.tagIntervalMs && record.percent !== this.lastTagPercent) {
+      this.lastTagAt = now;
+      this.lastTagPercent = record.percent;
+      const tag = `${PHASE_TAGS[this.phase]} ${record.percent}%`;
+      this.pending = this.pending.then(() => this.setTag(this.hash, tag));
+    }
+
+    if (now - this.lastRecordAt >= this.recordIntervalMs) {
+      this.lastRecordAt = now;
+      this.pending = this.pending.then(() => this.backend.reportProgress(this.hash, record));
+    }
+  }
+
+  /**
+   * Send a final 100% record and wait for outstanding updates
+   * @returns {Promise<void>}
+   */
+  async finish() {
+    this.bytesDone = this.totalBytes || this.bytesDone;
+    const record = Object.assign(this.snapshot(), { percent: 100, eta: 0 });
+    this.pending = this.pending.then(() => this.backend.reportProgress(this.hash, record));
+    await this.settle();
+  }
+
+  /**
+   * Wait for outstanding tag and backend updates, so a late progress tag cannot
+   * overwrite the final Ready/Upload Failed tag
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await this.pending;
+  }
+}
+
+module.exports = {
+  ProgressReporter,
+  formatSize,
+  formatDuration
+};
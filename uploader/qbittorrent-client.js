@@ -0,0 +1,252 @@
+/**
+ * uploader/qbittorrent-client.js
+ * qBittorrent Web API client shared by everything the uploader asks qBittorrent
+ *
+ * The client logs in once and sends the SID cookie with every request. A 403 means the session
+ * expired or qBittorrent restarted: the client logs in again and repeats the request once.
+ * Requests made while a login is running wait for it instead of logging in themselves.
+ *
+ * Web API 2.11 (qBittorrent 5.0) renamed torrents/pause and torrents/resume to torrents/stop and
+ * torrents/start. The version is read from /app/webapiVersion after login and picks the endpoint.
+ */
+
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+const { PermanentError, TransientError } = require('./retry');
+
+/**
+ * Compare dotted version strings
+ * @param {string} a Version, e.g. "2.11.2"
+ * @param {string} b Version
+ * @returns {number} Negative if a is older, 0 if equal, positive if newer
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Create a qBittorrent client
+ * @param {Object} options Client options
+ * @param {string} options.url Web API base URL, ending in /api/v2
+ * @param {string} options.username Web UI user
+ * @param {string} options.password Web UI password
+ * @param {string} options.caFile PEM file with the CA certificate(s) to trust for HTTPS, if not a public CA
+ * @param {boolean} options.rejectUnauthorized Whether to refuse HTTPS certificates that do not verify (default true)
+ * @param {number} options.timeoutMs Request timeout
+ * @param {Function} options.log Logger function
+ * @returns {Object} qBittorrent client
+ */
+function createQbittorrentClient(options) {
+  const log = options.log || (() => {});
+  const httpsAgent = options.caFile || options.rejectUnauthorized === false
+    ? new https.Agent({
+      ca: options.caFile ? fs.readFileSync(options.caFile) : undefined,
+      rejectUnauthorized: options.rejectUnauthorized !== false
+    })
+    : undefined;
+  const http = axios.create({
+    baseURL: options.url,
+    timeout: options.timeoutMs || 30000,
+    httpsAgent
+  });
+
+  let cookie = null;
+  let apiVersion = null;
+  let loginPromise = null;
+
+  /**
+   * Log in and read the Web API version. Only one login runs at a time.
+   * @returns {Promise<string>} SID cookie
+   * @throws {PermanentError} If qBittorrent refuses the credentials or has banned this address
+   */
+  function login() {
+    if (!loginPromise) {
+      loginPromise = (async () => {
+        const params = new URLSearchParams();
+        params.append('username', options.username);
+        params.append('password', options.password);
+
+        let response;
+        try {
+          response = await http.post('/auth/login', params);
+        } catch (error) {
+          if (error.response && error.response.status === 403) {
+            throw new PermanentError('qBittorrent refused the login: too many failed attempts from this address', error);
+          }
+          throw error;
+        }
+        if (response.data !== 'Ok.') {
+          throw new PermanentError(`qBittorrent refused the login: ${response.data}`);
+        }
+
+        const setCookie = response.headers['set-cookie'] || [];
+        const sid = setCookie.map((value) => value.split(';')[0]).find((value) => value.startsWith('SID='));
+        // Without a cookie qBittorrent trusts this address (local or whitelisted clients bypass auth)
+        cookie = sid || '';
+
+        try {
+          const versionResponse = await http.get('/app/webapiVersion', { headers: cookie ? { Cookie: cookie } : {} });
+          apiVersion = String(versionResponse.data).trim();
+        } catch (error) {
+          log(`Warning: Could not read the qBittorrent Web API version, assuming the current one: ${error.message}`);
+          apiVersion = null;
+        }
+        log(`Logged into qBittorrent${apiVersion ? ` (Web API ${apiVersion})` : ''}`);
+        return cookie;
+      })().finally(() => {
+        loginPromise = null;
+      });
+    }
+    return loginPromise;
+  }
+
+  /**
+   * Send a request with the session cookie, logging in first if needed and again once if the session expired
+   * @param {string} method 'get' or 'post'
+   * @param {string} path Endpoint, e.g. '/torrents/info'
+   * @param {Object} fields { params, form } - query parameters, and form fields for posts
+   * @returns {Promise<*>} Response data
+   */
+  async function request(method, path, fields = {}) {
+    for (let attempt = 1; ; attempt++) {
+      if (cookie === null) await login();
+      const sentCookie = cookie;
+      try {
+        const response = await http.request({
+          method,
+          url: path,
+          params: fields.params,
+          data: fields.form ? new URLSearchParams(fields.form) : undefined,
+          headers: sentCookie ? { Cookie: sentCookie } : {}
+        });
+        return response.data;
+      } catch (error) {
+        if (error.response && error.response.status === 403 && attempt === 1) {
+          log('qBittorrent session expired, logging in again');
+          // Requests that failed with the same cookie all wait for one new login
+          if (cookie === sentCookie) cookie = null;
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Whether the Web API is at least a version; an unknown version counts as current
+   * @param {string} version Version, e.g. "2.11"
+   * @returns {Promise<boolean>}
+   */
+  async function supports(version) {
+    if (cookie === null) await login();
+    return apiVersion === null || compareVersions(apiVersion, version) >= 0;
+  }
+
+  return {
+    login,
+    request,
+
+    /**
+     * Web API version qBittorrent reports
+     * @returns {Promise<string|null>} Version, e.g. "2.11.2", or null if unknown
+     */
+    async apiVersion() {
+      if (cookie === null) await login();
+      return apiVersion;
+    },
+
+    /**
+     * Details of one torrent
+     * @param {string} hash Torrent hash
+     * @returns {Promise<Object|null>} Entry of /torrents/info: { hash, name, size, progress, category, tags,
+     *   save_path, content_path, completion_on, state, ... }, or null if qBittorrent does not know the torrent
+     */
+    async torrentInfo(hash) {
+      const data = await request('get', '/torrents/info', { params: { hashes: hash } });
+      if (!Array.isArray(data)) throw new TransientError('qBittorrent returned an unexpected torrent list');
+      return data[0] || null;
+    },
+
+    /**
+     * Files of a torrent
+     * @param {string} hash Torrent hash
+     * @returns {Promise<Array<Object>>} Entries of /torrents/files: { name, size, progress, priority, ... }
+     */
+    async torrentFiles(hash) {
+      const data = await request('get', '/torrents/files', { params: { hash } });
+      if (!Array.isArray(data)) throw new TransientError('qBittorrent returned an unexpected file list');
+      return data;
+    },
+
+    /**
+     * Properties of a torrent
+     * @param {string} hash Torrent hash
+     * @returns {Promise<Object>} /torrents/properties: { save_path, content_path (newer versions), total_size, ... }
+     */
+    torrentProperties(hash) {
+      return request('get', '/torrents/properties', { params: { hash } });
+    },
+
+    /**
+     * Add tags to a torrent
+     * @param {string} hash Torrent hash
+     * @param {string|Array<string>} tags Tag or tags
+     * @returns {Promise<void>}
+     */
+    async addTags(hash, tags) {
+      await request('post', '/torrents/addTags', { form: { hashes: hash, tags: [].concat(tags).join(',') } });
+    },
+
+    /**
+     * Remove tags from a torrent
+     * @param {string} hash Torrent hash
+     * @param {string|Array<string>} tags Tag or tags; all tags when left out
+     * @returns {Promise<void>}
+     */
+    async removeTags(hash, tags) {
+      const form = { hashes: hash };
+      if (tags !== undefined) form.tags = [].concat(tags).join(',');
+      await request('post', '/torrents/removeTags', { form });
+    },
+
+    /**
+     * Stop (pause, before Web API 2.11) a torrent
+     * @param {string} hash Torrent hash
+     * @returns {Promise<void>}
+     */
+    async stopTorrent(hash) {
+      await request('post', await supports('2.11') ? '/torrents/stop' : '/torrents/pause', { form: { hashes: hash } });
+    },
+
+    /**
+     * Start (resume, before Web API 2.11) a torrent
+     * @param {string} hash Torrent hash
+     * @returns {Promise<void>}
+     */
+    async startTorrent(hash) {
+      await request('post', await supports('2.11') ? '/torrents/start' : '/torrents/resume', { form: { hashes: hash } });
+    },
+
+    /**
+     * Remove a torrent from qBittorrent
+     * @param {string} hash Torrent hash
+     * @param {boolean} deleteFiles Whether qBittorrent deletes the downloaded data too
+     * @returns {Promise<void>}
+     */
+    async deleteTorrent(hash, deleteFiles) {
+      await request('post', '/torrents/delete', { form: { hashes: hash, deleteFiles: deleteFiles ? 'true' : 'false' } });
+    }
+  };
+}
+
+module.exports = {
+  compareVersions,
+  createQbittorrentClient
+};
@@ -0,0 +1,215 @@
+/**
+ * uploader/quarantine.js
+ * Sandboxed deletion: uploaded content is moved to a quarantine directory instead of being removed,
+ * and only purged once it has been there for the retention period
+ *
+ * Every quarantined path gets its own entry directory:
+ *   <dir>/<id>/entry.json   where it came from, when, and for which torrent
+ *   <dir>/<id>/data/<name>  the file or directory itself
+ * so a bad detection can be undone by moving the data back (see restore). The record keeps the torrent's
+ * save path and content roots, and a restore only writes where the torrent could have deleted from.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ENTRY_FILE = 'entry.json';
+// <timestamp>-<random>, see add
+const ENTRY_ID = /^\d{14}-[0-9a-f]{8}$/;
+
+/**
+ * Canonical form of a path: symlinks resolved where the path exists, so links cannot leave a sandbox
+ * @param {string} targetPath Path to resolve
+ * @returns {string} Absolute path
+ */
+function canonicalPath(targetPath) {
+  const resolved = path.resolve(targetPath);
+  try {
+    return fs.realpathSync(resolved);
+  } catch (error) {
+    return resolved;
+  }
+}
+
+/**
+ * Whether a path lies strictly inside a directory (the directory itself does not count)
+ * @param {string} targetPath Path to check
+ * @param {string} rootPath Directory
+ * @returns {boolean} True if inside
+ */
+function isStrictlyInside(targetPath, rootPath) {
+  const relativePath = path.relative(canonicalPath(rootPath), canonicalPath(targetPath));
+  return relativePath !== '' && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Check that a path may be deleted for a torrent: it must be strictly inside the torrent's save path,
+ * and be one of the torrent's own top-level entries, something inside one, or an archive built next to one
+ * @param {string} targetPath Path to delete
+ * @param {string} savePath Save path of the torrent
+ * @param {Array<string>} contentRoots Top-level entries of the torrent (<save path>/<first path component>)
+ * @returns {string|null} Why the path may not be deleted, or null if it may
+ */
+function checkDeletable(targetPath, savePath, contentRoots) {
+  if (!savePath) return 'the save path of the torrent is unknown';
+  if (!isStrictlyInside(targetPath, savePath)) return `it is not strictly inside the save path ${savePath}`;
+
+  const target = canonicalPath(targetPath);
+  const owned = contentRoots.some((root) => {
+    const canonicalRoot = canonicalPath(root);
+    return target === canonicalRoot || target === `${canonicalRoot}.zip` || isStrictlyInside(target, canonicalRoot);
+  });
+  return owned ? null : 'it is not part of the torrent\'s content';
+}
+
+/**
+ * Move a file or directory, copying it when the target is on another filesystem
+ * @param {string} from Source path
+ * @param {string} to Target path (must not exist)
+ */
+function movePath(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.cpSync(from, to, { recursive: true, preserveTimestamps: true });
+    fs.rmSync(from, { recursive: true, force: true });
+  }
+}
+
+class Quarantine {
+  /**
+   * @param {Object} options Quarantine options
+   * @param {string} options.dir Quarantine directory
+   * @param {number} options.retentionMs How long quarantined content is kept before purge() deletes it
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.retentionMs = options.retentionMs;
+  }
+
+  /**
+   * Directory of an entry
+   * @param {string} id Entry id
+   * @returns {string} Path inside the quarantine directory
+   * @throws {Error} If the id is not an entry id; ids come from the command line for restore
+   */
+  entryDir(id) {
+    if (!ENTRY_ID.test(String(id))) throw new Error(`${id} is not a quarantine entry id`);
+    return path.join(this.dir, id);
+  }
+
+  /**
+   * Move a path into the quarantine
+   * @param {string} targetPath File or directory to quarantine
+   * @param {Object} details Recorded with the entry: { hash, torrent, savePath, contentRoots }, the last two
+   *   as passed to checkDeletable
+   * @returns {Object} Entry { id, originalPath, quarantinedAt, purgeAfter, ... }
+   */
+  add(targetPath, details = {}) {
+    // Timestamp first so that sorting ids gives the order things were quarantined in
+    const id = `${Date.now().toString().padStart(14, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+    const entryDir = this.entryDir(id);
+    const now = Date.now();
+    const entry = Object.assign({
+      id,
+      originalPath: path.resolve(targetPath),
+      name: path.basename(targetPath),
+      quarantinedAt: new Date(now).toISOString(),
+      purgeAfter: new Date(now + this.retentionMs).toISOString()
+    }, details);
+
+    fs.mkdirSync(path.join(entryDir, 'data'), { recursive: true });
+    try {
+      movePath(targetPath, path.join(entryDir, 'data', entry.name));
+    } catch (error) {
+      fs.rmSync(entryDir, { recursive: true, force: true });
+      throw error;
+    }
+    fs.writeFileSync(path.join(entryDir, ENTRY_FILE), JSON.stringify(entry, null, 2));
+    return entry;
+  }
+
+  /**
+   * Read an entry, or null if it does not exist or its record is unreadable
+   * @param {string} id Entry id
+   * @returns {Object|null} Entry
+   */
+  read(id) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.entryDir(id), ENTRY_FILE), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Quarantined entries, oldest first
+   * @returns {Array<Object>} Entries
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter((id) => ENTRY_ID.test(id)).sort().map((id) => this.read(id)).filter(Boolean);
+  }
+
+  /**
+   * Move a quarantined path back to where it was deleted from
+   * @param {string} id Entry id
+   * @returns {Object} The restored entry
+   * @throws {Error} If the entry does not exist, its original path is not one the torrent could have
+   *   deleted from, or it is in use again
+   */
+  restore(id) {
+    const entryDir = this.entryDir(id);
+    const entry = this.read(id);
+    if (!entry) throw new Error(`No quarantine entry with id ${id}`);
+
+    // The record is plain JSON on disk, so check it as strictly as the delete was checked
+    const refusal = entry.name !== path.basename(entry.originalPath)
+      ? 'its name does not match its original path'
+      : checkDeletable(entry.originalPath, entry.savePath, entry.contentRoots || []);
+    if (refusal) throw new Error(`Not restoring to ${entry.originalPath}: ${refusal}`);
+    if (fs.existsSync(entry.originalPath)) {
+      throw new Error(`${entry.originalPath} exists again, not overwriting it`);
+    }
+
+    fs.mkdirSync(path.dirname(entry.originalPath), { recursive: true });
+    movePath(path.join(entryDir, 'data', entry.name), entry.originalPath);
+    fs.rmSync(entryDir, { recursive: true, force: true });
+    return entry;
+  }
+
+  /**
+   * Delete entries that have been in the quarantine for longer than the retention period
+   * @returns {number} Number of purged entries
+   */
+  purge() {
+    if (!fs.existsSync(this.dir)) return 0;
+    const cutoff = Date.now() - this.retentionMs;
+    let purged = 0;
+
+    // Anything else in the directory is not ours to delete
+    fs.readdirSync(this.dir).filter((id) => ENTRY_ID.test(id)).forEach((id) => {
+      const entry = this.read(id);
+      const entryDir = this.entryDir(id);
+      try {
+        // An entry without a record was interrupted while moving in; go by the directory's age
+        const quarantinedAt = entry ? Date.parse(entry.quarantinedAt) : fs.statSync(entryDir).mtimeMs;
+        if (quarantinedAt < cutoff) {
+          fs.rmSync(entryDir, { recursive: true, force: true });
+          purged++;
+        }
+      } catch (error) {
+        // Restored or purged by another process meanwhile
+      }
+    });
+    return purged;
+  }
+}
+
+module.exports = {
+  Quarantine,
+  isStrictlyInside,
+  checkDeletable
+};
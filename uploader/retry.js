@@ -0,0 +1,161 @@
+/**
+ * uploader/retry.js
+ * Failure classification and exponential backoff for uploader jobs
+ */
+
+/**
+ * A failure that is expected to go away on its own (network, 5xx, timeouts)
+ */
+class TransientError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'TransientError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * A failure that retrying will not fix (missing files, bad credentials, bad input)
+ */
+class PermanentError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'PermanentError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Not a failure: the job cannot run yet (outside its upload window) and runs again at `until`
+ * without using up an attempt
+ */
+class DeferredError extends Error {
+  /**
+   * @param {string} message Why the job waits
+   * @param {Date} until When the job can run
+   */
+  constructor(message, until) {
+    super(message);
+    this.name = 'DeferredError';
+    this.until = until;
+  }
+}
+
+// Socket and DNS errors worth another try
+const TRANSIENT_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ENOTFOUND', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+
+// Local filesystem errors that will fail the same way next time
+const PERMANENT_CODES = ['ENOENT', 'EACCES', 'EPERM', 'EISDIR', 'ENOTDIR', 'EROFS'];
+
+// S3 error names, for responses that carry no useful status code
+const TRANSIENT_S3_ERRORS = ['SlowDown', 'RequestTimeout', 'RequestTimeTooSkewed', 'InternalError', 'ServiceUnavailable', 'Throttling'];
+const PERMANENT_S3_ERRORS = ['AccessDenied', 'InvalidAccessKeyId', 'SignatureDoesNotMatch', 'NoSuchBucket', 'InvalidBucketName', 'EntityTooLarge'];
+
+/**
+ * HTTP status of an axios or AWS SDK error, if any
+ * @param {Error} error Error to inspect
+ * @returns {number|null} Status code
+ */
+function httpStatusOf(error) {
+  if (error.response && error.response.status) return error.response.status;
+  if (error.$metadata && error.$metadata.httpStatusCode) return error.$metadata.httpStatusCode;
+  return null;
+}
+
+/**
+ * Decide whether a failure is worth retrying
+ * @param {Error} error Error to classify
+ * @returns {string} 'transient' or 'permanent'
+ */
+function classifyError(error) {
+  if (!error) return 'transient';
+  if (error instanceof PermanentError) return 'permanent';
+  if (error instanceof TransientError) return 'transient';
+
+  if (TRANSIENT_CODES.includes(error.code)) return 'transient';
+  if (PERMANENT_CODES.includes(error.code)) return 'permanent';
+  if (TRANSIENT_S3_ERRORS.includes(error.name)) return 'transient';
+  if (PERMANENT_S3_ERRORS.includes(error.name)) return 'permanent';
+
+  const status = httpStatusOf(error);
+  if (status) {
+    if (status >= 500 || status === 408 || status === 429) return 'transient';
+    if (status >= 400) return 'permanent';
+  }
+
+  // Unknown failures get retried; the attempt limit stops them eventually
+  return 'transient';
+}
+
+/**
+ * Delay before the next attempt: exponential growth capped at maxDelayMs,
+ * with "equal jitter" so that jobs failing together do not retry together.
+ * @param {number} attempt Number of failed attempts so far (1 for the first failure)
+ * @param {Object} policy { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Plain-object form of an error, for storing with a job
+ * @param {Error} error Error to describe
+ * @param {number} attempt Attempt that failed
+ * @returns {Object} { message, name, code, status, classification, attempt, at }
+ */
+function describeError(error, attempt) {
+  return {
+    message: error.message,
+    name: error.name,
+    code: error.code || null,
+    status: httpStatusOf(error),
+    classification: classifyError(error),
+    attempt,
+    at: new Date().toISOString()
+  };
+}
+
+/**
+ * Run a function, retrying transient failures with backoff. A DeferredError is passed on at once:
+ * the caller queues the job for later rather than holding the process until it can run.
+ * @param {Function} fn async (attempt) => result
+ * @param {Object} policy { maxAttempts, baseDelayMs, maxDelayMs }
+ * @param {Function} log Logger function, called with (message, fields)
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} The last error, with `attempts` set to the number of attempts made, or a DeferredError
+ */
+async function withRetries(fn, policy, log = () => {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (error instanceof DeferredError) throw error;
+
+      const classification = classifyError(error);
+      if (classification === 'permanent' || attempt >= policy.maxAttempts) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, policy);
+      log(`Attempt ${attempt}/${policy.maxAttempts} failed (${classification}): ${error.message}. Retrying in ${Math.round(delay / 1000)}s`,
+        { level: 'warn', attempt, error });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  TransientError,
+  PermanentError,
+  DeferredError,
+  classifyError,
+  backoffDelay,
+  describeError,
+  withRetries
+};
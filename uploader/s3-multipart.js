@@ -0,0 +1,720 @@
+/**
+ * uploader/s3-multipart.js
+ * Native S3 multipart uploads with resumable state for the qBittorrent uploader
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+  S3Client,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  ListPartsCommand,
+  ListMultipartUploadsCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// S3 limits: parts must be at least 5 MB (except the last one) and at most 10,000 per upload
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+// Signature V4 pre-signed URLs are valid for at most 7 days
+const MAX_LINK_LIFETIME = 7 * 24 * 60 * 60;
+
+/**
+ * Create an S3 client for any S3-compatible endpoint (Hetzner, MinIO, AWS)
+ * @param {Object} options Connection options
+ * @param {string} options.endpoint Endpoint URL
+ * @param {string} options.region Region name
+ * @param {string} options.accessKeyId Access key
+ * @param {string} options.secretAccessKey Secret key
+ * @param {boolean} options.forcePathStyle Use path-style addressing (required for MinIO)
+ * @returns {S3Client} Configured client
+ */
+function createS3Client(options) {
+  return new S3Client({
+    endpoint: options.endpoint,
+    region: options.region || 'us-east-1',
+    forcePathStyle: options.forcePathStyle !== false,
+    // Otherwise throttled (streamed) bodies are sent with aws-chunked checksum trailers,
+    // which not every S3-compatible server understands
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    credentials: {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey
+    }
+  });
+}
+
+/**
+ * Pick a part size that respects the configured size and the S3 part count limit
+ * @param {number} fileSize Total size in bytes
+ * @param {number} preferredPartSize Configured part size in bytes
+ * @returns {number} Part size in bytes
+ */
+function choosePartSize(fileSize, preferredPartSize) {
+  let partSize = Math.max(preferredPartSize, MIN_PART_SIZE);
+  while (Math.ceil(fileSize / partSize) > MAX_PARTS) {
+    partSize *= 2;
+  }
+  return partSize;
+}
+
+function md5(buffer) {
+  return crypto.createHash('md5').update(buffer).digest();
+}
+
+/**
+ * Request body for data that is already in memory: the buffer itself, or a stream that
+ * releases it no faster than the throttle allows. The SDK does not retry streamed bodies,
+ * so a failed throttled part fails the upload, which resumes from its last part.
+ * @param {Buffer} buffer Data to send
+ * @param {Throttle} throttle Optional bandwidth limit (see throttle.js)
+ * @returns {Buffer|Readable} Body
+ */
+function pacedBody(buffer, throttle) {
+  if (!throttle || !throttle.limited) return buffer;
+  return Readable.from([buffer]).pipe(throttle.stream());
+}
+
+function normalizeEtag(etag) {
+  return String(etag || '').replace(/"/g, '').toLowerCase();
+}
+
+/**
+ * The ETag S3 assigns to an object: the MD5 of the content for a single PUT, or the MD5
+ * of the concatenated part MD5s followed by "-<part count>" for a multipart upload.
+ * @param {Array<Buffer>} partDigests MD5 digest of every part, in order
+ * @param {boolean} multipart Whether the object was uploaded in parts
+ * @returns {string} Expected ETag without quotes
+ */
+function expectedEtagFor(partDigests, multipart) {
+  if (!multipart) return partDigests[0].toString('hex');
+  return `${md5(Buffer.concat(partDigests)).toString('hex')}-${partDigests.length}`;
+}
+
+/**
+ * Path of the resume state file for a bucket/key pair
+ * @param {string} stateDir Directory holding resume state files
+ * @param {string} bucket Bucket name
+ * @param {string} key Object key
+ * @returns {string} State file path
+ */
+function statePathFor(stateDir, bucket, key) {
+  const id = crypto.createHash('sha1').update(`${bucket}/${key}`).digest('hex');
+  return path.join(stateDir, `${id}.json`);
+}
+
+function readState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeState(statePath, state) {
+  // Write to a temporary file first so a crash never leaves a truncated state file
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const tmpPath = `${statePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, statePath);
+}
+
+function removeState(statePath) {
+  try {
+    fs.unlinkSync(statePath);
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * List the parts S3 already holds for an upload
+ * @param {S3Client} client S3 client
+ * @param {string} bucket Bucket name
+ * @param {string} key Object key
+ * @param {string} uploadId Multipart upload id
+ * @returns {Promise<Array<Object>>} Parts with PartNumber, ETag and Size
+ */
+async function listUploadedParts(client, bucket, key, uploadId) {
+  const parts = [];
+  let marker;
+
+  do {
+    const response = await client.send(new ListPartsCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumberMarker: marker
+    }));
+
+    (response.Parts || []).forEach((part) => {
+      parts.push({ PartNumber: part.PartNumber, ETag: part.ETag, Size: part.Size });
+    });
+
+    marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+  } while (marker);
+
+  return parts;
+}
+
+/**
+ * Read one part of a file into memory
+ * @param {fs.promises.FileHandle} handle Open file handle
+ * @param {number} start Offset in bytes
+ * @param {number} length Number of bytes to read
+ * @returns {Promise<Buffer>} Part contents
+ */
+async function readPart(handle, start, length) {
+  const buffer = Buffer.alloc(length);
+  let offset = 0;
+  while (offset < length) {
+    const { bytesRead } = await handle.read(buffer, offset, length - offset, start + offset);
+    if (bytesRead === 0) {
+      throw new Error(`Unexpected end of file at byte ${start + offset}`);
+    }
+    offset += bytesRead;
+  }
+  return buffer;
+}
+
+/**
+ * Upload a local file to S3, using a multipart upload for anything larger than one part.
+ * Progress of multipart uploads is persisted in stateDir, so calling this again after
+ * a crash continues the interrupted upload instead of starting over.
+ *
+ * @param {S3Client} client S3 client
+ * @param {Object} options Upload options
+ * @param {string} options.bucket Bucket name
+ * @param {string} options.key Object key
+ * @param {string} options.filePath Local file to upload
+ * @param {number} options.partSize Preferred part size in bytes
+ * @param {number} options.concurrency Number of parts uploaded in parallel
+ * @param {string} options.stateDir Directory for resume state files
+ * @param {Function} options.onProgress Called with { uploadedBytes, totalBytes }
+ * @param {Throttle} options.throttle Optional bandwidth limit, waited on before each part while its upload window is closed
+ * @param {Function} options.log Logger function
+ * @returns {Promise<Object>} { bucket, key, size, etag, expectedEtag, resumed }
+ */
+async function uploadFile(client, options) {
+  const { bucket, key, filePath, stateDir, throttle } = options;
+  const log = options.log || (() => {});
+  const onProgress = options.onProgress || (() => {});
+  const concurrency = Math.max(1, options.concurrency || 1);
+
+  const stats = fs.statSync(filePath);
+  const totalBytes = stats.size;
+  const partSize = choosePartSize(totalBytes, options.partSize || MIN_PART_SIZE);
+
+  // Small files go up in a single request
+  if (totalBytes <= partSize) {
+    const body = fs.readFileSync(filePath);
+    const response = await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: pacedBody(body, throttle),
+      ContentLength: totalBytes
+    }));
+    onProgress({ uploadedBytes: totalBytes, totalBytes });
+    return {
+      bucket,
+      key,
+      size: totalBytes,
+      etag: response.ETag,
+      expectedEtag: expectedEtagFor([md5(body)], false),
+      resumed: false
+    };
+  }
+
+  const statePath = statePathFor(stateDir, bucket, key);
+  const partCount = Math.ceil(totalBytes / partSize);
+  let state = readState(statePath);
+  let completedParts = [];
+  let resumed = false;
+
+  // Only resume if the file on disk is still the one we started uploading
+  if (state) {
+    const sameSource = state.filePath === filePath &&
+      state.size === totalBytes &&
+      state.mtimeMs === stats.mtimeMs &&
+      state.partSize === partSize;
+
+    if (sameSource) {
+      try {
+        completedParts = await listUploadedParts(client, bucket, key, state.uploadId);
+      } catch (error) {
+        if (error.name === 'NoSuchUpload') {
+          log(`Previous upload ${state.uploadId} no longer exists, starting over`);
+          state = null;
+        } else {
+          // Some S3-compatible servers do not implement ListParts; trust our own record
+          log(`Could not list uploaded parts (${error.message}), using recorded parts`);
+          completedParts = state.parts || [];
+        }
+      }
+
+      if (state) {
+        resumed = true;
+        log(`Resuming multipart upload ${state.uploadId}: ${completedParts.length}/${partCount} parts already uploaded`);
+      }
+    } else {
+      log('Source file changed since the interrupted upload, aborting it and starting over');
+      await abortUpload(client, bucket, key, state.uploadId, log);
+      state = null;
+    }
+
+    if (!state) removeState(statePath);
+  }
+
+  if (!state) {
+    const created = await client.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: key }));
+    state = {
+      bucket,
+      key,
+      uploadId: created.UploadId,
+      filePath,
+      size: totalBytes,
+      mtimeMs: stats.mtimeMs,
+      partSize,
+      parts: [],
+      createdAt: new Date().toISOString()
+    };
+    writeState(statePath, state);
+    log(`Started multipart upload ${state.uploadId} (${partCount} parts of ${partSize} bytes)`);
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  const done = new Map();
+  const digests = new Map();
+
+  try {
+    // Parts uploaded earlier only count if their size and MD5 match the local file
+    for (const part of completedParts) {
+      const start = (part.PartNumber - 1) * partSize;
+      const length = Math.min(partSize, totalBytes - start);
+      if (part.Size !== length) continue;
+
+      const digest = md5(await readPart(handle, start, length));
+      if (digest.toString('hex') === normalizeEtag(part.ETag)) {
+        done.set(part.PartNumber, part.ETag);
+        digests.set(part.PartNumber, digest);
+      } else {
+        log(`Part ${part.PartNumber} does not match the local file and will be uploaded again`);
+      }
+    }
+    state.parts = completedParts.filter((part) => done.has(part.PartNumber));
+
+    let uploadedBytes = 0;
+    done.forEach((etag, partNumber) => {
+      uploadedBytes += Math.min(partSize, totalBytes - (partNumber - 1) * partSize);
+    });
+    onProgress({ uploadedBytes, totalBytes });
+
+    const pending = [];
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      if (!done.has(partNumber)) pending.push(partNumber);
+    }
+
+    // After the first failure the other workers finish their current part and stop
+    let failed = false;
+    const worker = async () => {
+      while (pending.length > 0 && !failed) {
+        const partNumber = pending.shift();
+        if (throttle) await throttle.waitForWindow(log);
+        const start = (partNumber - 1) * partSize;
+        const length = Math.min(partSize, totalBytes - start);
+        const body = await readPart(handle, start, length);
+
+        const response = await client.send(new UploadPartCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: state.uploadId,
+          PartNumber: partNumber,
+          Body: pacedBody(body, throttle),
+          ContentLength: length
+        }));
+
+        done.set(partNumber, response.ETag);
+        digests.set(partNumber, md5(body));
+        state.parts.push({ PartNumber: partNumber, ETag: response.ETag, Size: length });
+        writeState(statePath, state);
+        uploadedBytes += length;
+        onProgress({ uploadedBytes, totalBytes });
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, pending.length); i++) {
+      workers.push(worker().catch((error) => {
+        failed = true;
+        throw error;
+      }));
+    }
+    // Every worker has to be done with the file before it is closed below
+    const results = await Promise.allSettled(workers);
+    const rejected = results.find((result) => result.status === 'rejected');
+    if (rejected) throw rejected.reason;
+  } finally {
+    await handle.close();
+  }
+
+  const parts = Array.from(done.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([PartNumber, ETag]) => ({ PartNumber, ETag }));
+
+  const completed = await client.send(new CompleteMultipartUploadCommand({
+    Bucket: bucket,
+    Key: key,
+    UploadId: state.uploadId,
+    MultipartUpload: { Parts: parts }
+  }));
+
+  removeState(statePath);
+  return {
+    bucket,
+    key,
+    size: totalBytes,
+    etag: completed.ETag,
+    expectedEtag: expectedEtagFor(parts.map((part) => digests.get(part.PartNumber)), true),
+    resumed
+  };
+}
+
+/**
+ * Upload a stream of unknown length to S3. The stream is cut into parts of partSize
+ * bytes, larger if sizeHint says the stream would not fit in the part count limit, and up to `concurrency` parts are in flight at once, so memory use stays at
+ * roughly partSize * (concurrency + 1). Streams cannot be resumed after a crash;
+ * on failure the multipart upload is aborted so no orphaned parts are left behind.
+ *
+ * @param {S3Client} client S3 client
+ * @param {Object} options Upload options
+ * @param {string} options.bucket Bucket name
+ * @param {string} options.key Object key
+ * @param {Readable} options.stream Source stream
+ * @param {number} options.sizeHint Optional upper bound of the stream's size in bytes
+ * @param {number} options.partSize Preferred part size in bytes
+ * @param {number} options.concurrency Number of parts uploaded in parallel
+ * @param {Function} options.onProgress Called with { uploadedBytes }
+ * @param {Throttle} options.throttle Optional bandwidth limit, waited on before each part while its upload window is closed
+ * @param {Function} options.log Logger function
+ * @returns {Promise<Object>} { bucket, key, size, etag, expectedEtag, contentMd5, sha256 }
+ */
+async function uploadStream(client, options) {
+  const { bucket, key, stream, throttle } = options;
+  const log = options.log || (() => {});
+  const onProgress = options.onProgress || (() => {});
+  const partSize = choosePartSize(options.sizeHint || 0, options.partSize || MIN_PART_SIZE);
+  const concurrency = Math.max(1, options.concurrency || 1);
+
+  let uploadId = null;
+  let partNumber = 0;
+  let size = 0;
+  let uploadedBytes = 0;
+  let failure = null;
+  const parts = [];
+  const digests = new Map();
+  const inFlight = new Set();
+  const sha256 = crypto.createHash('sha256');
+  const contentMd5 = crypto.createHash('md5');
+
+  const sendPart = async (body) => {
+    if (!uploadId) {
+      const created = await client.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: key }));
+      uploadId = created.UploadId;
+      log(`Started streaming multipart upload ${uploadId}`);
+    }
+
+    partNumber++;
+    if (partNumber > MAX_PARTS) {
+      throw new Error(`Stream exceeds ${MAX_PARTS} parts of ${partSize} bytes, increase the part size`);
+    }
+
+    // Keep the number of parts held in memory bounded
+    while (inFlight.size >= concurrency) {
+      await Promise.race(inFlight);
+    }
+    if (failure) throw failure;
+    if (throttle) await throttle.waitForWindow(log);
+
+    const currentPart = partNumber;
+    digests.set(currentPart, md5(body));
+    const task = client.send(new UploadPartCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: currentPart,
+      Body: pacedBody(body, throttle),
+      ContentLength: body.length
+    })).then((response) => {
+      parts.push({ PartNumber: currentPart, ETag: response.ETag });
+      uploadedBytes += body.length;
+      onProgress({ uploadedBytes });
+    }).catch((error) => {
+      failure = failure || error;
+    }).finally(() => {
+      inFlight.delete(task);
+    });
+    inFlight.add(task);
+  };
+
+  try {
+    let chunks = [];
+    let buffered = 0;
+
+    for await (const chunk of stream) {
+      if (failure) throw failure;
+      chunks.push(chunk);
+      buffered += chunk.length;
+      size += chunk.length;
+      sha256.update(chunk);
+      contentMd5.update(chunk);
+
+      while (buffered >= partSize) {
+        const data = Buffer.concat(chunks, buffered);
+        const rest = data.subarray(partSize);
+        chunks = rest.length ? [rest] : [];
+        buffered = rest.length;
+        await sendPart(data.subarray(0, partSize));
+      }
+    }
+
+    // Everything fit in one part: a plain PUT is cheaper than a multipart upload
+    if (!uploadId) {
+      const body = Buffer.concat(chunks, buffered);
+      const response = await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: pacedBody(body, throttle),
+        ContentLength: body.length
+      }));
+      onProgress({ uploadedBytes: body.length });
+      return {
+        bucket,
+        key,
+        size,
+        etag: response.ETag,
+        expectedEtag: expectedEtagFor([md5(body)], false),
+        contentMd5: contentMd5.digest('hex'),
+        sha256: sha256.digest('hex')
+      };
+    }
+
+    if (buffered > 0) {
+      await sendPart(Buffer.concat(chunks, buffered));
+    }
+    await Promise.all(inFlight);
+    if (failure) throw failure;
+
+    parts.sort((a, b) => a.PartNumber - b.PartNumber);
+    const completed = await client.send(new CompleteMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: parts }
+    }));
+
+    return {
+      bucket,
+      key,
+      size,
+      etag: completed.ETag,
+      expectedEtag: expectedEtagFor(parts.map((part) => digests.get(part.PartNumber)), true),
+      contentMd5: contentMd5.digest('hex'),
+      sha256: sha256.digest('hex')
+    };
+  } catch (error) {
+    if (typeof stream.destroy === 'function') stream.destroy();
+    await Promise.all(inFlight);
+    if (uploadId) await abortUpload(client, bucket, key, uploadId, log);
+    throw error;
+  }
+}
+
+/**
+ * Upload a small in-memory object in one request
+ * @param {S3Client} client S3 client
+ * @param {Object} options { bucket, key, body, contentType }
+ * @returns {Promise<Object>} { bucket, key, size, etag }
+ */
+async function putObject(client, options) {
+  const body = Buffer.isBuffer(options.body) ? options.body : Buffer.from(options.body);
+  const response = await client.send(new PutObjectCommand({
+    Bucket: options.bucket,
+    Key: options.key,
+    Body: body,
+    ContentLength: body.length,
+    ContentType: options.contentType
+  }));
+  return { bucket: options.bucket, key: options.key, size: body.length, etag: response.ETag };
+}
+
+/**
+ * Check that a stored object has the size and ETag we computed locally while uploading.
+ * Some S3-compatible servers give multipart objects the MD5 of the whole content instead
+ * of the "<md5 of part md5s>-<parts>" form, so contentMd5 is accepted as well when given.
+ * @param {S3Client} client S3 client
+ * @param {Object} options { bucket, key, size, expectedEtag, contentMd5 }
+ * @returns {Promise<Object>} { ok, problems, size, etag }
+ */
+async function verifyObject(client, options) {
+  const head = await client.send(new HeadObjectCommand({ Bucket: options.bucket, Key: options.key }));
+  const problems = [];
+  const etag = normalizeEtag(head.ETag);
+
+  if (Number(head.ContentLength) !== options.size) {
+    problems.push(`size is ${head.ContentLength}, expected ${options.size}`);
+  }
+  if (!/^[0-9a-f]{32}(-\d+)?$/.test(etag)) {
+    // Encrypted or otherwise transformed objects have ETags that are not content hashes
+    problems.push(`ETag ${head.ETag} is not an MD5 checksum and cannot be verified`);
+  } else if (etag !== normalizeEtag(options.expectedEtag) && etag !== normalizeEtag(options.contentMd5)) {
+    problems.push(`ETag is ${etag}, expected ${normalizeEtag(options.expectedEtag)}`);
+  }
+
+  return { ok: problems.length === 0, problems, size: Number(head.ContentLength), etag };
+}
+
+/**
+ * Delete an object, reporting how large it was
+ * @param {S3Client} client S3 client
+ * @param {Object} options { bucket, key }
+ * @returns {Promise<Object>} { bucket, key, size } - size is null if there was no such object
+ */
+async function deleteObject(client, options) {
+  let head;
+  try {
+    head = await client.send(new HeadObjectCommand({ Bucket: options.bucket, Key: options.key }));
+  } catch (error) {
+    const status = error.$metadata && error.$metadata.httpStatusCode;
+    if (status === 404 || error.name === 'NotFound') return { bucket: options.bucket, key: options.key, size: null };
+    throw error;
+  }
+  await client.send(new DeleteObjectCommand({ Bucket: options.bucket, Key: options.key }));
+  return { bucket: options.bucket, key: options.key, size: Number(head.ContentLength) };
+}
+
+/**
+ * Create a pre-signed GET URL that downloads an object under its own file name
+ * @param {S3Client} client S3 client (its endpoint is the host the link points at)
+ * @param {Object} options { bucket, key, expiresIn } - expiresIn in seconds, at most 7 days
+ * @returns {Promise<string>} Download URL
+ */
+async function presignDownload(client, options) {
+  const fileName = path.posix.basename(options.key);
+  const command = new GetObjectCommand({
+    Bucket: options.bucket,
+    Key: options.key,
+    // RFC 5987 encoding keeps non-ASCII torrent names intact
+    ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`
+  });
+  return getSignedUrl(client, command, { expiresIn: Math.min(options.expiresIn, MAX_LINK_LIFETIME) });
+}
+
+/**
+ * Abort a multipart upload, ignoring uploads that no longer exist
+ * @param {S3Client} client S3 client
+ * @param {string} bucket Bucket name
+ * @param {string} key Object key
+ * @param {string} uploadId Multipart upload id
+ * @param {Function} log Logger function
+ * @returns {Promise<boolean>} Whether the abort request succeeded
+ */
+async function abortUpload(client, bucket, key, uploadId, log = () => {}) {
+  try {
+    await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+    log(`Aborted multipart upload ${uploadId} for ${key}`);
+    return true;
+  } catch (error) {
+    log(`Could not abort multipart upload ${uploadId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Abort the upload tracked in a resume state file and forget it
+ * @param {S3Client} client S3 client
+ * @param {string} stateDir Directory for resume state files
+ * @param {string} bucket Bucket name
+ * @param {string} key Object key
+ * @param {Function} log Logger function
+ * @returns {Promise<boolean>} Whether there was an upload to abort
+ */
+async function discardUpload(client, stateDir, bucket, key, log = () => {}) {
+  const statePath = statePathFor(stateDir, bucket, key);
+  const state = readState(statePath);
+  if (!state) return false;
+
+  await abortUpload(client, bucket, key, state.uploadId, log);
+  removeState(statePath);
+  return true;
+}
+
+/**
+ * Abort incomplete multipart uploads under a prefix that are older than maxAgeMs.
+ * Uploads still tracked in stateDir are kept so they can be resumed.
+ *
+ * @param {S3Client} client S3 client
+ * @param {Object} options Cleanup options
+ * @param {string} options.bucket Bucket name
+ * @param {string} options.prefix Key prefix to scan
+ * @param {number} options.maxAgeMs Minimum age before an upload is aborted
+ * @param {string} options.stateDir Directory for resume state files
+ * @param {Function} options.log Logger function
+ * @returns {Promise<number>} Number of uploads aborted
+ */
+async function abortStaleUploads(client, options) {
+  const { bucket, prefix, maxAgeMs, stateDir } = options;
+  const log = options.log || (() => {});
+  const now = Date.now();
+  let aborted = 0;
+  let keyMarker;
+  let uploadIdMarker;
+
+  do {
+    const response = await client.send(new ListMultipartUploadsCommand({
+      Bucket: bucket,
+      Prefix: prefix,
+      KeyMarker: keyMarker,
+      UploadIdMarker: uploadIdMarker
+    }));
+
+    for (const upload of response.Uploads || []) {
+      const age = now - new Date(upload.Initiated).getTime();
+      if (age < maxAgeMs) continue;
+
+      const state = readState(statePathFor(stateDir, bucket, upload.Key));
+      if (state && state.uploadId === upload.UploadId) continue;
+
+      if (await abortUpload(client, bucket, upload.Key, upload.UploadId, log)) {
+        aborted++;
+      }
+    }
+
+    keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+    uploadIdMarker = response.IsTruncated ? response.NextUploadIdMarker : undefined;
+  } while (keyMarker);
+
+  return aborted;
+}
+
+module.exports = {
+  createS3Client,
+  uploadFile,
+  uploadStream,
+  putObject,
+  verifyObject,
+  deleteObject,
+  presignDownload,
+  abortUpload,
+  discardUpload,
+  abortStaleUploads
+};
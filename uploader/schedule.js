@@ -0,0 +1,59 @@
+/**
+ * uploader/schedule.js
+ * Daily upload windows such as "01:00-07:00", in the local time of the uploader host
+ *
+ * A window whose end is earlier than its start runs past midnight ("22:00-06:00").
+ */
+
+const WINDOW_PATTERN = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+
+/**
+ * Parse a window
+ * @param {string} window "HH:MM-HH:MM"
+ * @returns {Object} { start, end } in minutes after midnight
+ * @throws {Error} If the window is malformed or empty
+ */
+function parseWindow(window) {
+  const match = WINDOW_PATTERN.exec(String(window).trim());
+  if (!match) throw new Error(`Upload window must look like 01:00-07:00: ${window}`);
+
+  const [startHours, startMinutes, endHours, endMinutes] = match.slice(1).map(Number);
+  if (startHours > 23 || endHours > 23 || startMinutes > 59 || endMinutes > 59) {
+    throw new Error(`Upload window has an invalid time: ${window}`);
+  }
+
+  const start = startHours * 60 + startMinutes;
+  const end = endHours * 60 + endMinutes;
+  if (start === end) throw new Error(`Upload window is empty: ${window}`);
+  return { start, end };
+}
+
+/**
+ * Time until one of the windows is open
+ * @param {Array<string>} windows Windows, "HH:MM-HH:MM"
+ * @param {Date} now Current time
+ * @returns {number} Milliseconds, 0 if a window is open now or there are no windows
+ */
+function msUntilOpen(windows, now = new Date()) {
+  if (!windows || windows.length === 0) return 0;
+
+  const minute = now.getHours() * 60 + now.getMinutes();
+  let wait = null;
+
+  for (const { start, end } of windows.map(parseWindow)) {
+    const open = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+    if (open) return 0;
+
+    // Set the clock time rather than adding minutes, so daylight saving changes are accounted for
+    const opening = new Date(now.getTime());
+    opening.setHours(Math.floor(start / 60), start % 60, 0, 0);
+    if (opening <= now) opening.setDate(opening.getDate() + 1);
+    if (wait === null || opening - now < wait) wait = opening - now;
+  }
+  return wait;
+}
+
+module.exports = {
+  parseWindow,
+  msUntilOpen
+};
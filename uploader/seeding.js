@@ -0,0 +1,170 @@
+/**
+ * uploader/seeding.js
+ * Seeding policies: how long a torrent keeps seeding after its upload before it is stopped and
+ * removed together with its local data
+ *
+ * A policy is { ratio, hours }: the torrent seeds until its share ratio reaches `ratio` or it has seeded
+ * for `hours` since the upload finished, whichever comes first. 0 means no limit of that kind; a policy
+ * without either limit means the torrent is not kept seeding (stopTorrentAfterUpload decides instead).
+ *
+ * Torrents seeding under a policy are tracked in <dir>/<hash>.json:
+ *   { hash, name, category, savePath, policy, startedAt, filePath, sourceDir, ratio, checkedAt }
+ * filePath and sourceDir are the torrent's content, deleted once seeding ends. While it seeds the torrent
+ * carries a "Seeding (ratio 0.4)" tag next to Ready.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SEEDING_TAG = /^Seeding \(ratio \d+\.\d\)$/;
+
+/**
+ * Whether a policy keeps a torrent seeding at all
+ * @param {Object} policy { ratio, hours }
+ * @returns {boolean}
+ */
+function hasLimit(policy) {
+  return !!policy && (policy.ratio > 0 || policy.hours > 0);
+}
+
+/**
+ * Short description of a policy, e.g. "ratio 1 or 48 hours, whichever comes first"
+ * @param {Object} policy { ratio, hours }
+ * @returns {string} Description
+ */
+function describePolicy(policy) {
+  const limits = [];
+  if (policy.ratio > 0) limits.push(`ratio ${policy.ratio}`);
+  if (policy.hours > 0) limits.push(`${policy.hours} hours`);
+  return limits.length > 1 ? `${limits.join(' or ')}, whichever comes first` : limits.join('');
+}
+
+/**
+ * Tag showing a seeding torrent's ratio. The ratio is rounded down to one decimal, so the tag never
+ * shows the target before it is reached and only changes every 0.1.
+ * @param {number} ratio Share ratio qBittorrent reports
+ * @returns {string} Tag, e.g. "Seeding (ratio 0.4)"
+ */
+function seedingTag(ratio) {
+  return `Seeding (ratio ${(Math.floor(Math.max(0, ratio || 0) * 10) / 10).toFixed(1)})`;
+}
+
+/**
+ * Whether a tag is a seeding tag from seedingTag
+ * @param {string} tag Tag
+ * @returns {boolean}
+ */
+function isSeedingTag(tag) {
+  return SEEDING_TAG.test(tag);
+}
+
+/**
+ * Check a seeding torrent against its policy
+ * @param {Object} policy { ratio, hours }
+ * @param {number} ratio Share ratio qBittorrent reports
+ * @param {string} startedAt When seeding under the policy started (ISO time)
+ * @param {number} now Current time in ms
+ * @returns {Object} { done, reason } - reason says which limit was reached, null while seeding goes on
+ */
+function evaluatePolicy(policy, ratio, startedAt, now = Date.now()) {
+  const hours = (now - new Date(startedAt).getTime()) / HOUR_MS;
+  if (policy.ratio > 0 && ratio >= policy.ratio) {
+    return { done: true, reason: `ratio ${ratio.toFixed(2)} reached the limit of ${policy.ratio}` };
+  }
+  if (policy.hours > 0 && hours >= policy.hours) {
+    return { done: true, reason: `seeded for ${hours.toFixed(1)} hours, the limit is ${policy.hours}` };
+  }
+  return { done: false, reason: null };
+}
+
+class SeedingTracker {
+  /**
+   * @param {Object} options Tracker options
+   * @param {string} options.dir Directory for the tracked torrents
+   */
+  constructor(options) {
+    this.dir = options.dir;
+  }
+
+  pathFor(hash) {
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Tracked torrent
+   * @param {string} hash Torrent hash
+   * @returns {Object|null} Entry, or null if the torrent is not seeding under a policy
+   */
+  read(hash) {
+    try {
+      return JSON.parse(fs.readFileSync(this.pathFor(hash), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  write(entry) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmpPath = path.join(this.dir, `.${entry.hash}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2));
+    fs.renameSync(tmpPath, this.pathFor(entry.hash));
+  }
+
+  /**
+   * Start tracking a torrent. Tracking it again (a rerun of the same completion) keeps the start time.
+   * @param {Object} fields { hash, name, category, savePath, policy, filePath, sourceDir }
+   * @returns {Object} Entry
+   */
+  add(fields) {
+    const existing = this.read(fields.hash);
+    const entry = Object.assign({ startedAt: new Date().toISOString(), ratio: null, checkedAt: null },
+      existing, fields);
+    this.write(entry);
+    return entry;
+  }
+
+  /**
+   * Update a tracked torrent
+   * @param {string} hash Torrent hash
+   * @param {Object} fields Fields to change
+   * @returns {Object|null} Entry, or null if the torrent is not tracked
+   */
+  update(hash, fields) {
+    const entry = this.read(hash);
+    if (!entry) return null;
+    Object.assign(entry, fields);
+    this.write(entry);
+    return entry;
+  }
+
+  /**
+   * Stop tracking a torrent
+   * @param {string} hash Torrent hash
+   */
+  remove(hash) {
+    fs.rmSync(this.pathFor(hash), { force: true });
+  }
+
+  /**
+   * Every tracked torrent, longest seeding first
+   * @returns {Array<Object>} Entries
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => this.read(name.slice(0, -5)))
+      .filter(Boolean)
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+}
+
+module.exports = {
+  hasLimit,
+  describePolicy,
+  seedingTag,
+  isSeedingTag,
+  evaluatePolicy,
+  SeedingTracker
+};
@@ -0,0 +1,112 @@
+/**
+ * uploader/storage-local.js
+ * Local directory storage backend (see storage.js), e.g. for staging setups
+ *
+ * Objects are written to <dir>/<key> through a ".partial" file that is renamed into place,
+ * so a half-written object is never visible under its real name.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { pipeline } = require('stream/promises');
+const { keySegments, urlFor, createMeter } = require('./storage');
+
+/**
+ * MD5 of a file, read back from disk
+ * @param {string} filePath File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function md5OfFile(filePath) {
+  const md5 = crypto.createHash('md5');
+  await pipeline(fs.createReadStream(filePath), md5);
+  return md5.digest('hex');
+}
+
+/**
+ * @param {Object} definition { dir, baseUrl }
+ * @param {Object} options { name }
+ * @returns {Object} Storage backend
+ */
+function createBackend(definition, options) {
+  const root = path.resolve(definition.dir);
+  const pathFor = (key) => path.join(root, ...keySegments(key));
+
+  const write = async (key, source, onProgress, throttle) => {
+    const target = pathFor(key);
+    const partial = `${target}.partial`;
+    const meter = createMeter(onProgress, throttle);
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await pipeline(source, meter, fs.createWriteStream(partial));
+      await fs.promises.rename(partial, target);
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+    return meter.result();
+  };
+
+  return {
+    type: 'local',
+    name: options.name,
+    signedLinks: false,
+
+    describe(key) {
+      return pathFor(key);
+    },
+
+    async uploadFile({ key, filePath, onProgress, throttle }) {
+      const written = await write(key, fs.createReadStream(filePath), onProgress, throttle);
+      return { key, size: written.size, etag: null, expectedEtag: null, resumed: false };
+    },
+
+    async uploadStream({ key, stream, onProgress, throttle }) {
+      const written = await write(key, stream, onProgress, throttle);
+      return { key, size: written.size, etag: null, expectedEtag: null, contentMd5: written.md5, sha256: written.sha256 };
+    },
+
+    async putObject({ key, body }) {
+      const written = await write(key, [Buffer.isBuffer(body) ? body : Buffer.from(body)]);
+      return { key, size: written.size };
+    },
+
+    async verifyObject({ key, size, contentMd5 }) {
+      const target = pathFor(key);
+      const stats = await fs.promises.stat(target);
+      const problems = [];
+
+      if (stats.size !== size) problems.push(`size is ${stats.size}, expected ${size}`);
+      // Reading the copy back is cheap on a local disk and catches anything the size check misses
+      if (contentMd5 && problems.length === 0) {
+        const md5 = await md5OfFile(target);
+        if (md5 !== contentMd5) problems.push(`MD5 is ${md5}, expected ${contentMd5}`);
+      }
+
+      return { ok: problems.length === 0, problems, size: stats.size, etag: null };
+    },
+
+    async deleteObject({ key }) {
+      const target = pathFor(key);
+      let stats;
+      try {
+        stats = await fs.promises.stat(target);
+      } catch (error) {
+        if (error.code === 'ENOENT') return { key, size: null };
+        throw error;
+      }
+      await fs.promises.rm(target, { force: true });
+      return { key, size: stats.size };
+    },
+
+    async downloadLink({ key }) {
+      return definition.baseUrl ? urlFor(definition.baseUrl, key) : pathToFileURL(pathFor(key)).href;
+    }
+  };
+}
+
+module.exports = {
+  createBackend
+};
@@ -0,0 +1,67 @@
+/**
+ * uploader/storage-s3.js
+ * S3-compatible storage backend (see storage.js), built on s3-multipart
+ */
+
+const s3 = require('./s3-multipart');
+
+/**
+ * @param {Object} definition { endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, linkEndpoint }
+ * @param {Object} options { name, bucket, partSize, concurrency, stateDir }
+ * @returns {Object} Storage backend
+ */
+function createBackend(definition, options) {
+  const { bucket, partSize, concurrency, stateDir } = options;
+  const clientFor = (endpoint) => s3.createS3Client({
+    endpoint,
+    region: definition.region,
+    accessKeyId: definition.accessKeyId,
+    secretAccessKey: definition.secretAccessKey,
+    forcePathStyle: definition.forcePathStyle
+  });
+  const client = clientFor(definition.endpoint);
+  // Download links are signed for the address users reach the object store at
+  const linkClient = definition.linkEndpoint ? clientFor(definition.linkEndpoint) : client;
+
+  return {
+    type: 's3',
+    name: options.name,
+    signedLinks: true,
+
+    describe(key) {
+      return `${bucket}/${key}`;
+    },
+
+    uploadFile({ key, filePath, onProgress, throttle, log }) {
+      return s3.uploadFile(client, { bucket, key, filePath, partSize, concurrency, stateDir, onProgress, throttle, log });
+    },
+
+    uploadStream({ key, stream, sizeHint, onProgress, throttle, log }) {
+      return s3.uploadStream(client, { bucket, key, stream, sizeHint, partSize, concurrency, onProgress, throttle, log });
+    },
+
+    putObject({ key, body, contentType }) {
+      return s3.putObject(client, { bucket, key, body, contentType });
+    },
+
+    verifyObject({ key, size, expectedEtag, contentMd5 }) {
+      return s3.verifyObject(client, { bucket, key, size, expectedEtag, contentMd5 });
+    },
+
+    deleteObject({ key }) {
+      return s3.deleteObject(client, { bucket, key });
+    },
+
+    downloadLink({ key, expiresIn }) {
+      return s3.presignDownload(linkClient, { bucket, key, expiresIn });
+    },
+
+    cleanupStale({ prefix, maxAgeMs, log }) {
+      return s3.abortStaleUploads(client, { bucket, prefix, maxAgeMs, stateDir, log });
+    }
+  };
+}
+
+module.exports = {
+  createBackend
+};
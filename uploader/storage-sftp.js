@@ -0,0 +1,151 @@
+/**
+ * uploader/storage-sftp.js
+ * SFTP storage backend (see storage.js), for customers that receive content on their own server
+ *
+ * One connection per storage is opened on first use and shared; it is reopened by the next
+ * operation after it drops. Objects are written to <dir>/<key>.partial and renamed into place.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const SftpClient = require('ssh2-sftp-client');
+const { TransientError, PermanentError } = require('./retry');
+const { keySegments, urlFor, createMeter, pipeForConsumer } = require('./storage');
+
+// SFTP status codes (no such file, permission denied, unsupported operation) and
+// ssh2-sftp-client error codes that will fail the same way on the next attempt
+const PERMANENT_CODES = [2, 3, 8, 'ERR_BAD_AUTH', 'ERR_BAD_PATH', 'EACCES', 'ENOENT', 'ENOTDIR'];
+
+/**
+ * Turn an SFTP failure into an error retry.classifyError sorts correctly
+ * @param {Error} error Error from ssh2-sftp-client
+ * @returns {Error} PermanentError, TransientError, or the error itself for socket errors
+ */
+function classifySftpError(error) {
+  if (error instanceof TransientError || error instanceof PermanentError) return error;
+  if (PERMANENT_CODES.includes(error.code) || /authentication/i.test(error.message)) {
+    return new PermanentError(`SFTP ${error.message}`, error);
+  }
+  // Socket errors carry codes that classifyError already knows
+  if (typeof error.code === 'string' && error.code.startsWith('E')) return error;
+  return new TransientError(`SFTP ${error.message}`, error);
+}
+
+/**
+ * @param {Object} definition { host, port, username, password, privateKeyPath, dir, baseUrl }
+ * @param {Object} options { name }
+ * @returns {Object} Storage backend
+ */
+function createBackend(definition, options) {
+  const root = definition.dir || '.';
+  const remotePathFor = (key) => path.posix.join(root, ...keySegments(key));
+  // sftp:// URLs have absolute paths; "~/" marks a path relative to the login directory
+  const uriPathFor = (key) => {
+    const remotePath = remotePathFor(key).split('/').map(encodeURIComponent).join('/');
+    return remotePath.startsWith('/') ? remotePath : `/~/${remotePath}`;
+  };
+  let connection = null;
+
+  const connect = () => {
+    if (!connection) {
+      const client = new SftpClient(options.name);
+      connection = client.connect({
+        host: definition.host,
+        port: definition.port,
+        username: definition.username,
+        password: definition.password,
+        privateKey: definition.privateKeyPath ? fs.readFileSync(definition.privateKeyPath) : undefined,
+        readyTimeout: 30000
+      }).then(() => client);
+      connection.catch(() => {
+        connection = null;
+      });
+    }
+    return connection;
+  };
+
+  // Run an operation on the shared connection, dropping the connection if it failed
+  const run = async (operation) => {
+    let client;
+    try {
+      client = await connect();
+      return await operation(client);
+    } catch (error) {
+      // Numeric codes are SFTP statuses for this one operation; anything else may mean the connection is gone
+      if (client && typeof error.code !== 'number') {
+        connection = null;
+        client.end().catch(() => {});
+      }
+      throw classifySftpError(error);
+    }
+  };
+
+  const write = (key, source, onProgress, throttle) => run(async (client) => {
+    const target = remotePathFor(key);
+    const partial = `${target}.partial`;
+    const meter = createMeter(onProgress, throttle);
+
+    await client.mkdir(path.posix.dirname(target), true);
+    const { stream, done } = pipeForConsumer(source, meter);
+    await Promise.all([client.put(stream, partial), done]);
+    // SFTP rename does not replace an existing file
+    if (await client.exists(target)) await client.delete(target);
+    await client.rename(partial, target);
+    return meter.result();
+  });
+
+  return {
+    type: 'sftp',
+    name: options.name,
+    signedLinks: false,
+
+    describe(key) {
+      return `sftp://${definition.host}:${definition.port}${uriPathFor(key)}`;
+    },
+
+    async uploadFile({ key, filePath, onProgress, throttle }) {
+      const written = await write(key, fs.createReadStream(filePath), onProgress, throttle);
+      return { key, size: written.size, etag: null, expectedEtag: null, resumed: false };
+    },
+
+    async uploadStream({ key, stream, onProgress, throttle }) {
+      const written = await write(key, stream, onProgress, throttle);
+      return { key, size: written.size, etag: null, expectedEtag: null, contentMd5: written.md5, sha256: written.sha256 };
+    },
+
+    async putObject({ key, body }) {
+      const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+      await run(async (client) => {
+        await client.mkdir(path.posix.dirname(remotePathFor(key)), true);
+        await client.put(buffer, remotePathFor(key));
+      });
+      return { key, size: buffer.length };
+    },
+
+    // SFTP servers cannot hash files for us, so only the size is checked
+    async verifyObject({ key, size }) {
+      const stats = await run((client) => client.stat(remotePathFor(key)));
+      const problems = stats.size === size ? [] : [`size is ${stats.size}, expected ${size}`];
+      return { ok: problems.length === 0, problems, size: stats.size, etag: null };
+    },
+
+    async deleteObject({ key }) {
+      return run(async (client) => {
+        const target = remotePathFor(key);
+        if (!await client.exists(target)) return { key, size: null };
+        const stats = await client.stat(target);
+        await client.delete(target);
+        return { key, size: stats.size };
+      });
+    },
+
+    async downloadLink({ key }) {
+      if (definition.baseUrl) return urlFor(definition.baseUrl, key);
+      return `sftp://${encodeURIComponent(definition.username)}@${definition.host}:${definition.port}${uriPathFor(key)}`;
+    }
+  };
+}
+
+module.exports = {
+  createBackend
+};
@@ -0,0 +1,119 @@
+/**
+ * uploader/storage-webdav.js
+ * WebDAV storage backend (see storage.js), for customers that receive content on their own server
+ *
+ * Objects are PUT to <key>.partial and MOVEd into place. Streams of unknown length are sent with
+ * chunked transfer encoding, which some servers (nginx's dav module among them) do not accept.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { keySegments, urlFor, createMeter, pipeForConsumer } = require('./storage');
+
+/**
+ * @param {Object} definition { url, username, password, baseUrl }
+ * @param {Object} options { name }
+ * @returns {Object} Storage backend
+ */
+function createBackend(definition, options) {
+  const http = axios.create({
+    auth: definition.username ? { username: definition.username, password: definition.password || '' } : undefined,
+    // Uploads may take hours; other requests keep the usual timeout
+    timeout: 0,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity
+  });
+  const objectUrl = (key) => urlFor(definition.url, key);
+  const collections = new Set();
+
+  // Create the collections (directories) above a key, one level at a time
+  const ensureCollections = async (key) => {
+    const segments = keySegments(key).slice(0, -1);
+    for (let i = 1; i <= segments.length; i++) {
+      const collection = segments.slice(0, i).join('/');
+      if (collections.has(collection)) continue;
+      try {
+        await http.request({ method: 'MKCOL', url: `${urlFor(definition.url, collection)}/`, timeout: 30000 });
+      } catch (error) {
+        // 405: the collection exists already
+        if (!error.response || error.response.status !== 405) throw error;
+      }
+      collections.add(collection);
+    }
+  };
+
+  const write = async (key, source, length, onProgress, throttle) => {
+    const target = objectUrl(key);
+    const meter = createMeter(onProgress, throttle);
+
+    await ensureCollections(key);
+    const { stream, done } = pipeForConsumer(source, meter);
+    await Promise.all([http.put(`${target}.partial`, stream, {
+      headers: Object.assign({ 'Content-Type': 'application/octet-stream' },
+        length !== null ? { 'Content-Length': length } : {})
+    }), done]);
+    await http.request({
+      method: 'MOVE',
+      url: `${target}.partial`,
+      headers: { Destination: target, Overwrite: 'T' },
+      timeout: 30000
+    });
+    return meter.result();
+  };
+
+  return {
+    type: 'webdav',
+    name: options.name,
+    signedLinks: false,
+
+    describe(key) {
+      return objectUrl(key);
+    },
+
+    async uploadFile({ key, filePath, onProgress, throttle }) {
+      const written = await write(key, fs.createReadStream(filePath), fs.statSync(filePath).size, onProgress, throttle);
+      return { key, size: written.size, etag: null, expectedEtag: null, resumed: false };
+    },
+
+    async uploadStream({ key, stream, onProgress, throttle }) {
+      const written = await write(key, stream, null, onProgress, throttle);
+      return { key, size: written.size, etag: null, expectedEtag: null, contentMd5: written.md5, sha256: written.sha256 };
+    },
+
+    async putObject({ key, body, contentType }) {
+      const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+      await ensureCollections(key);
+      await http.put(objectUrl(key), buffer, { headers: { 'Content-Type': contentType }, timeout: 30000 });
+      return { key, size: buffer.length };
+    },
+
+    // WebDAV has no standard content hash, so only the size is checked
+    async verifyObject({ key, size }) {
+      const response = await http.head(objectUrl(key), { timeout: 30000 });
+      const storedSize = Number(response.headers['content-length']);
+      const problems = storedSize === size ? [] : [`size is ${storedSize}, expected ${size}`];
+      return { ok: problems.length === 0, problems, size: storedSize, etag: null };
+    },
+
+    async deleteObject({ key }) {
+      let storedSize;
+      try {
+        const response = await http.head(objectUrl(key), { timeout: 30000 });
+        storedSize = Number(response.headers['content-length']);
+      } catch (error) {
+        if (error.response && error.response.status === 404) return { key, size: null };
+        throw error;
+      }
+      await http.delete(objectUrl(key), { timeout: 30000 });
+      return { key, size: storedSize };
+    },
+
+    async downloadLink({ key }) {
+      return definition.baseUrl ? urlFor(definition.baseUrl, key) : objectUrl(key);
+    }
+  };
+}
+
+module.exports = {
+  createBackend
+};
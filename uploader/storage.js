@@ -0,0 +1,127 @@
+/**
+ * uploader/storage.js
+ * Storage backends the uploader delivers content to, chosen per category
+ *
+ * Every backend is an object with the same methods, so the upload code does not care where content goes:
+ *   describe(key)                                       location of a key, for logs
+ *   uploadFile({ key, filePath, onProgress, throttle, log })   -> { key, size, etag, expectedEtag, resumed }
+ *   uploadStream({ key, stream, sizeHint, onProgress, throttle, log }) -> { key, size, etag, expectedEtag, contentMd5, sha256 }
+ *   putObject({ key, body, contentType })               -> { key, size }
+ *   verifyObject({ key, size, expectedEtag, contentMd5 }) -> { ok, problems, size, etag }
+ *   deleteObject({ key })                               -> { key, size } (size null if there was no object)
+ *   downloadLink({ key, expiresIn })                    -> URL the object is downloaded from
+ *   cleanupStale({ prefix, maxAgeMs, log })             -> number of abandoned uploads removed (optional)
+ * onProgress is always called with { uploadedBytes }, and failures are TransientError/PermanentError or
+ * errors retry.classifyError understands, so progress and failure tags are the same for every backend.
+ * throttle is an optional bandwidth limit (see throttle.js); backends that upload in parts wait on its
+ * upload window before each part. sizeHint is an optional upper bound of a stream's size, for backends
+ * that size their parts by it. signedLinks tells whether download links expire.
+ */
+
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { PermanentError } = require('./retry');
+
+// Backend modules by type; loaded on first use, so SFTP support is only needed when it is configured
+const BACKENDS = {
+  s3: './storage-s3',
+  local: './storage-local',
+  sftp: './storage-sftp',
+  webdav: './storage-webdav'
+};
+const STORAGE_TYPES = Object.keys(BACKENDS);
+
+/**
+ * Path segments of an object key. Keys are built from torrent and category names, so segments
+ * that would leave the storage root are refused.
+ * @param {string} key Object key
+ * @returns {Array<string>} Segments
+ * @throws {PermanentError} If the key has empty, "." or ".." segments
+ */
+function keySegments(key) {
+  const segments = key.split('/');
+  if (segments.some((segment) => segment === '' || segment === '.' || segment === '..')) {
+    throw new PermanentError(`Object key cannot be stored outside the storage root: ${key}`);
+  }
+  return segments;
+}
+
+/**
+ * URL of an object below a base URL, every key segment encoded
+ * @param {string} baseUrl Base URL
+ * @param {string} key Object key
+ * @returns {string} URL
+ */
+function urlFor(baseUrl, key) {
+  return `${baseUrl.replace(/\/+$/, '')}/${keySegments(key).map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Pass-through stream that counts, hashes and reports the bytes going to a backend,
+ * no faster than the throttle allows
+ * @param {Function} onProgress Called with { uploadedBytes }
+ * @param {Throttle} throttle Optional bandwidth limit
+ * @returns {Transform} Stream with result() => { size, sha256, md5 } once it has ended
+ */
+function createMeter(onProgress = () => {}, throttle = null) {
+  const sha256 = crypto.createHash('sha256');
+  const md5 = crypto.createHash('md5');
+  let size = 0;
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      const pass = () => {
+        sha256.update(chunk);
+        md5.update(chunk);
+        size += chunk.length;
+        onProgress({ uploadedBytes: size });
+        callback(null, chunk);
+      };
+      if (throttle && throttle.limited) {
+        throttle.take(chunk.length).then(pass, callback);
+      } else {
+        pass();
+      }
+    }
+  });
+  meter.result = () => ({ size, sha256: sha256.digest('hex'), md5: md5.digest('hex') });
+  return meter;
+}
+
+/**
+ * Pipe a source through transforms for a consumer that reads the last one. A failing source only
+ * destroys the stream the consumer reads, which not every consumer reports as a failure, so await
+ * `done` together with the consumer.
+ * @param {...Stream} streams Source, then the transforms
+ * @returns {Object} { stream, done } - stream for the consumer, done rejects with the pipeline's first error
+ */
+function pipeForConsumer(...streams) {
+  let stream;
+  const done = new Promise((resolve, reject) => {
+    stream = pipeline(...streams, (error) => (error ? reject(error) : resolve()));
+  });
+  return { stream, done };
+}
+
+/**
+ * Create a storage backend
+ * @param {Object} definition Storage definition from the config: { type, ...type settings }
+ * @param {Object} options { name, bucket, partSize, concurrency, stateDir } - bucket and the rest are used by S3
+ * @returns {Object} Storage backend
+ */
+function createStorage(definition, options) {
+  if (!BACKENDS[definition.type]) {
+    throw new PermanentError(`Unknown storage type ${definition.type} (expected one of: ${STORAGE_TYPES.join(', ')})`);
+  }
+  const { createBackend } = require(BACKENDS[definition.type]);
+  return createBackend(definition, options);
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  keySegments,
+  urlFor,
+  createMeter,
+  pipeForConsumer,
+  createStorage
+};
@@ -0,0 +1,121 @@
+/**
+ * uploader/throttle.js
+ * Upload bandwidth limits: token buckets shared by the bytes they pace
+ *
+ * A job's uploads are paced by its own bucket and by the global bucket of the process, so the
+ * daemon's workers together stay under the global limit. Every bucket lets up to one second of
+ * its rate through at once; beyond that, bytes wait until the average rate allows them.
+ *
+ * A throttle can also hold a job to its upload windows. Uploads ask it before each part or file,
+ * never in the middle of a request, so nothing is left half-sent while a window is closed.
+ */
+
+const { Transform } = require('stream');
+
+// Bytes are released in slices of this size, so one large buffer does not go out as a single burst
+const SLICE_SIZE = 64 * 1024;
+const BURST_MS = 1000;
+// While the window is closed it is looked at again at least this often, so a changed clock is noticed
+const WINDOW_CHECK_MS = 60 * 1000;
+
+class TokenBucket {
+  /**
+   * @param {number} bytesPerSecond Rate limit, 0 for no limit
+   */
+  constructor(bytesPerSecond) {
+    this.bytesPerSecond = bytesPerSecond || 0;
+    // Time at which everything taken so far has been paid for at the limited rate
+    this.paidUntil = 0;
+  }
+
+  /**
+   * Wait until the rate allows sending bytes. Callers are served in the order they ask.
+   * @param {number} bytes Number of bytes about to be sent
+   * @returns {Promise<void>}
+   */
+  take(bytes) {
+    if (!this.bytesPerSecond) return Promise.resolve();
+
+    const now = Date.now();
+    this.paidUntil = Math.max(this.paidUntil, now - BURST_MS) + (bytes * 1000) / this.bytesPerSecond;
+    const wait = this.paidUntil - now;
+    return wait > 0 ? new Promise((resolve) => setTimeout(resolve, wait)) : Promise.resolve();
+  }
+}
+
+class Throttle {
+  /**
+   * @param {Array<TokenBucket>} buckets Buckets every byte has to pass
+   * @param {Object} options { msUntilOpen } - for jobs held to upload windows, returns the
+   *   milliseconds until a window is open, 0 while one is (see schedule.msUntilOpen)
+   */
+  constructor(buckets, options = {}) {
+    this.buckets = buckets.filter((bucket) => bucket.bytesPerSecond > 0);
+    this.msUntilOpen = options.msUntilOpen || null;
+    // Pause shared by every part that asks while the window is closed
+    this.pause = null;
+  }
+
+  /**
+   * Whether any of the buckets limits the rate
+   * @returns {boolean}
+   */
+  get limited() {
+    return this.buckets.length > 0;
+  }
+
+  /**
+   * Wait until every bucket allows sending bytes
+   * @param {number} bytes Number of bytes about to be sent
+   * @returns {Promise<void>}
+   */
+  async take(bytes) {
+    await Promise.all(this.buckets.map((bucket) => bucket.take(bytes)));
+  }
+
+  /**
+   * Wait while the upload window is closed. Resolves at once for jobs without windows.
+   * @param {Function} log Logger function, told when the upload pauses and continues
+   * @returns {Promise<void>}
+   */
+  waitForWindow(log = () => {}) {
+    if (this.pause) return this.pause;
+    if (!this.msUntilOpen || this.msUntilOpen() === 0) return Promise.resolve();
+
+    log(`Upload window closed, pausing until ${new Date(Date.now() + this.msUntilOpen()).toLocaleString()}`);
+    this.pause = (async () => {
+      let wait;
+      while ((wait = this.msUntilOpen()) > 0) {
+        await new Promise((resolve) => setTimeout(resolve, Math.min(wait, WINDOW_CHECK_MS)));
+      }
+      log('Upload window open, continuing');
+    })().finally(() => {
+      this.pause = null;
+    });
+    return this.pause;
+  }
+
+  /**
+   * Pass-through stream that releases bytes no faster than the buckets allow
+   * @returns {Transform} Paced stream
+   */
+  stream() {
+    const throttle = this;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        (async () => {
+          for (let offset = 0; offset < chunk.length; offset += SLICE_SIZE) {
+            const slice = chunk.subarray(offset, offset + SLICE_SIZE);
+            await throttle.take(slice.length);
+            this.push(slice);
+          }
+        })().then(() => callback(), callback);
+      }
+    });
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  Throttle
+};
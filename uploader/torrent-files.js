@@ -0,0 +1,87 @@
+/**
+ * uploader/torrent-files.js
+ * Matches the files of a directory torrent on disk with the file list qBittorrent reports
+ *
+ * Only files the user selected (priority above 0) that qBittorrent finished (progress 1) are packaged.
+ * Deselected and unfinished files, ".!qB" placeholders and files that are not part of the torrent
+ * are skipped. Selected, finished files that are missing on disk or have another size make the
+ * content untrustworthy, so they are reported as problems instead.
+ */
+
+// qBittorrent's "append .!qB extension to incomplete files" option
+const INCOMPLETE_SUFFIX = '.!qB';
+
+/**
+ * Path of a qBittorrent file entry relative to the content directory. qBittorrent names files
+ * relative to the save path, so the torrent's root folder is the first segment when there is one.
+ * @param {string} name File name from /torrents/files
+ * @param {string} rootName Name of the content directory
+ * @returns {string} Relative path
+ */
+function contentRelativePath(name, rootName) {
+  const segments = name.split('/');
+  return segments.length > 1 && segments[0] === rootName ? segments.slice(1).join('/') : name;
+}
+
+/**
+ * Pick the files of a directory torrent to package
+ * @param {Array<Object>} diskFiles Entries from archive-stream.listFiles
+ * @param {Array<Object>} torrentFiles Entries from qBittorrent's /torrents/files: { name, size, priority, progress }
+ * @param {string} rootName Name of the content directory
+ * @returns {Object} { files, skipped, extra, problems } - files are the diskFiles to package, skipped is
+ *   [{ path, size, reason }] (extra files included), extra lists paths on disk qBittorrent does not know,
+ *   problems describes selected, finished files that do not match the disk
+ */
+function selectTorrentFiles(diskFiles, torrentFiles, rootName) {
+  const expected = new Map(torrentFiles.map((file) => [contentRelativePath(file.name, rootName), file]));
+  const found = new Set();
+  const files = [];
+  const skipped = [];
+  const extra = [];
+  const problems = [];
+
+  diskFiles.forEach((file) => {
+    const placeholder = file.relativePath.endsWith(INCOMPLETE_SUFFIX);
+    const relativePath = placeholder ? file.relativePath.slice(0, -INCOMPLETE_SUFFIX.length) : file.relativePath;
+    const entry = expected.get(relativePath);
+    const skip = (reason) => skipped.push({ path: file.relativePath, size: file.stats.size, reason });
+
+    if (!entry) {
+      extra.push(file.relativePath);
+      skip(placeholder ? 'incomplete download (.!qB)' : 'not part of the torrent');
+      return;
+    }
+    if (entry.priority === 0) {
+      skip('not selected in qBittorrent');
+      return;
+    }
+    if (entry.progress < 1) {
+      skip(`incomplete in qBittorrent (${Math.floor(entry.progress * 100)}%)`);
+      return;
+    }
+    if (placeholder) {
+      // Finished, but qBittorrent has not renamed it yet
+      skip('incomplete download (.!qB)');
+      return;
+    }
+
+    found.add(relativePath);
+    if (file.stats.size !== entry.size) {
+      problems.push(`${file.relativePath} is ${file.stats.size} bytes on disk, qBittorrent reports ${entry.size}`);
+      return;
+    }
+    files.push(file);
+  });
+
+  expected.forEach((entry, relativePath) => {
+    if (entry.priority !== 0 && entry.progress >= 1 && !found.has(relativePath)) {
+      problems.push(`${relativePath} is complete in qBittorrent but missing on disk`);
+    }
+  });
+
+  return { files, skipped, extra, problems };
+}
+
+module.exports = {
+  selectTorrentFiles
+};
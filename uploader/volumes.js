@@ -0,0 +1,162 @@
+/**
+ * uploader/volumes.js
+ * Splits archives into fixed-size volumes for object stores with size caps
+ *
+ * Two styles are supported:
+ *   parts     one archive cut into numbered byte ranges (Show.zip.001, Show.zip.002, ...);
+ *             rejoin them with `cat` or open the first part with 7-Zip
+ *   archives  several complete archives, each holding part of the files (Show.vol01.zip, ...);
+ *             every volume can be downloaded and extracted on its own
+ */
+
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+
+const VOLUME_STYLES = ['parts', 'archives'];
+
+/**
+ * Object name of a numbered part
+ * @param {string} archiveName Name of the whole archive, e.g. Show.zip
+ * @param {number} index 1-based part number
+ * @returns {string} e.g. Show.zip.001
+ */
+function partName(archiveName, index) {
+  return `${archiveName}.${String(index).padStart(3, '0')}`;
+}
+
+/**
+ * Name of a self-contained archive volume, without the archive extension
+ * @param {string} rootName Archive name without extension
+ * @param {number} index 1-based volume number
+ * @param {number} count Number of volumes, so the numbers sort correctly
+ * @returns {string} e.g. Show.vol01
+ */
+function volumeName(rootName, index, count) {
+  const width = Math.max(2, String(count).length);
+  return `${rootName}.vol${String(index).padStart(width, '0')}`;
+}
+
+/**
+ * Upper bound for the size a file takes up in an archive: worst-case deflate growth
+ * plus local header, central directory entry and zip64 extras, which both carry the name
+ * @param {Object} file Entry from archive-stream.listFiles
+ * @returns {number} Bytes
+ */
+function estimateEntrySize(file) {
+  const nameBytes = Buffer.byteLength(file.relativePath);
+  return file.stats.size + Math.ceil(file.stats.size / 16000) * 5 + 2 * nameBytes + 256;
+}
+
+/**
+ * Upper bound for the size of an archive of some files
+ * @param {Array<Object>} files Entries from archive-stream.listFiles
+ * @returns {number} Bytes
+ */
+function estimateArchiveSize(files) {
+  // End of central directory records, zip64 variants included
+  return files.reduce((sum, file) => sum + estimateEntrySize(file), 1024);
+}
+
+/**
+ * Group files into self-contained archive volumes no larger than volumeSize, keeping
+ * their order so related files stay together
+ * @param {Array<Object>} files Entries from archive-stream.listFiles
+ * @param {number} volumeSize Maximum volume size in bytes
+ * @returns {Array<Array<Object>>|null} Files per volume, or null if a single file does not fit in a volume
+ */
+function planArchiveVolumes(files, volumeSize) {
+  const volumes = [];
+  let current = [];
+  let currentSize = 1024;
+
+  for (const file of files) {
+    const size = estimateEntrySize(file);
+    if (size + 1024 > volumeSize) return null;
+
+    if (current.length > 0 && currentSize + size > volumeSize) {
+      volumes.push(current);
+      current = [];
+      currentSize = 1024;
+    }
+    current.push(file);
+    currentSize += size;
+  }
+
+  if (current.length > 0) volumes.push(current);
+  return volumes;
+}
+
+/**
+ * Cut a stream into consecutive volumes of volumeSize bytes (the last one may be smaller).
+ * Volumes are uploaded one after the other, so at most one volume is in flight.
+ *
+ * @param {Readable} source Stream to split
+ * @param {number} volumeSize Volume size in bytes
+ * @param {Function} uploadVolume async (index, stream) => result, uploads one volume
+ * @returns {Promise<Object>} { volumes, size, sha256 } - results of uploadVolume, total size and
+ *   SHA-256 of the whole stream (i.e. of the reassembled file)
+ */
+async function splitStream(source, volumeSize, uploadVolume) {
+  const sha256 = crypto.createHash('sha256');
+  const volumes = [];
+  let size = 0;
+  let volume = null;
+
+  const openVolume = () => {
+    const stream = new PassThrough();
+    // A failure destroys the stream with the error to abort the upload; when the upload is what
+    // failed, it no longer listens, and the error must not be left unhandled
+    stream.on('error', () => {});
+    const upload = uploadVolume(volumes.length + 1, stream);
+    // Awaited when the volume is closed; this only keeps an early failure from going unhandled
+    upload.catch(() => {});
+    volume = { stream, upload, written: 0 };
+  };
+
+  const closeVolume = async () => {
+    volume.stream.end();
+    volumes.push(await volume.upload);
+    volume = null;
+  };
+
+  try {
+    for await (let chunk of source) {
+      sha256.update(chunk);
+      size += chunk.length;
+
+      while (chunk.length > 0) {
+        if (!volume) openVolume();
+
+        const piece = chunk.subarray(0, volumeSize - volume.written);
+        chunk = chunk.subarray(piece.length);
+        volume.written += piece.length;
+
+        if (!volume.stream.write(piece)) {
+          // A failed upload stops reading, so it must end the wait as well
+          await Promise.race([
+            new Promise((resolve) => volume.stream.once('drain', resolve)),
+            volume.upload
+          ]);
+        }
+        if (volume.written === volumeSize) await closeVolume();
+      }
+    }
+
+    if (volume) await closeVolume();
+  } catch (error) {
+    if (volume) volume.stream.destroy(error);
+    if (typeof source.destroy === 'function') source.destroy();
+    throw error;
+  }
+
+  return { volumes, size, sha256: sha256.digest('hex') };
+}
+
+module.exports = {
+  VOLUME_STYLES,
+  partName,
+  volumeName,
+  estimateArchiveSize,
+  planArchiveVolumes,
+  splitStream
+};
@@ -0,0 +1,260 @@
+/**
+ * uploader/webhooks.js
+ * Signed JSON webhooks sent when a torrent reaches Ready, Upload Failed or Error, with retries and
+ * a delivery log per endpoint
+ *
+ * Every event is POSTed as JSON to each endpoint that wants its state:
+ *   { id, type: "torrent.state", createdAt, hash, name, state, objects, link, error }
+ * objects are the stored keys of the upload and link its download link (Ready only); error is the
+ * failure message (Upload Failed and Error only).
+ *
+ * Requests carry X-Uploader-Event (the event id, the same on every retry) and
+ * X-Uploader-Signature: t=<unix seconds>,v1=<hex>, where v1 is the HMAC-SHA256 of "<t>.<raw body>"
+ * under the endpoint's secret. Receivers recompute it, compare in constant time and drop old timestamps.
+ *
+ * Network errors, 408, 429 and 5xx answers are retried with backoff; other answers outside 2xx are
+ * final. Every attempt is appended to <dir>/<endpoint id>.jsonl.
+ *
+ * createReceiver is a local endpoint for trying this out: it checks signatures the way receivers should.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { classifyError, backoffDelay } = require('./retry');
+
+const WEBHOOK_STATES = ['Ready', 'Upload Failed', 'Error'];
+// A delivery log is rotated to <id>.jsonl.1 at this size; one old file is kept
+const MAX_LOG_BYTES = 1024 * 1024;
+// Receivers drop signatures older than this, so a captured request cannot be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Signature of a webhook body
+ * @param {string} secret Endpoint secret
+ * @param {number} timestamp Unix time in seconds, sent along as t=
+ * @param {string} body Raw request body
+ * @returns {string} Hex HMAC-SHA256
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check the X-Uploader-Signature header of a received webhook
+ * @param {string} secret Endpoint secret
+ * @param {string} header Header value: t=<unix seconds>,v1=<hex>
+ * @param {string} body Raw request body
+ * @param {number} now Current time in ms
+ * @returns {string|null} What is wrong with the signature, or null if it is valid
+ */
+function verifySignature(secret, header, body, now = Date.now()) {
+  const fields = {};
+  String(header || '').split(',').forEach((part) => {
+    const [name, value] = part.trim().split('=');
+    if (name && value) fields[name] = value;
+  });
+  if (!fields.t || !fields.v1) return 'missing or malformed signature header';
+
+  const age = Math.abs(now / 1000 - Number(fields.t));
+  if (!(age <= SIGNATURE_TOLERANCE_SECONDS)) return `timestamp is ${Math.round(age)}s away from now`;
+
+  const expected = Buffer.from(signPayload(secret, fields.t, body), 'hex');
+  const received = Buffer.from(fields.v1, 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) return 'signature does not match';
+  return null;
+}
+
+/**
+ * Local webhook receiver for testing endpoints: logs every event it gets and answers 204 when the
+ * signature is valid, 401 when it is not
+ * @param {Object} options Receiver options
+ * @param {string} options.secret Endpoint secret
+ * @param {Function} options.log Logger function
+ * @returns {http.Server} Server, not listening yet
+ */
+function createReceiver(options) {
+  const log = options.log || (() => {});
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const eventId = req.headers['x-uploader-event'] || '(no event id)';
+      const problem = verifySignature(options.secret, req.headers['x-uploader-signature'], body);
+      if (problem) {
+        log(`Rejected ${eventId} on ${req.url}: ${problem}`, { level: 'warn' });
+        res.statusCode = 401;
+        res.end(problem);
+        return;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch (error) {
+        res.statusCode = 400;
+        res.end('body is not JSON');
+        return;
+      }
+      log(`Received ${eventId} on ${req.url}: ${event.state} for ${event.name} (${event.hash})${event.error ? `, error: ${event.error}` : ''}`);
+      (event.objects || []).forEach((key) => log(`  object ${key}`));
+      if (event.link) log(`  link ${event.link}`);
+      res.statusCode = 204;
+      res.end();
+    });
+  });
+}
+
+/**
+ * Build a state event
+ * @param {Object} fields { hash, name, state, objects, link, error }
+ * @returns {Object} Event
+ */
+function createEvent(fields) {
+  return Object.assign({ id: crypto.randomUUID(), type: 'torrent.state', createdAt: new Date().toISOString() }, fields);
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} options Dispatcher options
+   * @param {string} options.dir Directory for the delivery logs
+   * @param {Object} options.policy Retry policy: { maxAttempts, baseDelayMs, maxDelayMs }
+   * @param {number} options.timeoutMs Timeout of one request
+   * @param {Function} options.log Logger function
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.policy = options.policy;
+    this.log = options.log || (() => {});
+    this.http = axios.create({ timeout: options.timeoutMs, maxRedirects: 0 });
+  }
+
+  logPathFor(id) {
+    return path.join(this.dir, `${id.replace(/[^A-Za-z0-9@._-]/g, '_')}.jsonl`);
+  }
+
+  /**
+   * Send an event to every endpoint that wants its state, all at once
+   * @param {Object} event Event from createEvent
+   * @param {Array<Object>} endpoints [{ id, url, secret, states }]
+   * @returns {Promise<Array<Object>>} Outcome per endpoint: { id, delivered, attempts, status }
+   */
+  dispatch(event, endpoints) {
+    const wanted = endpoints.filter((endpoint) => endpoint.states.includes(event.state));
+    return Promise.all(wanted.map((endpoint) => this.deliver(endpoint, event)));
+  }
+
+  /**
+   * Send an event to one endpoint, retrying as long as the failure may go away
+   * @param {Object} endpoint { id, url, secret }
+   * @param {Object} event Event from createEvent
+   * @returns {Promise<Object>} { id, delivered, attempts, status }
+   */
+  async deliver(endpoint, event) {
+    const body = JSON.stringify(event);
+
+    for (let attempt = 1; ; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const startedAt = Date.now();
+      let status = null;
+      let failure = null;
+
+      try {
+        const response = await this.http.post(endpoint.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Uploader-Event': event.id,
+            'X-Uploader-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, body)}`
+          }
+        });
+        status = response.status;
+      } catch (error) {
+        failure = error;
+        status = error.response ? error.response.status : null;
+      }
+
+      const retry = failure !== null && classifyError(failure) === 'transient' && attempt < this.policy.maxAttempts;
+      this.record(endpoint.id, {
+        at: new Date().toISOString(),
+        eventId: event.id,
+        hash: event.hash,
+        state: event.state,
+        url: endpoint.url,
+        attempt,
+        status,
+        durationMs: Date.now() - startedAt,
+        outcome: failure === null ? 'delivered' : retry ? 'retrying' : 'failed',
+        error: failure ? failure.message : null
+      });
+
+      if (failure === null) {
+        this.log(`Webhook ${endpoint.id}: ${event.state} delivered (HTTP ${status})`);
+        return { id: endpoint.id, delivered: true, attempts: attempt, status };
+      }
+      if (!retry) {
+        this.log(`Webhook ${endpoint.id}: giving up on ${event.state} after ${attempt} attempt(s): ${failure.message}`, { level: 'warn' });
+        return { id: endpoint.id, delivered: false, attempts: attempt, status };
+      }
+
+      const delay = backoffDelay(attempt, this.policy);
+      this.log(`Webhook ${endpoint.id}: attempt ${attempt}/${this.policy.maxAttempts} failed (${failure.message}), retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Append an attempt to the endpoint's delivery log
+   * @param {string} id Endpoint id
+   * @param {Object} entry Log entry
+   */
+  record(id, entry) {
+    const logPath = this.logPathFor(id);
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      if (fs.existsSync(logPath) && fs.statSync(logPath).size >= MAX_LOG_BYTES) fs.renameSync(logPath, `${logPath}.1`);
+      fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      this.log(`Warning: Could not write the delivery log of webhook ${id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delivery log of an endpoint, oldest first
+   * @param {string} id Endpoint id
+   * @returns {Array<Object>} Log entries
+   */
+  history(id) {
+    const logPath = this.logPathFor(id);
+    return [`${logPath}.1`, logPath]
+      .filter((file) => fs.existsSync(file))
+      .flatMap((file) => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean))
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Endpoints that have a delivery log
+   * @returns {Array<string>} Log names (endpoint ids, with unusual characters replaced)
+   */
+  logged() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter((name) => name.endsWith('.jsonl')).map((name) => name.slice(0, -6)).sort();
+  }
+}
+
+module.exports = {
+  WEBHOOK_STATES,
+  signPayload,
+  verifySignature,
+  createEvent,
+  createReceiver,
+  WebhookDispatcher
+};
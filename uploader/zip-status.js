@@ -0,0 +1,189 @@
+/**
+ * uploader/zip-status.js
+ * Follows a zip the zip server builds until the server confirms it, for archive.mode "server"
+ *
+ * Contract with the zip server: GET /zip-events?hash=<hash> answers with a text/event-stream.
+ * On connect the server sends the zip's current state, then every change:
+ *   event: progress   data: { "progress": 0-100, "processedBytes": n, "totalBytes": n }
+ *   event: complete   data: { "path": "<zip path>", "size": n, "sha256": "<hex>" }
+ *   event: failed     data: { "message": "..." }
+ * complete and failed are terminal; the server closes the stream after sending one. Events carry
+ * ids, and a reconnecting client sends the last one it saw as Last-Event-ID. While nothing else
+ * happens the server sends a comment line at least every 15 seconds.
+ *
+ * A zip counts as done only after a complete event whose size and SHA-256 match the file on disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { TransientError, PermanentError, classifyError } = require('./retry');
+const { hashFile } = require('./manifest');
+
+// A connection that is silent for this long (no events, no keep-alive comments) is considered dead
+const IDLE_TIMEOUT_MS = 60000;
+const RECONNECT_DELAY_MS = 3000;
+// Connection failures in a row before giving up; any event received resets the count
+const MAX_RECONNECTS = 10;
+
+/**
+ * Parse a text/event-stream body
+ * @param {Readable} stream Response body
+ * @param {Function} onEvent Called with { event, data, id } for every complete event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readEventStream(stream, onEvent) {
+  // Chunks can end inside a character, or between the CR and LF of a line break
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let event = { event: 'message', data: [], id: null };
+
+  for await (const chunk of stream) {
+    buffered += decoder.write(chunk);
+    const complete = buffered.endsWith('\r') ? buffered.slice(0, -1) : buffered;
+    const lines = complete.split(/\r\n|\r|\n/);
+    buffered = lines.pop() + buffered.slice(complete.length);
+
+    for (const line of lines) {
+      if (line === '') {
+        // A blank line dispatches the event collected so far
+        if (event.data.length > 0) onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+        event = { event: 'message', data: [], id: null };
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event.event = value;
+      else if (field === 'data') event.data.push(value);
+      else if (field === 'id') event.id = value;
+    }
+  }
+}
+
+/**
+ * Wait for the zip server to report a terminal state for a torrent's zip
+ * @param {AxiosInstance} http Zip server client
+ * @param {string} hash Torrent hash
+ * @param {Object} options Wait options
+ * @param {number} options.timeoutMs Give up when the zip is not done after this long
+ * @param {Function} options.onProgress Called with the data of every progress event
+ * @param {Function} options.log Logger function
+ * @returns {Promise<Object>} Data of the complete event: { path, size, sha256 }
+ * @throws {TransientError} If the server reports a failure, the stream keeps failing or the time runs out
+ * @throws {PermanentError} If the server refuses the status stream
+ */
+async function waitForZip(http, hash, options) {
+  const log = options.log || (() => {});
+  const onProgress = options.onProgress || (() => {});
+  const deadline = Date.now() + options.timeoutMs;
+  let lastEventId = null;
+  let failures = 0;
+
+  while (Date.now() < deadline) {
+    const controller = new AbortController();
+    let idleTimer = null;
+    const resetIdle = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => controller.abort(), Math.min(IDLE_TIMEOUT_MS, Math.max(0, deadline - Date.now())));
+    };
+    let terminal = null;
+
+    try {
+      resetIdle();
+      const response = await http.get('/zip-events', {
+        params: { hash },
+        headers: Object.assign({ Accept: 'text/event-stream' }, lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+        responseType: 'stream',
+        timeout: 0,
+        signal: controller.signal
+      });
+
+      response.data.on('data', resetIdle);
+      await readEventStream(response.data, (message) => {
+        if (message.id) lastEventId = message.id;
+        failures = 0;
+
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (error) {
+          log(`Ignoring zip server event with invalid data: ${message.data}`);
+          return;
+        }
+
+        if (message.event === 'progress') {
+          onProgress(data);
+        } else if (message.event === 'complete' || message.event === 'failed') {
+          terminal = { event: message.event, data };
+          response.data.destroy();
+        }
+      });
+    } catch (error) {
+      // Destroying the stream after a terminal event ends the read with an error; that is expected
+      if (!terminal) {
+        // e.g. 404 from a zip server that does not implement the event stream
+        if (error.response && classifyError(error) === 'permanent') {
+          throw new PermanentError(`Zip server refused the status stream: ${error.message}`, error);
+        }
+        failures++;
+        log(`Zip status stream failed (${failures}/${MAX_RECONNECTS}): ${error.message}`, { level: 'warn' });
+        if (failures >= MAX_RECONNECTS) {
+          throw new TransientError(`Lost the zip server's status stream ${failures} times in a row: ${error.message}`, error);
+        }
+      }
+    } finally {
+      clearTimeout(idleTimer);
+    }
+
+    if (terminal && terminal.event === 'failed') {
+      throw new TransientError(`Zip server reports the zip failed: ${terminal.data.message || 'no message'}`);
+    }
+    if (terminal) return terminal.data;
+
+    if (Date.now() < deadline) {
+      log('Zip status stream ended without a result, reconnecting');
+      await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY_MS));
+    }
+  }
+
+  throw new TransientError(`Zip was not completed within ${Math.round(options.timeoutMs / 60000)} minutes`);
+}
+
+/**
+ * Check that the zip on disk is the one the zip server reported as complete
+ * @param {string} zipPath Zip the uploader expects
+ * @param {Object} completion Data of the complete event: { path, size, sha256 }
+ * @returns {Promise<Object>} { size, sha256, md5 } of the zip
+ * @throws {PermanentError} If the server reports another file or no size and checksum
+ * @throws {TransientError} If the file is missing or does not match
+ */
+async function confirmZip(zipPath, completion) {
+  if (completion.path && path.resolve(completion.path) !== path.resolve(zipPath)) {
+    throw new PermanentError(`Zip server completed ${completion.path}, expected ${zipPath}`);
+  }
+  if (typeof completion.size !== 'number' || typeof completion.sha256 !== 'string') {
+    throw new PermanentError('Zip server reported completion without the size and SHA-256 of the zip');
+  }
+  if (!fs.existsSync(zipPath)) {
+    throw new TransientError(`Zip server reported completion but the zip does not exist: ${zipPath}`);
+  }
+
+  const size = fs.statSync(zipPath).size;
+  if (size !== completion.size) {
+    throw new TransientError(`Zip is ${size} bytes, the zip server reported ${completion.size}: ${zipPath}`);
+  }
+  const checksums = await hashFile(zipPath);
+  if (checksums.sha256 !== completion.sha256.toLowerCase()) {
+    throw new TransientError(`Zip SHA-256 ${checksums.sha256} does not match ${completion.sha256} reported by the zip server`);
+  }
+  return { size, sha256: checksums.sha256, md5: checksums.md5 };
+}
+
+module.exports = {
+  readEventStream,
+  waitForZip,
+  confirmZip
+};